@@ -0,0 +1,34 @@
+/**
+ * BharatChan atomic file writes
+ * Used by every store and exporter that keeps data in files: the contents
+ * go to a temporary file that is then renamed over the target, so a crash
+ * never leaves a truncated file. Each write gets its own temporary file,
+ * so concurrent writes of one file never clash; the last rename wins.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+/**
+ * Replace a file's contents atomically, creating its directory if missing
+ * @param {string} file - File path
+ * @param {string|Buffer} contents - New contents
+ * @returns {Promise<void>}
+ */
+async function writeFileAtomic(file, contents) {
+  await fs.promises.mkdir(path.dirname(file), { recursive: true });
+
+  const tempFile = `${file}.${process.pid}.${crypto.randomBytes(6).toString('hex')}.tmp`;
+  try {
+    await fs.promises.writeFile(tempFile, contents);
+    await fs.promises.rename(tempFile, file);
+  } catch (error) {
+    await fs.promises.unlink(tempFile).catch(() => {});
+    throw error;
+  }
+}
+
+module.exports = {
+  writeFileAtomic
+};
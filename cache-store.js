@@ -0,0 +1,241 @@
+/**
+ * BharatChan cache stores
+ * Backends for the BharatChanAPI response cache
+ *
+ * A cache store maps string keys (e.g., "getThreads_b_1") to entries of the
+ * form { data, timestamp }. Stores only bound their size; they never drop
+ * entries because of age, so the client can still fall back to old copies.
+ * Every method may return a value or a promise.
+ *
+ * Cache store interface:
+ * {
+ *   get(key): Entry|undefined,
+ *   set(key, entry): void,
+ *   delete(key): boolean,
+ *   clear(): void,
+ *   keys(): Array<string>,
+ *   stats(): { entries: number, bytes: number, evictions: number }
+ * }
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { writeFileAtomic } = require('./atomic-file');
+
+/**
+ * Approximate size of a cache entry in bytes
+ * @private
+ */
+function entrySize(key, entry) {
+  return Buffer.byteLength(key) + Buffer.byteLength(JSON.stringify(entry.data) || '');
+}
+
+/**
+ * In-memory store with least-recently-used eviction
+ */
+class MemoryCacheStore {
+  /**
+   * @param {Object} [options]
+   * @param {number} [options.maxEntries=500] - Maximum number of entries
+   * @param {number} [options.maxBytes=52428800] - Maximum approximate size in bytes (50 MB)
+   */
+  constructor(options = {}) {
+    this.maxEntries = options.maxEntries || 500;
+    this.maxBytes = options.maxBytes || 50 * 1024 * 1024;
+
+    // Map iteration order doubles as recency order, oldest first
+    this.entries = new Map();
+    this.bytes = 0;
+    this.evictions = 0;
+  }
+
+  get(key) {
+    const item = this.entries.get(key);
+    if (!item) return undefined;
+
+    // Move to the most recently used position
+    this.entries.delete(key);
+    this.entries.set(key, item);
+    return item.entry;
+  }
+
+  set(key, entry) {
+    this.delete(key);
+
+    const size = entrySize(key, entry);
+    this.entries.set(key, { entry, size });
+    this.bytes += size;
+
+    while (this.entries.size > 1 && (this.entries.size > this.maxEntries || this.bytes > this.maxBytes)) {
+      const oldestKey = this.entries.keys().next().value;
+      this.delete(oldestKey);
+      this.evictions++;
+    }
+  }
+
+  delete(key) {
+    const item = this.entries.get(key);
+    if (!item) return false;
+
+    this.bytes -= item.size;
+    return this.entries.delete(key);
+  }
+
+  clear() {
+    this.entries.clear();
+    this.bytes = 0;
+  }
+
+  keys() {
+    return Array.from(this.entries.keys());
+  }
+
+  stats() {
+    return {
+      entries: this.entries.size,
+      bytes: this.bytes,
+      evictions: this.evictions
+    };
+  }
+}
+
+/**
+ * File-backed store keeping one JSON file per entry, so cached content
+ * survives restarts. The oldest entries are removed past maxEntries.
+ */
+class FileCacheStore {
+  /**
+   * @param {Object} options
+   * @param {string} options.directory - Directory for cache files (created if missing)
+   * @param {number} [options.maxEntries=2000] - Maximum number of entries
+   */
+  constructor(options = {}) {
+    if (!options.directory) {
+      throw new Error('FileCacheStore requires a directory');
+    }
+    this.directory = options.directory;
+    this.maxEntries = options.maxEntries || 2000;
+    this.evictions = 0;
+
+    // key -> { file, timestamp, size }, loaded lazily from disk
+    this.index = null;
+    this.indexLoaded = null;
+  }
+
+  /**
+   * File path for a key
+   * @private
+   */
+  fileFor(key) {
+    const hash = crypto.createHash('sha1').update(key).digest('hex');
+    return path.join(this.directory, `${hash}.json`);
+  }
+
+  /**
+   * Load the key index from the cache directory
+   * @private
+   */
+  async loadIndex() {
+    if (this.index) return this.index;
+    // Concurrent callers must share one index
+    if (!this.indexLoaded) this.indexLoaded = this.readIndex();
+    return this.indexLoaded;
+  }
+
+  /**
+   * Scan the cache directory for entries
+   * @private
+   */
+  async readIndex() {
+    await fs.promises.mkdir(this.directory, { recursive: true });
+    const index = new Map();
+    const files = await fs.promises.readdir(this.directory);
+
+    for (const name of files) {
+      if (!name.endsWith('.json')) continue;
+      const file = path.join(this.directory, name);
+      try {
+        const contents = await fs.promises.readFile(file, 'utf8');
+        const { key, timestamp } = JSON.parse(contents);
+        index.set(key, { file, timestamp, size: Buffer.byteLength(contents) });
+      } catch (error) {
+        // Skip partial or foreign files
+      }
+    }
+
+    // Keep the index sorted oldest first for eviction
+    this.index = new Map(Array.from(index.entries()).sort((a, b) => a[1].timestamp - b[1].timestamp));
+    return this.index;
+  }
+
+  async get(key) {
+    const index = await this.loadIndex();
+    const item = index.get(key);
+    if (!item) return undefined;
+
+    try {
+      const { data, timestamp } = JSON.parse(await fs.promises.readFile(item.file, 'utf8'));
+      return { data, timestamp };
+    } catch (error) {
+      index.delete(key);
+      return undefined;
+    }
+  }
+
+  async set(key, entry) {
+    const index = await this.loadIndex();
+    const file = this.fileFor(key);
+    const contents = JSON.stringify({ key, data: entry.data, timestamp: entry.timestamp });
+    await writeFileAtomic(file, contents);
+
+    index.delete(key);
+    index.set(key, { file, timestamp: entry.timestamp, size: Buffer.byteLength(contents) });
+
+    while (index.size > this.maxEntries) {
+      const oldestKey = index.keys().next().value;
+      await this.delete(oldestKey);
+      this.evictions++;
+    }
+  }
+
+  async delete(key) {
+    const index = await this.loadIndex();
+    const item = index.get(key);
+    if (!item) return false;
+
+    index.delete(key);
+    await fs.promises.unlink(item.file).catch(() => {});
+    return true;
+  }
+
+  async clear() {
+    const index = await this.loadIndex();
+    await Promise.all(Array.from(index.values()).map(item => fs.promises.unlink(item.file).catch(() => {})));
+    index.clear();
+  }
+
+  async keys() {
+    const index = await this.loadIndex();
+    return Array.from(index.keys());
+  }
+
+  async stats() {
+    const index = await this.loadIndex();
+    let bytes = 0;
+    index.forEach(item => {
+      bytes += item.size;
+    });
+
+    return {
+      entries: index.size,
+      bytes,
+      evictions: this.evictions
+    };
+  }
+}
+
+module.exports = {
+  MemoryCacheStore,
+  FileCacheStore
+};
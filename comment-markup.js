@@ -0,0 +1,312 @@
+/**
+ * BharatChan comment markup
+ * Converts post body HTML into a small, renderer-agnostic document tree
+ *
+ * Document:
+ * {
+ *   type: 'document',
+ *   children: Array<Block>
+ * }
+ *
+ * Block nodes:
+ * - { type: 'paragraph', children: Array<Inline> }
+ * - { type: 'code', text: string }          // Preformatted code block
+ *
+ * Inline nodes:
+ * - { type: 'text', text: string }
+ * - { type: 'linebreak' }
+ * - { type: 'greentext', children: Array<Inline> }  // A ">" line
+ * - { type: 'spoiler', children: Array<Inline> }
+ * - { type: 'bold', children: Array<Inline> }
+ * - { type: 'italic', children: Array<Inline> }
+ * - { type: 'underline', children: Array<Inline> }
+ * - { type: 'strike', children: Array<Inline> }
+ * - { type: 'inlineCode', text: string }
+ * - { type: 'link', url: string, children: Array<Inline> }
+ * - { type: 'quote', text: string, postId, threadId, boardId, crossThread, crossBoard }
+ */
+
+// Bare URLs in post text
+const URL_PATTERN = /\bhttps?:\/\/[^\s<>"']+[^\s<>"'.,;:!?)\]]/g;
+
+// Quote references left as plain text
+const QUOTE_PATTERN = />>>\/[^\/\s]+\/\d*|>>\d+/g;
+
+// Where bharatchan links put the board, thread and post IDs
+const DEFAULT_LINK_PATTERNS = {
+  boardLink: /\/board\/([^\/]+)/,
+  threadLink: /\/thread\/(\d+)/,
+  postAnchor: /#(?:p|post-|reply-)?(\d+)$/
+};
+
+const BLOCK_TAGS = ['p', 'div', 'blockquote', 'ul', 'ol', 'li', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6'];
+
+const INLINE_TAGS = {
+  b: 'bold',
+  strong: 'bold',
+  i: 'italic',
+  em: 'italic',
+  u: 'underline',
+  del: 'strike',
+  strike: 'strike',
+  s: 'spoiler'
+};
+
+/**
+ * Resolve a quote reference such as >>123, >>>/b/123 or >>>/b/
+ * @param {string} quoteText - Quote text as displayed
+ * @param {string} href - Link target, if the quote is a link
+ * @param {Object} context - Post context
+ * @param {string} context.boardId - Board the post belongs to
+ * @param {string} context.threadId - Thread the post belongs to
+ * @param {Object} [context.patterns] - Site URL patterns (boardLink, threadLink,
+ *   postAnchor) used to read the link target; bharatchan URLs by default
+ * @returns {Object|null} - Quote reference or null if the text is not a quote
+ */
+function parseQuoteReference(quoteText, href, context) {
+  const crossBoardMatch = quoteText.match(/^>>>\/([^\/\s]+)\/(\d+)?/);
+  const postMatch = quoteText.match(/^>>(\d+)/);
+  if (!crossBoardMatch && !postMatch) return null;
+
+  // The href is more reliable than the text for locating the quoted post
+  const patterns = context.patterns || DEFAULT_LINK_PATTERNS;
+  const hrefBoardMatch = (href || '').match(patterns.boardLink);
+  const hrefThreadMatch = (href || '').match(patterns.threadLink);
+  const hrefPostMatch = (href || '').match(patterns.postAnchor);
+
+  const boardId = crossBoardMatch ? crossBoardMatch[1] : (hrefBoardMatch ? hrefBoardMatch[1] : context.boardId);
+  const postId = crossBoardMatch
+    ? (crossBoardMatch[2] || null)
+    : (hrefPostMatch ? hrefPostMatch[1] : postMatch[1]);
+  const threadId = hrefThreadMatch
+    ? hrefThreadMatch[1]
+    : (crossBoardMatch ? null : context.threadId);
+
+  const crossBoard = boardId !== context.boardId;
+  return {
+    postId,
+    threadId,
+    boardId,
+    crossThread: crossBoard || threadId !== context.threadId,
+    crossBoard
+  };
+}
+
+/**
+ * Split plain text into text, link and quote nodes
+ * @private
+ */
+function parseText(text, context) {
+  const nodes = [];
+  const pattern = new RegExp(`${URL_PATTERN.source}|${QUOTE_PATTERN.source}`, 'g');
+  let lastIndex = 0;
+  let match;
+
+  while ((match = pattern.exec(text)) !== null) {
+    if (match.index > lastIndex) {
+      nodes.push({ type: 'text', text: text.slice(lastIndex, match.index) });
+    }
+
+    const token = match[0];
+    if (token.startsWith('>>')) {
+      nodes.push({ type: 'quote', text: token, ...parseQuoteReference(token, '', context) });
+    } else {
+      nodes.push({ type: 'link', url: token, children: [{ type: 'text', text: token }] });
+    }
+    lastIndex = match.index + token.length;
+  }
+
+  if (lastIndex < text.length) {
+    nodes.push({ type: 'text', text: text.slice(lastIndex) });
+  }
+
+  return nodes;
+}
+
+/**
+ * Parse the children of an inline element, where block boundaries can
+ * only mean a line break
+ * @private
+ */
+function parseInlineChildren($, element, context) {
+  return parseChildren($, element, context)
+    .map(node => (node.type === 'blockBoundary' ? { type: 'linebreak' } : node));
+}
+
+/**
+ * Convert DOM children into a flat list of inline nodes, with block
+ * boundaries and code blocks marked so they can be grouped afterwards
+ * @private
+ */
+function parseChildren($, element, context) {
+  const nodes = [];
+
+  $(element).contents().each((i, child) => {
+    if (child.type === 'text') {
+      nodes.push(...parseText(child.data.replace(/[ \t\r\n]+/g, ' '), context));
+      return;
+    }
+    if (child.type !== 'tag') return;
+
+    const tag = child.tagName.toLowerCase();
+    const node = $(child);
+
+    if (tag === 'br') {
+      nodes.push({ type: 'linebreak' });
+    } else if (tag === 'pre' || (tag === 'code' && node.parent().is('pre'))) {
+      nodes.push({ type: 'code', text: node.text().replace(/^\n+|\s+$/g, '') });
+    } else if (tag === 'code') {
+      nodes.push({ type: 'inlineCode', text: node.text() });
+    } else if (tag === 'a') {
+      const text = node.text().trim();
+      const href = node.attr('href') || '';
+      const quote = parseQuoteReference(text, href, context);
+
+      if (quote) {
+        nodes.push({ type: 'quote', text, ...quote });
+      } else {
+        nodes.push({ type: 'link', url: href, children: parseInlineChildren($, child, context) });
+      }
+    } else if (node.is('.spoiler, .spoilertext, .spoiler-text')) {
+      nodes.push({ type: 'spoiler', children: parseInlineChildren($, child, context) });
+    } else if (node.is('.quote, .greentext, .implying')) {
+      nodes.push({ type: 'greentext', children: parseInlineChildren($, child, context) });
+    } else if (node.is('.code, .prettyprint')) {
+      nodes.push({ type: 'code', text: node.text().replace(/^\n+|\s+$/g, '') });
+    } else if (INLINE_TAGS[tag]) {
+      nodes.push({ type: INLINE_TAGS[tag], children: parseInlineChildren($, child, context) });
+    } else if (BLOCK_TAGS.includes(tag)) {
+      nodes.push({ type: 'blockBoundary' });
+      nodes.push(...parseChildren($, child, context));
+      nodes.push({ type: 'blockBoundary' });
+    } else if (tag !== 'script' && tag !== 'style') {
+      nodes.push(...parseChildren($, child, context));
+    }
+  });
+
+  return nodes;
+}
+
+/**
+ * Wrap lines starting with ">" in greentext nodes when the site did not
+ * mark them up itself
+ * @private
+ */
+function markGreentextLines(inlines) {
+  const result = [];
+  let line = [];
+
+  const flushLine = () => {
+    const first = line.find(node => node.type !== 'text' || node.text.trim());
+    const isGreentext = first &&
+      first.type === 'text' &&
+      first.text.trimStart().startsWith('>') &&
+      !/^>>(?:\d|>\/)/.test(first.text.trimStart());
+
+    if (isGreentext) {
+      result.push({ type: 'greentext', children: line });
+    } else {
+      result.push(...line);
+    }
+    line = [];
+  };
+
+  inlines.forEach(node => {
+    if (node.type === 'linebreak') {
+      flushLine();
+      result.push(node);
+    } else {
+      line.push(node);
+    }
+  });
+  flushLine();
+
+  return result;
+}
+
+/**
+ * Trim whitespace at the edges of a paragraph and drop empty text nodes
+ * @private
+ */
+function trimInlines(inlines) {
+  while (inlines.length && inlines[0].type === 'linebreak') inlines.shift();
+  while (inlines.length && inlines[inlines.length - 1].type === 'linebreak') inlines.pop();
+
+  if (inlines.length && inlines[0].type === 'text') {
+    inlines[0] = { ...inlines[0], text: inlines[0].text.trimStart() };
+  }
+  const last = inlines.length - 1;
+  if (last >= 0 && inlines[last].type === 'text') {
+    inlines[last] = { ...inlines[last], text: inlines[last].text.trimEnd() };
+  }
+
+  return inlines.filter(node => node.type !== 'text' || node.text.length > 0);
+}
+
+/**
+ * Parse a post body element into a document tree
+ * @param {CheerioAPI} $ - Loaded page
+ * @param {Cheerio|Element} element - Post body element
+ * @param {Object} context - Post context
+ * @param {string} context.boardId - Board the post belongs to
+ * @param {string} context.threadId - Thread the post belongs to
+ * @param {Object} [context.patterns] - Site URL patterns, see parseQuoteReference
+ * @returns {Object} - Document node
+ */
+function parseMarkup($, element, context) {
+  const document = { type: 'document', children: [] };
+  let paragraph = [];
+
+  const flushParagraph = () => {
+    const children = trimInlines(markGreentextLines(paragraph));
+    if (children.length) {
+      document.children.push({ type: 'paragraph', children });
+    }
+    paragraph = [];
+  };
+
+  const inlines = parseChildren($, element, context);
+  inlines.forEach((node, i) => {
+    if (node.type === 'blockBoundary') {
+      flushParagraph();
+    } else if (node.type === 'code') {
+      flushParagraph();
+      document.children.push(node);
+    } else if (node.type === 'linebreak' && inlines[i + 1] && inlines[i + 1].type === 'linebreak') {
+      // An empty line separates paragraphs
+      flushParagraph();
+    } else {
+      paragraph.push(node);
+    }
+  });
+  flushParagraph();
+
+  return document;
+}
+
+/**
+ * Render a document tree back to plain text
+ * @param {Object} node - Document or any node within it
+ * @returns {string}
+ */
+function toPlainText(node) {
+  switch (node.type) {
+    case 'document':
+      return node.children.map(toPlainText).join('\n\n');
+    case 'text':
+    case 'quote':
+    case 'inlineCode':
+    case 'code':
+      return node.text;
+    case 'linebreak':
+      return '\n';
+    default:
+      return (node.children || []).map(toPlainText).join('');
+  }
+}
+
+module.exports = {
+  parseMarkup,
+  parseQuoteReference,
+  toPlainText
+};
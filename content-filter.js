@@ -0,0 +1,396 @@
+/**
+ * BharatChan content filters
+ * Rules that hide, highlight or pin threads and posts by what they contain.
+ * A FilterSet returns marked copies of getThreads and getThread results,
+ * leaving the originals (and the cache) alone, and never removes items, so
+ * apps choose how hidden items look.
+ *
+ * FilterRule:
+ * {
+ *   id: string,       // Rule identifier (generated when missing)
+ *   field: string,    // What the rule looks at: 'subject', 'comment',
+ *                     // 'filename', 'imageHash', 'posterId', 'tripcode' or 'board'
+ *   pattern: string,  // Regular expression for subject, comment and filename,
+ *                     // optionally as "/source/flags"; the exact value for the
+ *                     // other fields (imageHash takes hex or base64 MD5)
+ *   action: string,   // 'hide', 'hideReplies' (the post and every reply to it,
+ *                     // directly or down a chain), 'highlight' or 'pin'
+ *                     // (thread lists put pinned threads first)
+ *   boards: Array<string>, // Only apply on these boards (empty for all)
+ *   caseSensitive: boolean, // Text patterns ignore case and diacritics unless set
+ *   enabled: boolean, // Disabled rules are kept but match nothing
+ *   description: string // Note for the user (optional)
+ * }
+ *
+ * FilterMatch:
+ * {
+ *   ruleId: string,   // Rule that matched
+ *   action: string,   // Its action
+ *   field: string,    // Its field
+ *   description: string, // Its description (empty if none)
+ *   via: string       // For replies hidden by a hideReplies rule, the ID of
+ *                     // the post they reply to (null otherwise)
+ * }
+ *
+ * Marks set on threads and posts:
+ * {
+ *   hidden: boolean,
+ *   hiddenBy: FilterMatch,    // First hiding rule (null if not hidden)
+ *   highlighted: boolean,
+ *   highlightedBy: Array<FilterMatch>,
+ *   pinned: boolean,
+ *   pinnedBy: FilterMatch     // First pinning rule (null if not pinned)
+ * }
+ * A thread in a list is matched by its subject and OP; a thread from
+ * getThread is hidden when its OP is.
+ *
+ * Filter sets export to and import from JSON:
+ *   { version: FILTERS_VERSION, rules: Array<FilterRule> }
+ */
+
+const FILTERS_VERSION = 1;
+
+const FIELDS = ['subject', 'comment', 'filename', 'imageHash', 'posterId', 'tripcode', 'board'];
+
+const TEXT_FIELDS = ['subject', 'comment', 'filename'];
+
+const ACTIONS = ['hide', 'hideReplies', 'highlight', 'pin'];
+
+/**
+ * Drop accents and other combining marks, so "cafe" matches "café".
+ * Devanagari vowel signs are letters and stay; the nukta and zero-width
+ * joiners go, as in search-index.js.
+ * @private
+ */
+function foldDiacritics(text) {
+  return text
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f\u093c\u200c\u200d]/g, '')
+    .normalize('NFC');
+}
+
+/**
+ * MD5 as base64, whether given as hex or base64
+ * @private
+ */
+function normalizeHash(hash) {
+  const value = String(hash).trim();
+  return /^[0-9a-f]{32}$/i.test(value) ? Buffer.from(value, 'hex').toString('base64') : value;
+}
+
+/**
+ * Compile the matcher of a rule
+ * @private
+ * @returns {Function} - value -> boolean
+ */
+function compileMatcher(rule) {
+  if (!TEXT_FIELDS.includes(rule.field)) {
+    const expected = rule.field === 'imageHash' ? normalizeHash(rule.pattern) : rule.pattern;
+    return value => (rule.field === 'imageHash' ? normalizeHash(value) : value) === expected;
+  }
+
+  const literal = rule.pattern.match(/^\/(.*)\/([a-z]*)$/s);
+  let source = literal ? literal[1] : rule.pattern;
+  const flags = new Set((literal ? literal[2] : '').replace(/g/g, '') + 'u');
+  if (!rule.caseSensitive) {
+    flags.add('i');
+    source = foldDiacritics(source);
+  }
+
+  let pattern;
+  try {
+    pattern = new RegExp(source, Array.from(flags).join(''));
+  } catch (error) {
+    throw new Error(`Invalid pattern for filter rule ${rule.id}: ${error.message}`);
+  }
+  return value => pattern.test(rule.caseSensitive ? value : foldDiacritics(value));
+}
+
+/**
+ * Validated copy of a rule
+ * @private
+ */
+function normalizeRule(rule, fallbackId) {
+  if (!rule || typeof rule !== 'object') {
+    throw new Error('A filter rule must be an object');
+  }
+  if (!FIELDS.includes(rule.field)) {
+    throw new Error(`Unknown filter field: ${rule.field}`);
+  }
+  const action = rule.action || 'hide';
+  if (!ACTIONS.includes(action)) {
+    throw new Error(`Unknown filter action: ${action}`);
+  }
+  if (typeof rule.pattern !== 'string' || rule.pattern === '') {
+    throw new Error(`Filter rule ${rule.id || fallbackId} needs a pattern`);
+  }
+
+  return {
+    id: String(rule.id || fallbackId),
+    field: rule.field,
+    pattern: rule.pattern,
+    action,
+    boards: (rule.boards || []).map(String),
+    caseSensitive: Boolean(rule.caseSensitive),
+    enabled: rule.enabled !== false,
+    description: rule.description || ''
+  };
+}
+
+/**
+ * Value of a field in a post or thread; a list thread's file, poster ID
+ * and tripcode are its OP's
+ * @private
+ * @param {Object} item - Post, or Thread from a list
+ * @param {string} field - FilterRule field
+ * @param {Object} context - { boardId, subject }
+ * @returns {string} - null if the item has none
+ */
+function fieldValue(item, field, context) {
+  const op = item.op || item;
+  const file = op.file || null;
+
+  switch (field) {
+    case 'subject':
+      return item.title !== undefined ? item.title : context.subject;
+    case 'comment':
+      return item.text;
+    case 'filename':
+      return file && file.name;
+    case 'imageHash':
+      return file && file.md5;
+    case 'posterId':
+      return op.posterId;
+    case 'tripcode':
+      return op.tripcode;
+    case 'board':
+      return context.boardId;
+    default:
+      return null;
+  }
+}
+
+/**
+ * Set the marks of an item from its matches
+ * @private
+ */
+function setMarks(item, matches) {
+  const hiding = matches.find(match => match.action === 'hide' || match.action === 'hideReplies');
+  const highlights = matches.filter(match => match.action === 'highlight');
+  const pinning = matches.find(match => match.action === 'pin');
+
+  item.hidden = Boolean(hiding);
+  item.hiddenBy = hiding || null;
+  item.highlighted = highlights.length > 0;
+  item.highlightedBy = highlights;
+  item.pinned = Boolean(pinning);
+  item.pinnedBy = pinning || null;
+}
+
+/**
+ * An ordered set of filter rules
+ */
+class FilterSet {
+  /**
+   * @param {Array<Object>} [rules] - FilterRules
+   */
+  constructor(rules = []) {
+    this.rules = [];
+    this.matchers = new Map();
+    this.nextId = 1;
+    rules.forEach(rule => this.add(rule));
+  }
+
+  /**
+   * Read a filter set exported with toJSON
+   * @param {Object|string} data - Exported object or its JSON
+   * @returns {FilterSet}
+   */
+  static fromJSON(data) {
+    const saved = typeof data === 'string' ? JSON.parse(data) : data;
+    if (!saved || saved.version !== FILTERS_VERSION) {
+      throw new Error(`Unsupported filter set version ${saved && saved.version}`);
+    }
+    return new FilterSet(saved.rules || []);
+  }
+
+  /**
+   * Add a rule after the others, or replace the rule with the same ID in place
+   * @param {Object} rule - FilterRule; field and pattern are required
+   * @returns {Object} - The rule as stored
+   * @throws {Error} - For an unknown field or action, or an invalid pattern
+   */
+  add(rule) {
+    let fallbackId = null;
+    if (!rule || !rule.id) {
+      while (this.matchers.has(`rule-${this.nextId}`)) this.nextId++;
+      fallbackId = `rule-${this.nextId}`;
+    }
+    const normalized = normalizeRule(rule, fallbackId);
+
+    const matcher = compileMatcher(normalized);
+    if (fallbackId) this.nextId++;
+    const index = this.rules.findIndex(existing => existing.id === normalized.id);
+    if (index === -1) {
+      this.rules.push(normalized);
+    } else {
+      this.rules[index] = normalized;
+    }
+    this.matchers.set(normalized.id, matcher);
+
+    return { ...normalized, boards: normalized.boards.slice() };
+  }
+
+  /**
+   * Remove a rule
+   * @param {string} id - Rule identifier
+   * @returns {boolean} - Whether the rule existed
+   */
+  remove(id) {
+    const index = this.rules.findIndex(rule => rule.id === String(id));
+    if (index === -1) return false;
+
+    this.rules.splice(index, 1);
+    this.matchers.delete(String(id));
+    return true;
+  }
+
+  /**
+   * @param {string} id - Rule identifier
+   * @returns {Object} - FilterRule, or null
+   */
+  get(id) {
+    const rule = this.rules.find(existing => existing.id === String(id));
+    return rule ? { ...rule, boards: rule.boards.slice() } : null;
+  }
+
+  /**
+   * @returns {Array<Object>} - FilterRules in order
+   */
+  list() {
+    return this.rules.map(rule => ({ ...rule, boards: rule.boards.slice() }));
+  }
+
+  clear() {
+    this.rules = [];
+    this.matchers.clear();
+  }
+
+  /**
+   * Rules matching a post or thread
+   * @param {Object} item - Post, or Thread from a list
+   * @param {Object} context
+   * @param {string} context.boardId - Board the item is on
+   * @param {string} [context.subject] - Thread subject, for posts
+   * @returns {Array<Object>} - FilterMatches, in rule order
+   */
+  match(item, context) {
+    return this.rules
+      .filter(rule => rule.enabled)
+      .filter(rule => rule.boards.length === 0 || rule.boards.includes(String(context.boardId)))
+      .filter(rule => {
+        const matcher = this.matchers.get(rule.id);
+        const value = fieldValue(item, rule.field, context);
+        return value !== undefined && value !== null && value !== '' && matcher(String(value));
+      })
+      .map(rule => ({
+        ruleId: rule.id,
+        action: rule.action,
+        field: rule.field,
+        description: rule.description,
+        via: null
+      }));
+  }
+
+  /**
+   * Mark the posts of one thread. Replies to a post a hideReplies rule hid
+   * are hidden too, down every chain of replies.
+   * @param {Array<Object>} posts - Posts in thread order, left unchanged
+   * @param {Object} context - As for match()
+   * @returns {Array<Object>} - Marked copies of the posts
+   */
+  applyToPosts(posts, context) {
+    const marked = posts.map(post => ({ ...post }));
+    const pending = [];
+
+    marked.forEach(post => {
+      setMarks(post, this.match(post, context));
+      if (post.hiddenBy && post.hiddenBy.action === 'hideReplies') pending.push(post);
+    });
+
+    // Replies of replies get the match of the post that started the chain
+    while (pending.length) {
+      const hiddenPost = pending.shift();
+      marked.forEach(reply => {
+        if (reply.hidden) return;
+        const repliesToHidden = (reply.quotes || []).some(quote =>
+          quote.postId === String(hiddenPost.id) && !quote.crossThread && !quote.crossBoard);
+        if (!repliesToHidden) return;
+
+        reply.hidden = true;
+        reply.hiddenBy = { ...hiddenPost.hiddenBy, via: String(hiddenPost.id) };
+        pending.push(reply);
+      });
+    }
+
+    return marked;
+  }
+
+  /**
+   * Mark a thread from getThread: its posts, and the thread itself from its OP
+   * @param {Object} thread - ThreadDetail, left unchanged
+   * @returns {Object} - Marked copy of the thread and its posts
+   */
+  applyToThread(thread) {
+    const posts = this.applyToPosts((thread.op ? [thread.op] : []).concat(thread.posts || []),
+      { boardId: thread.board, subject: thread.title });
+
+    const marked = { ...thread };
+    if (thread.op) marked.op = posts.shift();
+    if (thread.posts) marked.posts = posts;
+
+    const op = marked.op || {};
+    marked.hidden = Boolean(op.hidden);
+    marked.hiddenBy = op.hiddenBy || null;
+    marked.highlighted = Boolean(op.highlighted);
+    marked.highlightedBy = op.highlightedBy || [];
+    marked.pinned = Boolean(op.pinned);
+    marked.pinnedBy = op.pinnedBy || null;
+    return marked;
+  }
+
+  /**
+   * Mark a thread list from getThreads, and the preview replies of board
+   * index threads
+   * @param {Array<Object>} threads - Threads, left unchanged
+   * @param {string} boardId - Board the list is from
+   * @returns {Array<Object>} - New list of marked copies with pinned threads
+   *   first, keeping the list's page, staleness and diagnostics properties
+   */
+  applyToThreads(threads, boardId) {
+    const marked = threads.map(thread => {
+      const copy = { ...thread };
+      setMarks(copy, this.match(copy, { boardId: thread.board || boardId }));
+      if (thread.previewPosts) {
+        copy.previewPosts = this.applyToPosts(thread.previewPosts, { boardId: thread.board || boardId, subject: thread.title });
+      }
+      return copy;
+    });
+
+    const arranged = marked.filter(thread => thread.pinned).concat(marked.filter(thread => !thread.pinned));
+    Object.keys(threads)
+      .filter(key => !/^\d+$/.test(key))
+      .forEach(key => { arranged[key] = threads[key]; });
+    return arranged;
+  }
+
+  /**
+   * @returns {Object} - { version, rules }, for FilterSet.fromJSON
+   */
+  toJSON() {
+    return { version: FILTERS_VERSION, rules: this.list() };
+  }
+}
+
+module.exports = FilterSet;
+module.exports.FILTERS_VERSION = FILTERS_VERSION;
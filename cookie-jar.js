@@ -0,0 +1,412 @@
+/**
+ * BharatChan cookie jar
+ * Stores cookies the way RFC 6265 (section 5) describes, so tokens set by
+ * the site come back only where and while the site meant them to:
+ * - Set-Cookie values keep everything after the first '=', including
+ *   further '=' signs
+ * - Max-Age (which wins) or Expires ends a cookie; a date in the past
+ *   deletes it
+ * - Domain widens a cookie to subdomains, if the setting host is inside
+ *   the domain; without it the cookie is host-only
+ * - Path limits a cookie to a path prefix, by default the directory of the
+ *   URL that set it
+ * - Secure cookies go to https URLs only
+ * Public suffixes are not known to the jar; Domain attributes naming a
+ * single label (e.g. "com") are rejected instead.
+ *
+ * Cookie:
+ * {
+ *   name: string,
+ *   value: string,
+ *   domain: string,    // Host or domain, lower case, without a leading dot
+ *   path: string,
+ *   expires: number,   // Expiry in milliseconds since epoch (null for a session cookie)
+ *   secure: boolean,
+ *   httpOnly: boolean,
+ *   sameSite: string,  // 'Strict', 'Lax', 'None' or null
+ *   hostOnly: boolean, // Sent to domain itself only, not its subdomains
+ *   creation: number,  // When the cookie was first set
+ *   lastAccess: number // When the cookie was last set or sent
+ * }
+ *
+ * CookieSessions keeps one CookieJar per session name, so several
+ * identities can share a process without their cookies mixing. Jars and
+ * sessions survive restarts through toJSON()/fromJSON(), or save() and
+ * load() for a file. Session cookies (no expiry) are saved too, since a
+ * restarted client is still the same session to the site.
+ */
+
+const fs = require('fs');
+const net = require('net');
+const { writeFileAtomic } = require('./atomic-file');
+
+const COOKIE_JAR_VERSION = 1;
+
+/**
+ * Whether a host is inside a cookie domain (RFC 6265 section 5.1.3)
+ * @private
+ */
+function domainMatch(host, domain) {
+  if (host === domain) return true;
+  return host.endsWith(`.${domain}`) && !net.isIP(host);
+}
+
+/**
+ * Default cookie path for a request path (RFC 6265 section 5.1.4)
+ * @private
+ */
+function defaultPath(requestPath) {
+  if (!requestPath || !requestPath.startsWith('/')) return '/';
+  const lastSlash = requestPath.lastIndexOf('/');
+  return lastSlash === 0 ? '/' : requestPath.slice(0, lastSlash);
+}
+
+/**
+ * Whether a request path is inside a cookie path (RFC 6265 section 5.1.4)
+ * @private
+ */
+function pathMatch(requestPath, cookiePath) {
+  if (requestPath === cookiePath) return true;
+  if (!requestPath.startsWith(cookiePath)) return false;
+  return cookiePath.endsWith('/') || requestPath[cookiePath.length] === '/';
+}
+
+/**
+ * Parse a Set-Cookie header value (RFC 6265 section 5.2)
+ * @param {string} header - One Set-Cookie header value
+ * @param {number} [now=Date.now()] - Current time, for Max-Age
+ * @returns {Object|null} - name, value and the attributes given, or null
+ *   for a header the RFC says to ignore
+ */
+function parseSetCookie(header, now = Date.now()) {
+  const [pair, ...attributes] = String(header).split(';');
+  const separator = pair.indexOf('=');
+  if (separator === -1) return null;
+
+  const name = pair.slice(0, separator).trim();
+  if (!name) return null;
+
+  const cookie = {
+    name,
+    value: pair.slice(separator + 1).trim(),
+    domain: null,
+    path: null,
+    expires: null,
+    maxAge: null,
+    secure: false,
+    httpOnly: false,
+    sameSite: null
+  };
+
+  attributes.forEach(attribute => {
+    const equals = attribute.indexOf('=');
+    const key = (equals === -1 ? attribute : attribute.slice(0, equals)).trim().toLowerCase();
+    const value = equals === -1 ? '' : attribute.slice(equals + 1).trim();
+
+    switch (key) {
+      case 'expires': {
+        const time = Date.parse(value);
+        if (!Number.isNaN(time)) cookie.expires = time;
+        break;
+      }
+      case 'max-age':
+        if (/^-?\d+$/.test(value)) {
+          const seconds = parseInt(value, 10);
+          cookie.maxAge = seconds <= 0 ? 0 : now + seconds * 1000;
+        }
+        break;
+      case 'domain':
+        if (value) cookie.domain = value.replace(/^\./, '').toLowerCase();
+        break;
+      case 'path':
+        cookie.path = value.startsWith('/') ? value : null;
+        break;
+      case 'secure':
+        cookie.secure = true;
+        break;
+      case 'httponly':
+        cookie.httpOnly = true;
+        break;
+      case 'samesite': {
+        const sameSite = ['Strict', 'Lax', 'None'].find(option => option.toLowerCase() === value.toLowerCase());
+        if (sameSite) cookie.sameSite = sameSite;
+        break;
+      }
+      default:
+        // Unknown attributes are ignored
+    }
+  });
+
+  return cookie;
+}
+
+class CookieJar {
+  constructor() {
+    // `${domain};${path};${name}` -> Cookie
+    this.cookies = new Map();
+  }
+
+  /**
+   * Key identifying a cookie: a new cookie with the same name, domain and
+   * path replaces the old one
+   * @private
+   */
+  static key(cookie) {
+    return `${cookie.domain};${cookie.path};${cookie.name}`;
+  }
+
+  /**
+   * Store the cookie of a Set-Cookie header (RFC 6265 section 5.3)
+   * @param {string} header - Set-Cookie header value
+   * @param {string} url - URL of the response that set it
+   * @param {number} [now=Date.now()] - Current time
+   * @returns {boolean} - Whether the jar changed
+   */
+  setCookie(header, url, now = Date.now()) {
+    const parsed = parseSetCookie(header, now);
+    if (!parsed) return false;
+
+    const { hostname, pathname } = new URL(url);
+    const host = hostname.toLowerCase().replace(/^\[|\]$/g, '');
+
+    let domain = host;
+    let hostOnly = true;
+    if (parsed.domain && parsed.domain !== host) {
+      // A host may only widen a cookie to a domain it belongs to, and never to a bare TLD
+      if (!domainMatch(host, parsed.domain) || !parsed.domain.includes('.')) return false;
+      domain = parsed.domain;
+      hostOnly = false;
+    }
+
+    const cookie = {
+      name: parsed.name,
+      value: parsed.value,
+      domain,
+      path: parsed.path || defaultPath(pathname),
+      expires: parsed.maxAge !== null ? parsed.maxAge : parsed.expires,
+      secure: parsed.secure,
+      httpOnly: parsed.httpOnly,
+      sameSite: parsed.sameSite,
+      hostOnly,
+      creation: now,
+      lastAccess: now
+    };
+
+    const key = CookieJar.key(cookie);
+    const existing = this.cookies.get(key);
+
+    // An expiry in the past is how servers delete cookies
+    if (cookie.expires !== null && cookie.expires <= now) {
+      return this.cookies.delete(key);
+    }
+
+    if (existing) cookie.creation = existing.creation;
+    this.cookies.set(key, cookie);
+    return true;
+  }
+
+  /**
+   * Cookies to send to a URL, most specific path first (RFC 6265 section 5.4)
+   * @param {string} url - Request URL
+   * @param {number} [now=Date.now()] - Current time
+   * @returns {Array<Object>} - Cookies
+   */
+  getCookies(url, now = Date.now()) {
+    const { protocol, hostname, pathname } = new URL(url);
+    const host = hostname.toLowerCase().replace(/^\[|\]$/g, '');
+    this.removeExpired(now);
+
+    return Array.from(this.cookies.values())
+      .filter(cookie => (cookie.hostOnly ? host === cookie.domain : domainMatch(host, cookie.domain)))
+      .filter(cookie => pathMatch(pathname || '/', cookie.path))
+      .filter(cookie => !cookie.secure || protocol === 'https:')
+      .sort((a, b) => b.path.length - a.path.length || a.creation - b.creation);
+  }
+
+  /**
+   * Cookie request header for a URL
+   * @param {string} url - Request URL
+   * @param {number} [now=Date.now()] - Current time
+   * @returns {string} - Header value, empty if no cookie applies
+   */
+  getCookieHeader(url, now = Date.now()) {
+    const cookies = this.getCookies(url, now);
+    cookies.forEach(cookie => {
+      cookie.lastAccess = now;
+    });
+    return cookies.map(cookie => `${cookie.name}=${cookie.value}`).join('; ');
+  }
+
+  /**
+   * Remove cookies
+   * @param {Object} [filter] - Only cookies matching every given field
+   * @param {string} [filter.domain] - Cookie domain
+   * @param {string} [filter.name] - Cookie name
+   * @returns {number} - Number of cookies removed
+   */
+  removeCookies(filter = {}) {
+    let removed = 0;
+    this.cookies.forEach((cookie, key) => {
+      if (filter.domain !== undefined && cookie.domain !== filter.domain.toLowerCase()) return;
+      if (filter.name !== undefined && cookie.name !== filter.name) return;
+      this.cookies.delete(key);
+      removed++;
+    });
+    return removed;
+  }
+
+  /**
+   * Drop expired cookies
+   * @param {number} [now=Date.now()] - Current time
+   */
+  removeExpired(now = Date.now()) {
+    this.cookies.forEach((cookie, key) => {
+      if (cookie.expires !== null && cookie.expires <= now) this.cookies.delete(key);
+    });
+  }
+
+  /**
+   * Every cookie in the jar
+   * @returns {Array<Object>}
+   */
+  list() {
+    return Array.from(this.cookies.values()).map(cookie => ({ ...cookie }));
+  }
+
+  clear() {
+    this.cookies.clear();
+  }
+
+  /**
+   * Serializable jar, without expired cookies
+   * @returns {Object}
+   */
+  toJSON() {
+    this.removeExpired();
+    return {
+      version: COOKIE_JAR_VERSION,
+      cookies: this.list()
+    };
+  }
+
+  /**
+   * Restore a jar from toJSON() output
+   * @param {Object|string} data - Jar, as an object or JSON string
+   * @returns {CookieJar}
+   */
+  static fromJSON(data) {
+    const saved = typeof data === 'string' ? JSON.parse(data) : data;
+    if (!saved || saved.version !== COOKIE_JAR_VERSION) {
+      throw new Error('Unsupported cookie jar version');
+    }
+
+    const jar = new CookieJar();
+    saved.cookies.forEach(cookie => jar.cookies.set(CookieJar.key(cookie), { ...cookie }));
+    jar.removeExpired();
+    return jar;
+  }
+}
+
+class CookieSessions {
+  constructor() {
+    // Session name -> CookieJar
+    this.jars = new Map();
+  }
+
+  /**
+   * Cookie jar of a session, created empty the first time
+   * @param {string} [name='default'] - Session name
+   * @returns {CookieJar}
+   */
+  get(name = 'default') {
+    if (!this.jars.has(name)) this.jars.set(name, new CookieJar());
+    return this.jars.get(name);
+  }
+
+  /**
+   * @param {string} name - Session name
+   * @returns {boolean}
+   */
+  has(name) {
+    return this.jars.has(name);
+  }
+
+  /**
+   * Forget a session and its cookies
+   * @param {string} name - Session name
+   * @returns {boolean} - Whether the session existed
+   */
+  delete(name) {
+    return this.jars.delete(name);
+  }
+
+  /**
+   * @returns {Array<string>} - Session names
+   */
+  names() {
+    return Array.from(this.jars.keys());
+  }
+
+  /**
+   * Serializable sessions
+   * @returns {Object}
+   */
+  toJSON() {
+    const sessions = {};
+    this.jars.forEach((jar, name) => {
+      sessions[name] = jar.toJSON().cookies;
+    });
+    return { version: COOKIE_JAR_VERSION, sessions };
+  }
+
+  /**
+   * Restore sessions from toJSON() output
+   * @param {Object|string} data - Sessions, as an object or JSON string
+   * @returns {CookieSessions}
+   */
+  static fromJSON(data) {
+    const saved = typeof data === 'string' ? JSON.parse(data) : data;
+    if (!saved || saved.version !== COOKIE_JAR_VERSION) {
+      throw new Error('Unsupported cookie jar version');
+    }
+
+    const sessions = new CookieSessions();
+    Object.entries(saved.sessions).forEach(([name, cookies]) => {
+      sessions.jars.set(name, CookieJar.fromJSON({ version: saved.version, cookies }));
+    });
+    return sessions;
+  }
+
+  /**
+   * Write every session to a JSON file
+   * @param {string} file - File path (directories are created if missing)
+   * @returns {Promise<void>}
+   */
+  async save(file) {
+    await writeFileAtomic(file, JSON.stringify(this.toJSON()));
+  }
+
+  /**
+   * Replace the sessions with those saved in a JSON file. A missing file
+   * leaves the sessions as they are.
+   * @param {string} file - File path
+   * @returns {Promise<void>}
+   */
+  async load(file) {
+    let contents;
+    try {
+      contents = await fs.promises.readFile(file, 'utf8');
+    } catch (error) {
+      if (error.code === 'ENOENT') return;
+      throw error;
+    }
+
+    this.jars = CookieSessions.fromJSON(contents).jars;
+  }
+}
+
+module.exports = {
+  CookieJar,
+  CookieSessions,
+  parseSetCookie
+};
@@ -0,0 +1,163 @@
+/**
+ * BharatChan API errors
+ * Every error thrown by BharatChanAPI extends BharatChanError and carries
+ * the HTTP status and URL of the request that failed, when known.
+ *
+ * - NetworkError:         No usable response (DNS, connection reset, 5xx)
+ * - TimeoutError:         The call did not finish within its timeout (a NetworkError)
+ * - AbortError:           The caller cancelled the call through its AbortSignal
+ * - NotFoundError:        Board, thread or page does not exist (404)
+ * - RateLimitError:       Server asked us to slow down (429); retryAfter in ms
+ * - BannedError:          Posting or browsing is blocked by a ban
+ * - FloodError:           Posting too fast; cooldown in ms until the next post
+ * - CaptchaRequiredError: The action needs a solved captcha
+ * - CaptchaFailedError:   The captcha answer was wrong or expired (a CaptchaRequiredError)
+ * - ParseError:           The page did not have the expected structure
+ * - PostRejectedError:    The site refused a post for another reason
+ * - DuplicateFileError:   The attached file was already posted (a PostRejectedError)
+ * - FileTooLargeError:    The attached file is over the size limit (a PostRejectedError)
+ * - UnsupportedFileTypeError: The attached file is of a type the board does not
+ *                         accept (a PostRejectedError)
+ */
+
+class BharatChanError extends Error {
+  /**
+   * @param {string} message - Error message
+   * @param {Object} [details]
+   * @param {number} [details.status] - HTTP status code
+   * @param {string} [details.url] - Requested URL
+   * @param {Error} [details.cause] - Underlying error
+   */
+  constructor(message, details = {}) {
+    super(message);
+    this.name = this.constructor.name;
+    this.status = details.status || null;
+    this.url = details.url || null;
+    if (details.cause) this.cause = details.cause;
+  }
+}
+
+class NetworkError extends BharatChanError {}
+
+class TimeoutError extends NetworkError {}
+
+class AbortError extends BharatChanError {}
+
+class NotFoundError extends BharatChanError {}
+
+class RateLimitError extends BharatChanError {
+  /**
+   * @param {string} message - Error message
+   * @param {Object} [details] - Same as BharatChanError, plus:
+   * @param {number} [details.retryAfter] - Milliseconds to wait before retrying
+   */
+  constructor(message, details = {}) {
+    super(message, details);
+    this.retryAfter = details.retryAfter || null;
+  }
+}
+
+class BannedError extends BharatChanError {
+  /**
+   * @param {string} message - Error message, usually the ban reason shown by the site
+   * @param {Object} [details] - Same as BharatChanError, plus:
+   * @param {string} [details.reason] - Ban reason
+   */
+  constructor(message, details = {}) {
+    super(message, details);
+    this.reason = details.reason || message;
+  }
+}
+
+class FloodError extends BharatChanError {
+  /**
+   * @param {string} message - Error message
+   * @param {Object} [details] - Same as BharatChanError, plus:
+   * @param {number} [details.cooldown] - Milliseconds until posting is allowed again
+   */
+  constructor(message, details = {}) {
+    super(message, details);
+    this.cooldown = details.cooldown || null;
+  }
+}
+
+class CaptchaRequiredError extends BharatChanError {
+  /**
+   * @param {string} message - Error message
+   * @param {Object} [details] - Same as BharatChanError, plus:
+   * @param {Object} [details.challenge] - Captcha challenge that went unsolved
+   */
+  constructor(message, details = {}) {
+    super(message, details);
+    this.challenge = details.challenge || null;
+  }
+}
+
+class CaptchaFailedError extends CaptchaRequiredError {}
+
+class ParseError extends BharatChanError {}
+
+class PostRejectedError extends BharatChanError {}
+
+class DuplicateFileError extends PostRejectedError {}
+
+class FileTooLargeError extends PostRejectedError {
+  /**
+   * @param {string} message - Error message
+   * @param {Object} [details] - Same as BharatChanError, plus:
+   * @param {number} [details.maxSize] - Size limit in bytes, if the site named it
+   */
+  constructor(message, details = {}) {
+    super(message, details);
+    this.maxSize = details.maxSize || null;
+  }
+}
+
+class UnsupportedFileTypeError extends PostRejectedError {
+  /**
+   * @param {string} message - Error message
+   * @param {Object} [details] - Same as BharatChanError, plus:
+   * @param {string} [details.mimeType] - Type of the refused file, if known
+   * @param {Array<string>} [details.allowedTypes] - Types the board accepts, if known
+   */
+  constructor(message, details = {}) {
+    super(message, details);
+    this.mimeType = details.mimeType || null;
+    this.allowedTypes = details.allowedTypes || null;
+  }
+}
+
+/**
+ * Parse a Retry-After header value (seconds or HTTP date)
+ * @param {string} value - Header value
+ * @returns {number|null} - Milliseconds to wait
+ */
+function parseRetryAfter(value) {
+  if (!value) return null;
+
+  if (/^\d+$/.test(String(value).trim())) {
+    return parseInt(value, 10) * 1000;
+  }
+
+  const date = Date.parse(value);
+  return isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+module.exports = {
+  BharatChanError,
+  NetworkError,
+  TimeoutError,
+  AbortError,
+  NotFoundError,
+  RateLimitError,
+  BannedError,
+  FloodError,
+  CaptchaRequiredError,
+  CaptchaFailedError,
+  ParseError,
+  PostRejectedError,
+  DuplicateFileError,
+  FileTooLargeError,
+  UnsupportedFileTypeError,
+  parseRetryAfter
+};
@@ -0,0 +1,1134 @@
+/**
+ * BharatChan HTML adapter
+ * Reads boards, threads and posts from a site's HTML pages, driven by a
+ * selector profile (see selector-profile.js)
+ *
+ * Site adapter interface:
+ * {
+ *   name: string,
+ *   fields: { title, text, image },  // Form field names used when posting
+ *   fallbackBoards: Array<Board>,    // Boards to offer when the homepage fails
+ *   searchParams: Object|null,       // Search filter query parameter names
+ *   supports(page): boolean,         // Whether the site has the given page
+ *   path(page, params): string,      // Site-relative URL of a page: boards, board,
+ *                                    // boardIndex, catalog, thread, threadPage,
+ *                                    // search, createThread or reply
+ *   parseBoards(data, context): Array<Board>,
+ *   parseThreads(data, boardId, context): Array<Thread>,  // Catalog page
+ *   parseBoardIndex(data, boardId, context): Array<Thread>, // Index page, with previews
+ *   parseThread(data, boardId, threadId, context): ThreadDetail,
+ *   parseSearch(data, context): Array<SearchResult>,
+ *   parsePostForm(data, params): PostForm, // Post form of a board or thread page
+ *   parseError(data): { message, banReason, banned },
+ *   parsePostResult(data, params): PostResult, // Page or JSON answering a post
+ *   threadIdFromUrl(url): string|null,
+ *   postIdFromUrl(url): string|null
+ * }
+ *
+ * PostForm:
+ * {
+ *   fields: Object,            // Default values to send back (hidden inputs, CSRF token)
+ *   fileFields: Array<string>, // File input names, in order
+ *   multipleFiles: boolean,    // A file input takes several files
+ *   required: Array<string>,   // Names of required controls
+ *   accept: Array<string>,     // File types the file inputs accept, empty for any
+ *   maxFileSize: number,       // Upload limit the form states, in bytes (null if none)
+ *   captcha: CaptchaInfo|null  // Captcha the form asks to solve
+ * }
+ *
+ * CaptchaInfo:
+ * {
+ *   type: string,        // 'image' (type the text in a picture) or 'token'
+ *                        // (a widget identified by siteKey that yields a token)
+ *   answerField: string, // Field the answer goes in
+ *   idField: string,     // Field echoing the challenge ID, if any
+ *   id: string,          // Challenge ID
+ *   imageUrl: string,    // Challenge picture, for image captchas; may be
+ *                        // site-relative or a data: URL
+ *   siteKey: string,     // Widget key, for token captchas
+ *   ttl: number          // Seconds the challenge stays valid, null if unknown
+ * }
+ *
+ * PostResult:
+ * {
+ *   threadId: string,  // Thread the answer points to, if any
+ *   postId: string,    // Created post, if the answer names it
+ *   message: string,   // Error message shown instead, if any
+ *   banned: boolean,
+ *   banReason: string,
+ *   formShown: boolean // The answer is the post form again, still holding the text
+ * }
+ *
+ * Thread lists carry page, pageCount and hasNextPage properties; the last
+ * two are null when the page does not tell.
+ *
+ * data is the response body, context is
+ * { baseURL, strict, markup, page, query, status, url, diagnostics }. In strict mode,
+ * parse methods throw ParseError instead of guessing at the page structure.
+ * context.diagnostics, when given, is a ParseDiagnostics recorder that
+ * parse methods report selector matches and fallbacks to.
+ */
+
+const cheerio = require('cheerio');
+const { parseMarkup } = require('./comment-markup');
+const { loadProfile, fillTemplate } = require('./selector-profile');
+const {
+  absoluteUrl,
+  parseFileSize,
+  parseTimestamp,
+  parseQuotes,
+  buildReplyGraph,
+  parseForm,
+  parseJsonPostResult,
+  refreshUrl
+} = require('./post-parsing');
+const ParseDiagnostics = require('./parse-diagnostics');
+const { BharatChanError, ParseError } = require('./errors');
+
+/**
+ * Case-insensitive ranges of the query's words in a text
+ * @private
+ * @param {string} text - Text to search
+ * @param {string} query - Search query
+ * @returns {Array<{start: number, end: number}>}
+ */
+function findMatches(text, query) {
+  const lowerText = text.toLowerCase();
+  const terms = query.toLowerCase().split(/\s+/).map(term => term.replace(/^[-+"']+|["']+$/g, '')).filter(Boolean);
+  const matches = [];
+
+  terms.forEach(term => {
+    let index = lowerText.indexOf(term);
+    while (index !== -1) {
+      matches.push({ start: index, end: index + term.length });
+      index = lowerText.indexOf(term, index + term.length);
+    }
+  });
+
+  return matches;
+}
+
+/**
+ * Sort ranges and join the ones that overlap or touch
+ * @private
+ * @param {Array<{start: number, end: number}>} ranges
+ * @returns {Array<{start: number, end: number}>}
+ */
+function mergeRanges(ranges) {
+  const merged = [];
+  ranges
+    .slice()
+    .sort((a, b) => a.start - b.start)
+    .forEach(range => {
+      const last = merged[merged.length - 1];
+      if (last && range.start <= last.end) {
+        last.end = Math.max(last.end, range.end);
+      } else {
+        merged.push({ ...range });
+      }
+    });
+  return merged;
+}
+
+class HtmlAdapter {
+  /**
+   * @param {Object|string} [profile] - Selector profile, JSON string or file
+   *   path, merged over the bundled bharatchan profile
+   */
+  constructor(profile) {
+    this.profile = loadProfile(profile);
+    this.name = this.profile.name;
+    this.fields = this.profile.fields;
+    this.fallbackBoards = this.profile.boards.fallback || [];
+    this.searchParams = this.profile.searchParams || null;
+
+    // Compile the profile's patterns once
+    this.patterns = {};
+    Object.entries(this.profile.patterns).forEach(([name, source]) => {
+      this.patterns[name] = new RegExp(source, 'i');
+    });
+  }
+
+  /**
+   * @param {string} page - Page name
+   * @returns {boolean}
+   */
+  supports(page) {
+    return Boolean(this.profile.paths[page]);
+  }
+
+  /**
+   * Site-relative URL of a page
+   * @param {string} page - Page name, e.g. "thread"
+   * @param {Object} [params] - boardId, threadId, page, pageIndex, query
+   * @returns {string}
+   */
+  path(page, params = {}) {
+    const firstPageTemplate = params.page === 1 ? this.profile.paths[`${page}First`] : null;
+    const template = firstPageTemplate || this.profile.paths[page];
+    if (!template) {
+      throw new BharatChanError(`The ${this.name} profile does not support ${page}`);
+    }
+    return fillTemplate(template, params, true);
+  }
+
+  /**
+   * @param {string} url - Thread URL, e.g. a post redirect
+   * @returns {string|null}
+   */
+  threadIdFromUrl(url) {
+    const threadMatch = (url || '').match(this.patterns.threadLink);
+    return threadMatch ? threadMatch[1] : null;
+  }
+
+  /**
+   * @param {string} url - Post URL, e.g. a post redirect
+   * @returns {string|null} - Post ID from the URL's anchor
+   */
+  postIdFromUrl(url) {
+    const postMatch = (url || '').match(this.patterns.postAnchor);
+    return postMatch ? postMatch[1] : null;
+  }
+
+  /**
+   * Full URL of a thread page
+   * @private
+   */
+  threadUrl(boardId, threadId, context) {
+    return absoluteUrl(this.path('threadPage', { boardId, threadId }), context.baseURL);
+  }
+
+  /**
+   * Parse the homepage board list
+   * @param {string} data - Homepage HTML
+   * @param {Object} context - Parse context
+   * @returns {Array<Object>}
+   */
+  parseBoards(data, context) {
+    const $ = cheerio.load(data);
+    const diagnostics = context.diagnostics || new ParseDiagnostics();
+    const selectors = this.profile.selectors.boards;
+    const boards = [];
+
+    // Try each selector until we find something
+    let foundBoards = false;
+    for (const selector of selectors.items) {
+      let skipped = 0;
+
+      $(selector).each((i, element) => {
+        const boardLink = $(element).is('a') ? $(element) : $(element).find('a').first();
+        const href = boardLink.attr('href') || '';
+        const boardMatch = href.match(this.patterns.boardLink);
+
+        if (boardMatch && boardMatch[1]) {
+          const boardId = boardMatch[1];
+          const name = boardLink.text().trim();
+
+          // Skip if this board ID is already in our results
+          if (boards.some(b => b.id === boardId)) {
+            skipped++;
+            return;
+          }
+
+          // Get description if it exists
+          let description = '';
+          if (selectors.description && $(element).find(selectors.description).length) {
+            description = $(element).find(selectors.description).text().trim();
+          } else if (selectors.description && $(element).next(selectors.description).length) {
+            description = $(element).next(selectors.description).text().trim();
+          }
+
+          boards.push({
+            id: boardId,
+            name: name || boardId,
+            description
+          });
+
+          foundBoards = true;
+        } else {
+          skipped++;
+        }
+      });
+
+      if (foundBoards) {
+        diagnostics.hit('boards', selector, boards.length);
+        diagnostics.skip('notBoardLink', skipped);
+        break;
+      }
+    }
+
+    // If still no boards found, try a more aggressive approach by parsing all links
+    if (boards.length === 0) {
+      console.log('No boards found using standard selectors. Trying to parse all links...');
+      diagnostics.miss('boards');
+      diagnostics.fallback('allLinks', { penalty: 0.4, heuristic: true });
+
+      // Extract all links that might be boards
+      $('a').each((i, element) => {
+        const href = $(element).attr('href') || '';
+        const boardMatch = href.match(this.patterns.boardLink);
+
+        if (boardMatch && boardMatch[1]) {
+          const boardId = boardMatch[1];
+
+          // Skip if this board ID is already in our results
+          if (boards.some(b => b.id === boardId)) return;
+
+          // Get text and clean it
+          const name = $(element).text().trim();
+
+          boards.push({
+            id: boardId,
+            name: name || boardId,
+            description: ''
+          });
+        }
+      });
+    }
+
+    // In strict mode, an empty board list means the page changed
+    if (boards.length === 0 && context.strict) {
+      throw new ParseError('No boards found on the homepage', { status: context.status, url: context.url });
+    }
+
+    // Add common boards as fallback if nothing found
+    if (boards.length === 0) {
+      console.log('No boards found in HTML. Using fallback board list.');
+      diagnostics.fallback('commonBoards', { penalty: 0.1, heuristic: true });
+
+      (this.profile.boards.common || []).forEach(boardId => {
+        boards.push({
+          id: boardId,
+          name: `/${boardId}/ - Board`,
+          description: ''
+        });
+      });
+    }
+
+    // Boards the profile knows exist, in case the site structure is unusual
+    const knownBoards = context.strict ? [] : (this.profile.boards.known || []);
+    knownBoards.forEach(boardId => {
+      if (!boards.some(b => b.id === boardId)) {
+        if (!diagnostics.fallbacks.includes('knownBoards')) diagnostics.fallback('knownBoards');
+        boards.push({
+          id: boardId,
+          name: `/${boardId}/`,
+          description: 'Known board'
+        });
+      }
+    });
+
+    return boards;
+  }
+
+  /**
+   * Parse a catalog page
+   * @param {string} data - Catalog HTML
+   * @param {string} boardId - Board identifier
+   * @param {Object} context - Parse context
+   * @returns {Array<Object>}
+   */
+  parseThreads(data, boardId, context) {
+    const $ = cheerio.load(data);
+    const diagnostics = context.diagnostics || new ParseDiagnostics();
+    const selectors = this.profile.selectors.catalog;
+    const threads = [];
+
+    // Try each selector until we find thread elements
+    const selectedSelector = selectors.threads.find(selector => $(selector).length > 0);
+
+    if (selectedSelector) {
+      diagnostics.hit('threads', selectedSelector, $(selectedSelector).length);
+    } else {
+      diagnostics.miss('threads');
+    }
+
+    if (selectedSelector) {
+      // Process found threads with the working selector
+      $(selectedSelector).each((i, element) => {
+        // Try various attribute/selector combinations for thread ID
+        const threadId =
+          $(element).attr('data-id') ||
+          $(element).attr('id')?.replace(this.patterns.threadElementId, '') ||
+          $(element).attr('thread-id') ||
+          $(element).find('[data-thread-id]').attr('data-thread-id');
+
+        // Skip if we can't determine thread ID
+        if (!threadId) {
+          diagnostics.skip('noId');
+          return;
+        }
+
+        const titleElement = diagnostics.match('title', selector => $(element).find(selector), selectors.title, { optional: true });
+        const title = titleElement ? titleElement.text().trim() : '';
+
+        const textElement = diagnostics.match('text', selector => $(element).find(selector), selectors.text);
+        const text = textElement ? textElement.text().trim() : '';
+        const body = textElement && context.markup
+          ? parseMarkup($, textElement, { boardId, threadId, patterns: this.patterns })
+          : null;
+
+        // Try to find reply count
+        const countElement = diagnostics.match('replyCount', selector => $(element).find(selector), selectors.replyCount, { optional: true });
+        let replyCount = countElement ? parseInt(countElement.text().trim(), 10) || 0 : 0;
+
+        // Try to extract reply count from text content if no dedicated element found
+        if (replyCount === 0) {
+          const replyMatch = $(element).text().match(this.patterns.replyCount);
+          if (replyMatch && replyMatch[1]) {
+            replyCount = parseInt(replyMatch[1], 10) || 0;
+          }
+        }
+
+        const imageElement = diagnostics.match('image', selector => $(element).find(selector), selectors.image, { optional: true });
+        const imageUrl = imageElement ? imageElement.attr('src') || imageElement.attr('data-src') || '' : '';
+
+        threads.push({
+          id: threadId,
+          title: title || `Thread ${threadId}`,
+          text,
+          ...(context.markup ? { body } : {}),
+          replyCount,
+          imageUrl: absoluteUrl(imageUrl, context.baseURL),
+          timestamp: this.parseTime($(element).find(this.profile.selectors.post.time).first()),
+          board: boardId,
+          url: this.threadUrl(boardId, threadId, context)
+        });
+      });
+    }
+
+    // In strict mode, thread links without recognizable thread containers mean the page changed
+    const hasThreadLinks = () => $('a').filter((i, link) => this.patterns.threadLink.test($(link).attr('href') || '')).length > 0;
+    if (threads.length === 0 && context.strict && hasThreadLinks()) {
+      throw new ParseError(`Could not parse threads for board ${boardId}`, {
+        status: context.status,
+        url: context.url
+      });
+    }
+
+    // If no threads found, try to find them from the page in a different way
+    if (threads.length === 0 && !context.strict) {
+      console.log(`No threads found using standard selectors for board ${boardId}. Trying alternative parsing...`);
+      diagnostics.fallback('threadLinks', { penalty: 0.3, heuristic: true });
+
+      // Look for links that might be threads
+      $('a').each((i, element) => {
+        const href = $(element).attr('href') || '';
+        const threadMatch = href.match(this.patterns.threadLink);
+
+        if (threadMatch && threadMatch[1]) {
+          const threadId = threadMatch[1];
+
+          // Skip if this thread ID is already in our results
+          if (threads.some(t => t.id === threadId)) {
+            diagnostics.skip('duplicate');
+            return;
+          }
+
+          const title = $(element).text().trim() || `Thread ${threadId}`;
+
+          // Try to get the surrounding element for more context
+          const parentElement = $(element).parent().parent();
+          const text = parentElement.text().replace(title, '').trim();
+
+          threads.push({
+            id: threadId,
+            title,
+            text,
+            replyCount: 0,
+            imageUrl: '',
+            timestamp: null,
+            board: boardId,
+            url: this.threadUrl(boardId, threadId, context)
+          });
+        }
+      });
+    }
+
+    return Object.assign(threads, this.parsePagination($, context.page));
+  }
+
+  /**
+   * Parse a board index page, where each thread shows its OP and last few replies
+   * @param {string} data - Board page HTML
+   * @param {string} boardId - Board identifier
+   * @param {Object} context - Parse context
+   * @returns {Array<Object>} - Threads with op, previewPosts, omittedPosts and omittedImages
+   */
+  parseBoardIndex(data, boardId, context) {
+    const $ = cheerio.load(data);
+    const diagnostics = context.diagnostics || new ParseDiagnostics();
+    const selectors = this.profile.selectors.boardIndex;
+    const threads = [];
+
+    const selectedSelector = selectors.threads.find(selector => $(selector).length > 0);
+    if (!selectedSelector) {
+      diagnostics.miss('threads');
+
+      // Thread links without thread containers mean the page changed
+      const hasThreadLinks = $('a').filter((i, link) => this.patterns.threadLink.test($(link).attr('href') || '')).length > 0;
+      if (context.strict && hasThreadLinks) {
+        throw new ParseError(`Could not parse threads for board ${boardId}`, { status: context.status, url: context.url });
+      }
+      return Object.assign(threads, this.parsePagination($, context.page));
+    }
+    diagnostics.hit('threads', selectedSelector, $(selectedSelector).length);
+
+    $(selectedSelector).each((i, element) => {
+      const threadElement = $(element);
+      const opElement = diagnostics.match('op', selector => threadElement.find(selector), selectors.op);
+
+      const threadId =
+        threadElement.attr('data-id') ||
+        threadElement.attr('id')?.replace(this.patterns.threadElementId, '') ||
+        (opElement && opElement.attr('data-id'));
+
+      if (!threadId || !opElement) {
+        diagnostics.skip(threadId ? 'noOp' : 'noId');
+        return;
+      }
+
+      const postContext = { boardId, threadId, markup: Boolean(context.markup), baseURL: context.baseURL, diagnostics };
+      const op = { ...this.parsePost($, opElement, threadId, postContext), id: threadId };
+
+      // Preview replies, in page order
+      const previewPosts = [];
+      const replySelector = selectors.replies.find(selector => threadElement.find(selector).length > 0);
+      if (replySelector) {
+        threadElement.find(replySelector).each((j, replyElement) => {
+          if (replyElement === opElement.get(0)) return;
+          previewPosts.push(this.parsePost($, replyElement, `${threadId}_reply_${j + 1}`, postContext));
+        });
+      }
+      buildReplyGraph([op, ...previewPosts]);
+
+      // e.g. "12 posts and 3 images omitted"
+      const omittedText = threadElement.find(selectors.omitted).first().text();
+      const omittedPostsMatch = omittedText.match(this.patterns.omittedPosts);
+      const omittedImagesMatch = omittedText.match(this.patterns.omittedImages);
+      const omittedPosts = omittedPostsMatch ? parseInt(omittedPostsMatch[1], 10) : 0;
+      const omittedImages = omittedImagesMatch ? parseInt(omittedImagesMatch[1], 10) : 0;
+
+      const titleElement = diagnostics.match('title', selector => threadElement.find(selector), selectors.title, { optional: true });
+      const title = titleElement ? titleElement.text().trim() : '';
+
+      threads.push({
+        id: threadId,
+        title: title || `Thread ${threadId}`,
+        text: op.text,
+        ...(context.markup ? { body: op.body } : {}),
+        replyCount: previewPosts.length + omittedPosts,
+        imageUrl: op.file ? op.file.thumbnailUrl : '',
+        timestamp: op.timestamp,
+        board: boardId,
+        url: this.threadUrl(boardId, threadId, context),
+        op,
+        previewPosts,
+        omittedPosts,
+        omittedImages
+      });
+    });
+
+    return Object.assign(threads, this.parsePagination($, context.page));
+  }
+
+  /**
+   * Read the page links of a paginated view
+   * @private
+   * @param {CheerioAPI} $ - Loaded page
+   * @param {number} [page=1] - Current page
+   * @returns {{page: number, pageCount: number|null, hasNextPage: boolean|null}}
+   */
+  parsePagination($, page = 1) {
+    const selectors = this.profile.selectors.pagination;
+    let pageCount = null;
+
+    $(selectors.pages).each((i, link) => {
+      const hrefMatch = ($(link).attr('href') || '').match(this.patterns.pageNumber);
+      const number = hrefMatch ? parseInt(hrefMatch[1], 10) : parseInt($(link).text().replace(/[^\d]/g, ''), 10);
+      if (number && number > (pageCount || 0)) pageCount = number;
+    });
+    if (pageCount !== null) pageCount = Math.max(pageCount, page);
+
+    let hasNextPage = null;
+    if ($(selectors.next).length) {
+      hasNextPage = true;
+    } else if (pageCount !== null) {
+      hasNextPage = page < pageCount;
+    }
+
+    return { page, pageCount, hasNextPage };
+  }
+
+  /**
+   * Timestamp of a time element
+   * @private
+   * @param {Cheerio|null} timeElement
+   * @returns {number|null}
+   */
+  parseTime(timeElement) {
+    if (!timeElement || !timeElement.length) return null;
+    return parseTimestamp(
+      timeElement.attr('datetime') ||
+      timeElement.attr('data-utc') ||
+      timeElement.attr('data-timestamp') ||
+      timeElement.text()
+    );
+  }
+
+  /**
+   * Parse a thread page
+   * @param {string} data - Thread HTML
+   * @param {string} boardId - Board identifier
+   * @param {string} threadId - Thread identifier
+   * @param {Object} context - Parse context
+   * @returns {Object} - ThreadDetail
+   */
+  parseThread(data, boardId, threadId, context) {
+    const $ = cheerio.load(data);
+    const diagnostics = context.diagnostics || new ParseDiagnostics();
+    const selectors = this.profile.selectors.thread;
+
+    // Find thread element
+    const containerSelectors = selectors.container.map(selector => fillTemplate(selector, { boardId, threadId }));
+    let threadElement = diagnostics.match('container', selector => $(selector), containerSelectors);
+
+    if (!threadElement && context.strict) {
+      throw new ParseError(`Could not find thread ${threadId} in page`, {
+        status: context.status,
+        url: context.url
+      });
+    }
+
+    // If still not found, just use the main container
+    if (!threadElement) {
+      diagnostics.fallback('fallbackContainer', { penalty: 0.6, heuristic: true });
+      threadElement = diagnostics.match('fallbackContainer', selector => $(selector), selectors.fallbackContainer) || $('body');
+    }
+
+    let title = '';
+    const titleElement = diagnostics.match('title', selector => $(selector), selectors.title);
+    if (titleElement) {
+      title = titleElement.text().trim();
+    }
+
+    // If no title found, try to extract from page title
+    if (!title) {
+      diagnostics.fallback('pageTitle', { penalty: 0.95 });
+      const pageTitle = $('title').text().trim();
+      const titleMatch = pageTitle.match(this.patterns.pageTitle);
+      if (titleMatch && titleMatch[1]) {
+        title = titleMatch[1].trim();
+      } else {
+        title = `Thread ${threadId}`;
+      }
+    }
+
+    const textElement = diagnostics.match('text', selector => $(selector), selectors.text);
+    const text = textElement ? textElement.text().trim() : '';
+
+    // The OP's post ID, from the first OP candidate that carries one
+    const opPostId = selectors.op
+      .map(selector => threadElement.find(selector).attr('data-id'))
+      .find(Boolean) || threadId;
+
+    // Parse the OP with full metadata
+    const postContext = { boardId, threadId, markup: Boolean(context.markup), baseURL: context.baseURL, diagnostics };
+    const opElement = diagnostics.match('op', selector => threadElement.find(selector), selectors.op);
+    if (!opElement) {
+      diagnostics.fallback('opStub', { penalty: 0.7, heuristic: true });
+    }
+
+    const op = opElement
+      ? { ...this.parsePost($, opElement, opPostId, postContext), id: opPostId }
+      : { id: opPostId, text, imageUrl: '', timestamp: null, name: 'Anonymous', tripcode: '', posterId: '', flag: null, file: null, quotes: [], backlinks: [] };
+    if (text) op.text = text;
+
+    // Prefer the OP's full-size file over any thumbnail
+    let imageUrl = op.imageUrl;
+    if (!imageUrl) {
+      const imageElement = diagnostics.match('image', selector => $(selector), selectors.image, { optional: true });
+      if (imageElement) {
+        imageUrl = absoluteUrl(imageElement.attr('src') || imageElement.attr('data-src') || '', context.baseURL);
+      }
+    }
+
+    const posts = [];
+    let repliesFound = false;
+
+    for (const selector of selectors.replies) {
+      const replyElements = $(selector);
+
+      if (replyElements.length > 0) {
+        replyElements.each((i, element) => {
+          // Skip the OP if the selector also matched it
+          if (opElement && element === opElement.get(0)) {
+            diagnostics.skip('op');
+            return;
+          }
+
+          posts.push(this.parsePost($, element, `${threadId}_reply_${i+1}`, postContext));
+        });
+
+        diagnostics.hit('replies', selector, posts.length);
+        repliesFound = true;
+        break;
+      }
+    }
+
+    if (!repliesFound) {
+      diagnostics.miss('replies');
+    }
+
+    // If no replies found with standard selectors, look for any elements that might be replies
+    // Strict mode never guesses
+    if (!repliesFound && !context.strict) {
+      diagnostics.fallback('replyHeuristic', { penalty: 0.3, heuristic: true });
+
+      // This is a more aggressive approach that may include false positives
+      // but is better than showing no replies at all
+      $('div, article').each((i, element) => {
+        // Skip potential navigation, headers, etc.
+        if ($(element).find('nav, header, footer').length || $(element).parents('nav, header, footer').length) {
+          diagnostics.skip('navigation');
+          return;
+        }
+
+        // Skip short elements and elements without substantial text
+        const elementText = $(element).text().trim();
+        if (elementText.length < 20) {
+          diagnostics.skip('tooShort');
+          return;
+        }
+
+        // Skip if it looks like the OP post
+        if (elementText.includes(text) && text.length > 20) {
+          diagnostics.skip('op');
+          return;
+        }
+
+        // This might be a reply
+        const postId = `${threadId}_reply_${posts.length + 1}`;
+
+        posts.push({
+          ...this.parsePost($, element, postId, postContext),
+          id: postId,
+          text: elementText
+        });
+      });
+    }
+
+    // Link quotes and backlinks across the whole thread
+    buildReplyGraph([op, ...posts]);
+
+    // Thread status, from classes on the thread or status icons and notices
+    const status = this.profile.selectors.status;
+    const locked = threadElement.is(status.locked.thread) ||
+                   threadElement.find(status.locked.inside).length > 0;
+    const sticky = threadElement.is(status.sticky.thread) ||
+                   threadElement.find(status.sticky.inside).length > 0;
+    const archived = threadElement.is(status.archived.thread) ||
+                     $(status.archived.page).length > 0 ||
+                     this.patterns.archivedNotice.test($('body').text());
+
+    return {
+      id: threadId,
+      title,
+      text,
+      imageUrl,
+      board: boardId,
+      opPostId,
+      op,
+      posts,
+      locked,
+      sticky,
+      archived,
+      url: this.threadUrl(boardId, threadId, context)
+    };
+  }
+
+  /**
+   * Parse a single post element into a Post object
+   * @private
+   * @param {CheerioAPI} $ - Loaded page
+   * @param {Element} element - Post element
+   * @param {string} fallbackId - ID to use if none can be found in the markup
+   * @param {Object} context - Post context
+   * @param {string} context.boardId - Board the post belongs to
+   * @param {string} context.threadId - Thread the post belongs to
+   * @param {boolean} [context.markup] - Include the structured body
+   * @param {string} context.baseURL - Site base URL
+   * @param {ParseDiagnostics} context.diagnostics - Diagnostics recorder
+   * @returns {Object} - Post with metadata
+   */
+  parsePost($, element, fallbackId, context) {
+    const diagnostics = context.diagnostics;
+    const selectors = this.profile.selectors.post;
+    const quoteContext = { boardId: context.boardId, threadId: context.threadId, patterns: this.patterns };
+    const post = $(element);
+
+    // Extract post ID
+    const postId = post.attr('data-id') ||
+                   post.attr('id')?.replace(this.patterns.postElementId, '') ||
+                   fallbackId;
+
+    // Extract post text, or use the element's text
+    const textElement = diagnostics.match('post.text', selector => post.find(selector), selectors.text);
+    const bodyElement = textElement && textElement.text().trim() ? textElement : post;
+    const text = bodyElement.text().trim();
+
+    // Timestamp from machine-readable attributes first, then displayed text
+    const timeElement = diagnostics.match('post.time', selector => post.find(selector), selectors.time);
+    const timestamp = this.parseTime(timeElement);
+
+    const name = post.find(selectors.name).first().text().trim();
+    const tripcode = post.find(selectors.tripcode).first().text().trim();
+
+    // Poster IDs are often rendered as "ID: a1B2c3"
+    const posterIdElement = post.find(selectors.posterId).first();
+    const posterId = (posterIdElement.attr('data-poster-id') || posterIdElement.text())
+      .replace(/^\s*\(?\s*ID:?\s*/i, '')
+      .replace(/\)\s*$/, '')
+      .trim();
+
+    // Country or board flag
+    let flag = null;
+    const flagElement = post.find(selectors.flag).first();
+    if (flagElement.length) {
+      const flagUrl = flagElement.attr('src') || '';
+      const classMatch = (flagElement.attr('class') || '').match(/flag-([a-z0-9_]+)/i);
+      const fileMatch = flagUrl.match(/([^\/]+)\.(?:png|gif|svg|webp)$/i);
+      flag = {
+        code: (classMatch ? classMatch[1] : fileMatch ? fileMatch[1] : '').toLowerCase(),
+        name: flagElement.attr('title') || flagElement.attr('alt') || flagElement.text().trim(),
+        url: absoluteUrl(flagUrl, context.baseURL)
+      };
+    }
+
+    const file = this.parsePostFile($, post, context);
+
+    return {
+      id: postId,
+      text,
+      imageUrl: file ? file.url : '',
+      timestamp,
+      name: name || 'Anonymous',
+      tripcode,
+      posterId,
+      flag,
+      file,
+      quotes: parseQuotes($, bodyElement, quoteContext),
+      backlinks: [],
+      ...(context.markup ? { body: parseMarkup($, bodyElement, quoteContext) } : {})
+    };
+  }
+
+  /**
+   * Extract the attached file of a post
+   * @private
+   * @param {CheerioAPI} $ - Loaded page
+   * @param {Cheerio} element - Post element
+   * @param {Object} context - Post context
+   * @returns {Object|null} - File info or null if the post has no file
+   */
+  parsePostFile($, element, context) {
+    const selectors = this.profile.selectors.post;
+    let fileElement = context.diagnostics.match('post.file', selector => element.find(selector), selectors.file, { optional: true });
+
+    // Fall back to the first image that is not a flag or icon
+    const thumbnailElement = (fileElement || element)
+      .find('img')
+      .filter((i, img) => !$(img).is(selectors.notThumbnail))
+      .first();
+
+    if (!fileElement && !thumbnailElement.length) return null;
+    if (!fileElement) fileElement = thumbnailElement.parent();
+
+    const thumbnailUrl = thumbnailElement.attr('src') || thumbnailElement.attr('data-src') || '';
+
+    // The full-size file is the link wrapping the thumbnail, or a dedicated file link
+    const fileLink = thumbnailElement.closest('a').length
+      ? thumbnailElement.closest('a')
+      : fileElement.find(selectors.fileLink).first();
+    const url = fileLink.attr('href') || thumbnailUrl;
+
+    // Original filename, preferring explicit attributes over link text
+    const nameElement = fileElement.find(selectors.fileName).first();
+    let name = nameElement.attr('download') ||
+               nameElement.attr('title') ||
+               nameElement.text().trim() ||
+               fileLink.attr('download') ||
+               '';
+    if (!name && url) {
+      name = decodeURIComponent(url.split('/').pop().split('?')[0]);
+    }
+
+    // File info text, e.g. "(1.5 MB, 1920x1080)"
+    const infoText = fileElement.find(selectors.fileInfo).text() || fileElement.text();
+    const dimensionsMatch = infoText.match(/(\d+)\s*[x×]\s*(\d+)/);
+
+    return {
+      name,
+      size: parseFileSize(infoText),
+      width: dimensionsMatch ? parseInt(dimensionsMatch[1], 10) : null,
+      height: dimensionsMatch ? parseInt(dimensionsMatch[2], 10) : null,
+      thumbnailUrl: absoluteUrl(thumbnailUrl, context.baseURL),
+      url: absoluteUrl(url, context.baseURL),
+      // Engines that state the MD5 put it on the thumbnail, base64 encoded
+      md5: thumbnailElement.attr('data-md5') || fileElement.attr('data-md5') || null
+    };
+  }
+
+  /**
+   * Parse a search results page
+   * @param {string} data - Search page HTML
+   * @param {Object} context - Parse context; context.query is used to find
+   *   matches when the site does not highlight them
+   * @returns {Array<Object>} - Search results
+   */
+  parseSearch(data, context) {
+    const $ = cheerio.load(data);
+    const diagnostics = context.diagnostics || new ParseDiagnostics();
+    const selectors = this.profile.selectors.search;
+    const results = [];
+
+    if ($(selectors.results).length) {
+      diagnostics.hit('results', selectors.results, $(selectors.results).length);
+    } else {
+      diagnostics.miss('results');
+    }
+
+    $(selectors.results).each((i, element) => {
+      const title = $(element).find(selectors.title).text().trim();
+      const snippetElement = $(element).find(selectors.snippet).first();
+      const url = $(element).find(selectors.link).attr('href') || '';
+
+      // Extract board, thread and post IDs from URL
+      const boardMatch = url.match(this.patterns.boardLink);
+      const threadMatch = url.match(this.patterns.threadLink);
+      const postMatch = url.match(this.patterns.postAnchor);
+      const threadId = threadMatch ? threadMatch[1] : null;
+
+      // A link without a post anchor points at the OP
+      const postId = $(element).attr(selectors.postId) || (postMatch ? postMatch[1] : threadId);
+
+      const timeElement = diagnostics.match('time', selector => $(element).find(selector), selectors.time, { optional: true });
+
+      results.push({
+        title,
+        snippet: this.parseSnippet($, snippetElement, context.query),
+        url: absoluteUrl(url, context.baseURL),
+        boardId: boardMatch ? boardMatch[1] : null,
+        threadId,
+        postId,
+        isOp: Boolean(postId) && postId === threadId,
+        timestamp: this.parseTime(timeElement)
+      });
+    });
+
+    return Object.assign(results, this.parsePagination($, context.page));
+  }
+
+  /**
+   * Text of a search snippet with the ranges of its highlighted matches
+   * @private
+   * @param {CheerioAPI} $ - Loaded page
+   * @param {Cheerio} snippetElement - Snippet element
+   * @param {string} [query] - Search query, for snippets without highlighting
+   * @returns {{text: string, matches: Array<{start: number, end: number}>}}
+   */
+  parseSnippet($, snippetElement, query) {
+    const highlight = this.profile.selectors.search.highlight;
+    const rawText = snippetElement.text();
+    const ranges = [];
+    let offset = 0;
+
+    // Walk the text nodes in document order, so offsets line up with text()
+    const walk = (node, highlighted) => {
+      if (node.type === 'text') {
+        if (highlighted && node.data.length) ranges.push({ start: offset, end: offset + node.data.length });
+        offset += node.data.length;
+        return;
+      }
+      const isHighlight = highlighted || (node.type === 'tag' && Boolean(highlight) && $(node).is(highlight));
+      (node.children || []).forEach(child => walk(child, isHighlight));
+    };
+    snippetElement.contents().each((i, node) => walk(node, false));
+
+    const text = rawText.trim();
+    const leading = rawText.length - rawText.trimStart().length;
+    let matches = ranges
+      .map(range => ({
+        start: Math.max(range.start - leading, 0),
+        end: Math.min(range.end - leading, text.length)
+      }))
+      .filter(range => range.end > range.start);
+
+    if (matches.length === 0 && query) matches = findMatches(text, query);
+    return { text, matches: mergeRanges(matches) };
+  }
+
+  /**
+   * Read the post form of a board or thread page, so fields the site adds
+   * later are sent back without a code change
+   * @param {string} data - Form page HTML
+   * @param {Object} params - boardId and threadId of the post
+   * @returns {Object} - PostForm
+   */
+  parsePostForm(data, params) {
+    const $ = cheerio.load(typeof data === 'string' ? data : '');
+    const selectors = this.profile.selectors.form;
+
+    // Without a recognizable form, the page's hidden inputs are the best guess
+    const formSelector = [].concat(selectors.form || []).find(selector => $(selector).length > 0);
+    const form = formSelector
+      ? parseForm($, $(formSelector).first())
+      : { fields: {}, fileFields: [], multipleFiles: false, required: [], accept: [], maxFileSize: null };
+    if (!formSelector) {
+      $('input[type="hidden"]').each((i, input) => {
+        const name = $(input).attr('name');
+        if (name) form.fields[name] = $(input).attr('value') || '';
+      });
+    }
+
+    // CSRF token if present, wherever it is on the page
+    const csrfToken = $(selectors.csrf).val() || '';
+    if (csrfToken && this.fields.csrf) form.fields[this.fields.csrf] = csrfToken;
+
+    form.captcha = this.parseCaptcha($, formSelector ? $(formSelector).first() : $.root());
+    return form;
+  }
+
+  /**
+   * Find the captcha of a post form
+   * @private
+   * @param {CheerioAPI} $ - Loaded page
+   * @param {Cheerio} scope - Form element, or the page root
+   * @returns {Object|null} - CaptchaInfo
+   */
+  parseCaptcha($, scope) {
+    const selectors = this.profile.selectors.captcha;
+    if (!selectors) return null;
+
+    // The widget may sit just outside the form element
+    let container = scope.find(selectors.container).first();
+    if (!container.length) container = $(selectors.container).first();
+    if (!container.length) return null;
+
+    const answerInput = container.find(selectors.answer).first().length
+      ? container.find(selectors.answer).first()
+      : scope.find(selectors.answer).first();
+    const idInput = container.find(selectors.id).first().length
+      ? container.find(selectors.id).first()
+      : scope.find(selectors.id).first();
+    const image = container.is('img') ? container : container.find(selectors.image).first();
+    const siteKey = container.attr(selectors.siteKey) || container.find(`[${selectors.siteKey}]`).attr(selectors.siteKey) || '';
+
+    const ttlAttribute = selectors.ttl.split(',').map(name => name.trim())
+      .map(name => container.attr(name) || image.attr(name))
+      .find(value => value !== undefined);
+    const ttl = ttlAttribute ? parseInt(ttlAttribute, 10) || null : null;
+
+    if (siteKey) {
+      return {
+        type: 'token',
+        answerField: answerInput.attr('name') || container.attr('data-response-field') || 'captcha-response',
+        idField: idInput.attr('name') || null,
+        id: idInput.attr('value') || null,
+        imageUrl: '',
+        siteKey,
+        ttl
+      };
+    }
+
+    if (!image.length || !answerInput.length) return null;
+
+    return {
+      type: 'image',
+      answerField: answerInput.attr('name'),
+      idField: idInput.attr('name') || null,
+      id: idInput.attr('value') || null,
+      imageUrl: image.attr('src') || image.attr('data-src') || '',
+      siteKey: '',
+      ttl
+    };
+  }
+
+  /**
+   * Read the outcome of a post from the page the site answered with
+   * @param {string|Object} data - Response body; some sites answer with JSON
+   * @param {Object} params - boardId, threadId and text of the post
+   * @returns {Object} - PostResult
+   */
+  parsePostResult(data, params) {
+    if (data && typeof data === 'object') return parseJsonPostResult(data, this);
+
+    const $ = cheerio.load(typeof data === 'string' ? data : '');
+    const redirect = refreshUrl($);
+    const error = this.parseError(data);
+
+    // A rejected post often comes back as the form again, with the text still in it
+    const formSelector = [].concat(this.profile.selectors.form.form || []).find(selector => $(selector).length > 0);
+    const textField = formSelector && this.fields.text
+      ? $(formSelector).first().find(`[name="${this.fields.text}"]`).first()
+      : null;
+    const normalize = text => (text || '').replace(/\s+/g, ' ').trim();
+    const formShown = Boolean(textField && textField.length && params.text) &&
+      normalize(textField.is('textarea') ? textField.text() : textField.attr('value')) === normalize(params.text);
+
+    return {
+      threadId: this.threadIdFromUrl(redirect),
+      postId: this.postIdFromUrl(redirect),
+      message: error.message,
+      banned: error.banned,
+      banReason: error.banReason,
+      formShown
+    };
+  }
+
+  /**
+   * Read the error or ban message from an error page
+   * @param {string} data - Response body
+   * @returns {{message: string, banReason: string, banned: boolean}}
+   */
+  parseError(data) {
+    const $ = cheerio.load(typeof data === 'string' ? data : '');
+    const selectors = this.profile.selectors.errors;
+
+    // Sites re-show the thread or board page with a notice when they reject a
+    // post, so notices count there too; post text can say anything, "banned"
+    // included, so only matches outside posts do
+    const posts = this.postSelector();
+    const notice = selector => $(selector)
+      .filter((i, element) => !posts || $(element).closest(posts).length === 0)
+      .first();
+
+    const ban = notice(selectors.ban);
+    const message = notice(selectors.message).text().trim();
+    return {
+      message,
+      banReason: ban.text().trim(),
+      banned: ban.length > 0 || /\bbanned\b/i.test(message)
+    };
+  }
+
+  /**
+   * Selector matching every post on a thread or board page
+   * @private
+   * @returns {string} - Empty if the profile names no post selectors
+   */
+  postSelector() {
+    const { thread, boardIndex } = this.profile.selectors;
+    return [].concat(
+      (thread && thread.op) || [],
+      (thread && thread.replies) || [],
+      (boardIndex && boardIndex.op) || [],
+      (boardIndex && boardIndex.replies) || []
+    )
+      // Templated selectors such as div[id="thread_{threadId}"] need a thread ID
+      .filter(selector => !selector.includes('{'))
+      .join(', ');
+  }
+}
+
+module.exports = HtmlAdapter;
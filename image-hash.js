@@ -0,0 +1,417 @@
+/**
+ * BharatChan image hashes
+ * Perceptual hashes of thumbnails, for finding a picture posted again after
+ * it was re-encoded, resized or saved under another name, and an index of
+ * hashes that finds near-duplicates of an image
+ *
+ * Hashes are 64-bit difference hashes (dHash) written as 16 hex digits: the
+ * image is shrunk to 9x8 grey pixels and each bit tells whether a pixel is
+ * brighter than its right-hand neighbour. Two images are near-duplicates
+ * when their hashes differ in at most threshold bits (the Hamming
+ * distance); identical pictures usually differ in 0 to 2.
+ *
+ * Decoding images needs an image decoder:
+ *   async (data, { mimeType }) => { data: Buffer, width, height, channels }
+ * returning raw pixels of any size, one byte per channel (1 grey, 2 grey and
+ * alpha, 3 RGB, 4 RGBA). sharpDecoder() makes one from sharp when it is
+ * installed.
+ *
+ * HashedImage:
+ * {
+ *   hash: string,     // dHash, 16 hex digits
+ *   boardId: string,  // Board of the post
+ *   threadId: string, // Thread of the post
+ *   postId: string,   // Post the image is attached to
+ *   url: string,      // Image the hash was made from (the thumbnail)
+ *   timestamp: number, // Post time in milliseconds since epoch (null if unknown)
+ *   addedAt: number   // When the image was hashed
+ * }
+ *
+ * ImageMatch: a HashedImage with distance, the number of differing bits.
+ */
+
+const fs = require('fs');
+const { writeFileAtomic } = require('./atomic-file');
+
+const IMAGE_INDEX_VERSION = 1;
+
+// Bits two hashes may differ in and still be the same picture
+const DEFAULT_THRESHOLD = 8;
+
+const HASH_WIDTH = 9;
+const HASH_HEIGHT = 8;
+
+/**
+ * Key identifying a post
+ * @private
+ */
+function imageKey(boardId, postId) {
+  return `${boardId}/${postId}`;
+}
+
+/**
+ * Image decoder backed by sharp, if it is installed
+ * @returns {Function|null}
+ */
+function sharpDecoder() {
+  let sharp;
+  try {
+    sharp = require('sharp');
+  } catch (error) {
+    return null;
+  }
+
+  // sharp shrinks the image itself, so only 72 pixels come back
+  return async data => {
+    const { data: pixels, info } = await sharp(data)
+      .grayscale()
+      .resize(HASH_WIDTH, HASH_HEIGHT, { fit: 'fill' })
+      .raw()
+      .toBuffer({ resolveWithObject: true });
+    return { data: pixels, width: info.width, height: info.height, channels: info.channels };
+  };
+}
+
+/**
+ * Brightness of every pixel of a decoded image
+ * @private
+ */
+function greyscale(image) {
+  const { data, width, height, channels } = image;
+  const grey = new Float64Array(width * height);
+
+  for (let i = 0; i < width * height; i++) {
+    const offset = i * channels;
+    grey[i] = channels >= 3
+      ? 0.299 * data[offset] + 0.587 * data[offset + 1] + 0.114 * data[offset + 2]
+      : data[offset];
+  }
+  return grey;
+}
+
+/**
+ * dHash of decoded pixels
+ * @param {Object} image - { data, width, height, channels }, as an image decoder returns
+ * @returns {string} - 16 hex digits
+ */
+function differenceHash(image) {
+  const { width, height } = image;
+  if (!width || !height || !image.channels) {
+    throw new Error('Decoded image has no pixels');
+  }
+  const grey = greyscale(image);
+
+  // Shrink to 9x8 by averaging the pixels each cell covers
+  const cells = new Float64Array(HASH_WIDTH * HASH_HEIGHT);
+  for (let y = 0; y < HASH_HEIGHT; y++) {
+    const y0 = Math.floor(y * height / HASH_HEIGHT);
+    const y1 = Math.max(y0 + 1, Math.floor((y + 1) * height / HASH_HEIGHT));
+    for (let x = 0; x < HASH_WIDTH; x++) {
+      const x0 = Math.floor(x * width / HASH_WIDTH);
+      const x1 = Math.max(x0 + 1, Math.floor((x + 1) * width / HASH_WIDTH));
+
+      let sum = 0;
+      for (let sy = y0; sy < y1; sy++) {
+        for (let sx = x0; sx < x1; sx++) sum += grey[sy * width + sx];
+      }
+      cells[y * HASH_WIDTH + x] = sum / ((y1 - y0) * (x1 - x0));
+    }
+  }
+
+  let hash = '';
+  for (let y = 0; y < HASH_HEIGHT; y++) {
+    let nibble = 0;
+    for (let x = 0; x < HASH_WIDTH - 1; x++) {
+      nibble = (nibble << 1) | (cells[y * HASH_WIDTH + x] > cells[y * HASH_WIDTH + x + 1] ? 1 : 0);
+      if (x % 4 === 3) {
+        hash += nibble.toString(16);
+        nibble = 0;
+      }
+    }
+  }
+  return hash;
+}
+
+/**
+ * Decode an image and hash it
+ * @param {Buffer} data - Image file contents
+ * @param {Object} options
+ * @param {Function} options.decoder - Image decoder
+ * @param {string} [options.mimeType] - Type of the image, passed to the decoder
+ * @returns {Promise<string>} - dHash
+ */
+async function hashImage(data, options = {}) {
+  if (!options.decoder) {
+    throw new Error('Hashing images needs sharp or an image decoder');
+  }
+  return differenceHash(await options.decoder(data, { mimeType: options.mimeType || null }));
+}
+
+/**
+ * @private
+ */
+function popCount(value) {
+  let bits = 0;
+  for (let rest = value >>> 0; rest; rest &= rest - 1) bits++;
+  return bits;
+}
+
+/**
+ * Number of bits two hashes differ in
+ * @param {string} a - dHash
+ * @param {string} b - dHash
+ * @returns {number} - 0 to 64
+ */
+function hammingDistance(a, b) {
+  return popCount(parseInt(a.slice(0, 8), 16) ^ parseInt(b.slice(0, 8), 16)) +
+    popCount(parseInt(a.slice(8), 16) ^ parseInt(b.slice(8), 16));
+}
+
+/**
+ * Whether image a was posted before image b. Post times decide when both
+ * are known, then post IDs on the same board, then when they were hashed.
+ * @private
+ */
+function postedBefore(a, b) {
+  if (a.timestamp && b.timestamp && a.timestamp !== b.timestamp) return a.timestamp < b.timestamp;
+  if (a.boardId === b.boardId && /^\d+$/.test(a.postId) && /^\d+$/.test(b.postId)) {
+    return Number(a.postId) < Number(b.postId);
+  }
+  return a.addedAt < b.addedAt;
+}
+
+/**
+ * Index of image hashes by post. Without a file it lives in memory; with
+ * one it is loaded from that file on first use and written back after
+ * every change.
+ */
+class ImageHashIndex {
+  /**
+   * @param {Object} [options]
+   * @param {string} [options.file] - JSON file for the index (created if missing)
+   * @param {number} [options.threshold=8] - Largest Hamming distance counted as
+   *   the same picture, when a call does not give one
+   */
+  constructor(options = {}) {
+    this.file = options.file || null;
+    this.threshold = options.threshold !== undefined ? options.threshold : DEFAULT_THRESHOLD;
+
+    // key -> HashedImage, loaded lazily from disk
+    this.images = this.file ? null : new Map();
+    this.loaded = null;
+    this.write = Promise.resolve();
+  }
+
+  /**
+   * Load the index from disk
+   * @private
+   */
+  async load() {
+    if (this.images) return this.images;
+    // Concurrent callers must share one map
+    if (!this.loaded) this.loaded = this.read();
+    return this.loaded;
+  }
+
+  /**
+   * @private
+   */
+  async read() {
+    let saved = { version: IMAGE_INDEX_VERSION, images: [] };
+    try {
+      saved = JSON.parse(await fs.promises.readFile(this.file, 'utf8'));
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+    }
+    if (saved.version !== IMAGE_INDEX_VERSION) {
+      throw new Error(`Unsupported image index version ${saved.version}`);
+    }
+
+    this.images = new Map(saved.images.map(image => [imageKey(image.boardId, image.postId), image]));
+    return this.images;
+  }
+
+  /**
+   * Write the index to disk; writes are queued so they never overlap
+   * @private
+   */
+  async save() {
+    if (!this.file) return;
+
+    this.write = this.write.catch(() => {}).then(async () => {
+      const contents = JSON.stringify({ version: IMAGE_INDEX_VERSION, images: Array.from(this.images.values()) });
+      await writeFileAtomic(this.file, contents);
+    });
+    await this.write;
+  }
+
+  /**
+   * Add images, replacing the hashes of posts already in the index
+   * @param {Array<Object>} images - HashedImages; hash, boardId and postId are required
+   * @returns {Promise<void>}
+   */
+  async addAll(images) {
+    const index = await this.load();
+    images.forEach(image => {
+      const record = {
+        hash: String(image.hash).toLowerCase(),
+        boardId: String(image.boardId),
+        threadId: String(image.threadId || image.postId),
+        postId: String(image.postId),
+        url: image.url || null,
+        timestamp: image.timestamp || null,
+        addedAt: image.addedAt || Date.now()
+      };
+      index.set(imageKey(record.boardId, record.postId), record);
+    });
+    await this.save();
+  }
+
+  /**
+   * @param {Object} image - HashedImage
+   * @returns {Promise<void>}
+   */
+  async add(image) {
+    return this.addAll([image]);
+  }
+
+  /**
+   * @param {string} boardId - Board identifier
+   * @param {string} postId - Post identifier
+   * @returns {Promise<Object>} - HashedImage, or null if the post has none
+   */
+  async get(boardId, postId) {
+    const index = await this.load();
+    const image = index.get(imageKey(boardId, postId));
+    return image ? { ...image } : null;
+  }
+
+  /**
+   * @param {string} boardId - Board identifier
+   * @param {string} postId - Post identifier
+   * @returns {Promise<boolean>} - Whether the post was in the index
+   */
+  async remove(boardId, postId) {
+    const index = await this.load();
+    if (!index.delete(imageKey(boardId, postId))) return false;
+
+    await this.save();
+    return true;
+  }
+
+  /**
+   * @param {Object} [filter]
+   * @param {string} [filter.boardId] - Only images on this board
+   * @param {string} [filter.threadId] - Only images in this thread
+   * @returns {Promise<Array<Object>>} - HashedImages
+   */
+  async list(filter = {}) {
+    const index = await this.load();
+    return Array.from(index.values())
+      .filter(image => filter.boardId === undefined || image.boardId === String(filter.boardId))
+      .filter(image => filter.threadId === undefined || image.threadId === String(filter.threadId))
+      .map(image => ({ ...image }));
+  }
+
+  async clear() {
+    const index = await this.load();
+    index.clear();
+    await this.save();
+  }
+
+  /**
+   * Images within the threshold of a hash, closest first
+   * @param {string} hash - dHash
+   * @param {Object} [options]
+   * @param {number} [options.threshold] - Largest distance (default the index's)
+   * @param {string} [options.boardId] - Only images on this board
+   * @param {Object} [options.exclude] - { boardId, postId } of an image to leave out
+   * @returns {Promise<Array<Object>>} - ImageMatches
+   */
+  async findSimilar(hash, options = {}) {
+    const index = await this.load();
+    const threshold = options.threshold !== undefined ? options.threshold : this.threshold;
+    const excluded = options.exclude ? imageKey(options.exclude.boardId, options.exclude.postId) : null;
+
+    const matches = [];
+    index.forEach((image, key) => {
+      if (key === excluded) return;
+      if (options.boardId !== undefined && image.boardId !== String(options.boardId)) return;
+
+      const distance = hammingDistance(hash, image.hash);
+      if (distance <= threshold) matches.push({ ...image, distance });
+    });
+
+    return matches.sort((a, b) => a.distance - b.distance || (postedBefore(a, b) ? -1 : 1));
+  }
+
+  /**
+   * Earlier posts of the same picture as an indexed image
+   * @param {string} boardId - Board of the image's post
+   * @param {string} postId - Post identifier
+   * @param {Object} [options] - threshold, as for findSimilar
+   * @returns {Promise<Array<Object>>} - ImageMatches, oldest first (empty if
+   *   the post is not in the index)
+   */
+  async findEarlier(boardId, postId, options = {}) {
+    const image = await this.get(boardId, postId);
+    if (!image) return [];
+
+    const matches = await this.findSimilar(image.hash, { threshold: options.threshold, exclude: image });
+    return matches
+      .filter(match => postedBefore(match, image))
+      .sort((a, b) => (postedBefore(a, b) ? -1 : 1));
+  }
+
+  /**
+   * Groups of near-duplicate images in the index. An image joins a group
+   * when it is within the threshold of any image already in it. Compares
+   * every pair of images, so it takes a while on large indexes.
+   * @param {Object} [options]
+   * @param {number} [options.threshold] - Largest distance (default the index's)
+   * @param {string} [options.boardId] - Only images on this board
+   * @returns {Promise<Array<Array<Object>>>} - Groups of two or more
+   *   HashedImages, each oldest first; largest groups first
+   */
+  async findDuplicates(options = {}) {
+    const threshold = options.threshold !== undefined ? options.threshold : this.threshold;
+    const images = await this.list({ boardId: options.boardId });
+
+    // Union-find over the pairs within the threshold
+    const parent = images.map((image, i) => i);
+    const root = i => {
+      while (parent[i] !== i) {
+        parent[i] = parent[parent[i]];
+        i = parent[i];
+      }
+      return i;
+    };
+    for (let i = 0; i < images.length; i++) {
+      for (let j = i + 1; j < images.length; j++) {
+        if (hammingDistance(images[i].hash, images[j].hash) <= threshold) {
+          parent[root(j)] = root(i);
+        }
+      }
+    }
+
+    const groups = new Map();
+    images.forEach((image, i) => {
+      const group = groups.get(root(i)) || [];
+      group.push(image);
+      groups.set(root(i), group);
+    });
+
+    return Array.from(groups.values())
+      .filter(group => group.length > 1)
+      .map(group => group.sort((a, b) => (postedBefore(a, b) ? -1 : 1)))
+      .sort((a, b) => b.length - a.length);
+  }
+}
+
+module.exports = {
+  ImageHashIndex,
+  differenceHash,
+  hashImage,
+  hammingDistance,
+  sharpDecoder
+};
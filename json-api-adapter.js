@@ -0,0 +1,429 @@
+/**
+ * BharatChan JSON API adapter
+ * Reads boards, threads and posts from the JSON API served by vichan and
+ * 4chan-compatible imageboards, for mirrors and engines that have one.
+ * Implements the site adapter interface described in html-adapter.js.
+ *
+ * Endpoints (vichan defaults, all configurable):
+ * - Boards:  /boards.json          { boards: [{ board, title, meta_description }] }
+ *                                   or [{ uri, title, subtitle }]
+ * - Catalog: /{boardId}/catalog.json [{ page, threads: [RawPost] }]
+ * - Index:   /{boardId}/{pageIndex}.json { threads: [{ posts: [RawPost] }] }
+ * - Thread:  /{boardId}/res/{threadId}.json { posts: [RawPost] }
+ *
+ * RawPost fields used: no, sub, com (HTML), name, trip, id, time (seconds),
+ * country/country_name or board_flag/flag_name, tim, ext, filename, fsize,
+ * w, h, replies, omitted_posts, omitted_images, closed, sticky, archived
+ */
+
+const cheerio = require('cheerio');
+const { parseMarkup } = require('./comment-markup');
+const { fillTemplate } = require('./selector-profile');
+const {
+  absoluteUrl,
+  parseQuotes,
+  buildReplyGraph,
+  parseForm,
+  parseJsonPostResult,
+  refreshUrl
+} = require('./post-parsing');
+const ParseDiagnostics = require('./parse-diagnostics');
+const { BharatChanError, ParseError } = require('./errors');
+
+const DEFAULT_PATHS = {
+  boards: '/boards.json',
+  board: '/{boardId}/index.html',
+  boardIndex: '/{boardId}/{pageIndex}.json',
+  catalog: '/{boardId}/catalog.json',
+  thread: '/{boardId}/res/{threadId}.json',
+  threadPage: '/{boardId}/res/{threadId}.html',
+  search: null,
+  createThread: '/post.php',
+  reply: '/post.php'
+};
+
+const DEFAULT_MEDIA = {
+  file: '/{boardId}/src/{tim}{ext}',
+  thumbnail: '/{boardId}/thumb/{tim}{ext}',
+  flag: '/static/flags/{code}.png'
+};
+
+const DEFAULT_PATTERNS = {
+  boardLink: '/([^/]+)/(?:res|thread)/\\d+',
+  threadLink: '/(?:res|thread)/(\\d+)',
+  postAnchor: '#[pq]?(\\d+)$'
+};
+
+/**
+ * Plain text of an HTML fragment, decoding entities
+ * @private
+ */
+function htmlText(html) {
+  return html ? cheerio.load(`<p>${html}</p>`)('p').text().trim() : '';
+}
+
+class JsonApiAdapter {
+  /**
+   * @param {Object} [options]
+   * @param {string} [options.name='json-api'] - Adapter name
+   * @param {Object} [options.paths] - URL templates, merged over the vichan defaults
+   * @param {Object} [options.media] - file, thumbnail and flag URL templates with
+   *   {boardId}, {tim}, {ext} and {code} placeholders
+   * @param {string} [options.mediaURL] - Base URL for media, if not the site itself
+   * @param {Object} [options.patterns] - boardLink, threadLink and postAnchor
+   *   pattern sources for quote links
+   * @param {Object} [options.fields] - Form field names used when posting
+   * @param {string} [options.formSelector='form[name="post"]'] - Post form on the
+   *   board and thread pages
+   */
+  constructor(options = {}) {
+    this.name = options.name || 'json-api';
+    this.paths = { ...DEFAULT_PATHS, ...options.paths };
+    this.media = { ...DEFAULT_MEDIA, ...options.media };
+    this.mediaURL = options.mediaURL || null;
+    this.fields = {
+      title: 'subject',
+      text: 'body',
+      image: 'file',
+      name: 'name',
+      email: 'email',
+      spoiler: 'spoiler',
+      password: 'password',
+      ...options.fields
+    };
+    this.formSelector = options.formSelector || 'form[name="post"]';
+    this.fallbackBoards = [];
+    this.searchParams = null;
+
+    this.patterns = {};
+    Object.entries({ ...DEFAULT_PATTERNS, ...options.patterns }).forEach(([name, source]) => {
+      this.patterns[name] = new RegExp(source, 'i');
+    });
+  }
+
+  supports(page) {
+    return Boolean(this.paths[page]);
+  }
+
+  path(page, params = {}) {
+    const firstPageTemplate = params.page === 1 ? this.paths[`${page}First`] : null;
+    const template = firstPageTemplate || this.paths[page];
+    if (!template) {
+      throw new BharatChanError(`The ${this.name} adapter does not support ${page}`);
+    }
+    return fillTemplate(template, params, true);
+  }
+
+  threadIdFromUrl(url) {
+    const threadMatch = (url || '').match(this.patterns.threadLink);
+    return threadMatch ? threadMatch[1] : null;
+  }
+
+  postIdFromUrl(url) {
+    const postMatch = (url || '').match(this.patterns.postAnchor);
+    return postMatch ? postMatch[1] : null;
+  }
+
+  /**
+   * Parsed JSON body of a response
+   * @private
+   */
+  readJson(data, context) {
+    if (typeof data !== 'string') return data;
+
+    try {
+      return JSON.parse(data);
+    } catch (error) {
+      throw new ParseError('Response is not valid JSON', { status: context.status, url: context.url, cause: error });
+    }
+  }
+
+  /**
+   * Full URL of a media file
+   * @private
+   */
+  mediaUrl(template, params, context) {
+    return absoluteUrl(fillTemplate(template, params), this.mediaURL || context.baseURL);
+  }
+
+  /**
+   * @private
+   */
+  threadUrl(boardId, threadId, context) {
+    return absoluteUrl(this.path('threadPage', { boardId, threadId }), context.baseURL);
+  }
+
+  parseBoards(data, context) {
+    const json = this.readJson(data, context);
+    const diagnostics = context.diagnostics || new ParseDiagnostics();
+    const items = Array.isArray(json) ? json : (json && json.boards) || [];
+
+    const boards = items
+      .filter(item => {
+        if (item && (item.board || item.uri)) return true;
+        diagnostics.skip('noId');
+        return false;
+      })
+      .map(item => {
+        const id = item.board || item.uri;
+        return {
+          id,
+          name: item.title ? `/${id}/ - ${htmlText(item.title)}` : `/${id}/`,
+          description: htmlText(item.meta_description || item.subtitle || '')
+        };
+      });
+
+    if (boards.length === 0) {
+      diagnostics.miss('boards');
+      if (context.strict) {
+        throw new ParseError('No boards found in the board list', { status: context.status, url: context.url });
+      }
+    } else {
+      diagnostics.hit('boards', Array.isArray(json) ? '[]' : 'boards', boards.length);
+    }
+    return boards;
+  }
+
+  parseThreads(data, boardId, context) {
+    const json = this.readJson(data, context);
+    const diagnostics = context.diagnostics || new ParseDiagnostics();
+    if (!Array.isArray(json)) {
+      diagnostics.miss('threads');
+      if (context.strict) {
+        throw new ParseError(`Could not parse threads for board ${boardId}`, { status: context.status, url: context.url });
+      }
+      return Object.assign([], { page: context.page || 1, pageCount: null, hasNextPage: null });
+    }
+
+    // The catalog holds every page; page numbering differs between engines, so go by position
+    const pageNumber = context.page || 1;
+    const page = json[pageNumber - 1];
+    const rawThreads = (page && page.threads) || [];
+    diagnostics.hit('threads', 'threads', rawThreads.length);
+
+    const threads = rawThreads.map(raw => {
+      const threadId = String(raw.no);
+      const post = this.toPost(raw, { boardId, threadId, markup: context.markup }, context);
+
+      return {
+        id: threadId,
+        title: htmlText(raw.sub) || `Thread ${threadId}`,
+        text: post.text,
+        ...(context.markup ? { body: post.body } : {}),
+        replyCount: raw.replies || 0,
+        imageUrl: post.file ? post.file.thumbnailUrl : '',
+        timestamp: post.timestamp,
+        board: boardId,
+        url: this.threadUrl(boardId, threadId, context)
+      };
+    });
+
+    return Object.assign(threads, { page: pageNumber, pageCount: json.length, hasNextPage: pageNumber < json.length });
+  }
+
+  /**
+   * Index pages do not say how many pages there are; an empty page marks the end
+   */
+  parseBoardIndex(data, boardId, context) {
+    const json = this.readJson(data, context);
+    const diagnostics = context.diagnostics || new ParseDiagnostics();
+    const pagination = { page: context.page || 1, pageCount: null, hasNextPage: null };
+    const rawThreads = (json && json.threads) || [];
+    if (!Array.isArray(rawThreads)) {
+      diagnostics.miss('threads');
+      if (context.strict) {
+        throw new ParseError(`Could not parse threads for board ${boardId}`, { status: context.status, url: context.url });
+      }
+      return Object.assign([], pagination);
+    }
+    diagnostics.hit('threads', 'threads', rawThreads.length);
+
+    const threads = [];
+    rawThreads.forEach(rawThread => {
+      const rawPosts = (rawThread && rawThread.posts) || [];
+      if (rawPosts.length === 0) {
+        diagnostics.skip('noOp');
+        return;
+      }
+
+      const rawOp = rawPosts[0];
+      const threadId = String(rawOp.no);
+      const postContext = { boardId, threadId, markup: context.markup };
+      const [op, ...previewPosts] = rawPosts.map(raw => this.toPost(raw, postContext, context));
+      buildReplyGraph([op, ...previewPosts]);
+
+      const omittedPosts = rawOp.omitted_posts || 0;
+      threads.push({
+        id: threadId,
+        title: htmlText(rawOp.sub) || `Thread ${threadId}`,
+        text: op.text,
+        ...(context.markup ? { body: op.body } : {}),
+        replyCount: rawOp.replies || previewPosts.length + omittedPosts,
+        imageUrl: op.file ? op.file.thumbnailUrl : '',
+        timestamp: op.timestamp,
+        board: boardId,
+        url: this.threadUrl(boardId, threadId, context),
+        op,
+        previewPosts,
+        omittedPosts,
+        omittedImages: rawOp.omitted_images || 0
+      });
+    });
+
+    if (threads.length === 0) pagination.hasNextPage = false;
+    return Object.assign(threads, pagination);
+  }
+
+  parseThread(data, boardId, threadId, context) {
+    const json = this.readJson(data, context);
+    const diagnostics = context.diagnostics || new ParseDiagnostics();
+    const rawPosts = (json && json.posts) || [];
+    if (rawPosts.length === 0) {
+      diagnostics.miss('posts');
+      throw new ParseError(`Could not find thread ${threadId} in response`, { status: context.status, url: context.url });
+    }
+
+    diagnostics.hit('posts', 'posts', rawPosts.length);
+
+    const postContext = { boardId, threadId: String(threadId), markup: context.markup };
+    const [op, ...posts] = rawPosts.map(raw => this.toPost(raw, postContext, context));
+    const rawOp = rawPosts[0];
+
+    buildReplyGraph([op, ...posts]);
+
+    return {
+      id: threadId,
+      title: htmlText(rawOp.sub) || `Thread ${threadId}`,
+      text: op.text,
+      imageUrl: op.imageUrl,
+      board: boardId,
+      opPostId: op.id,
+      op,
+      posts,
+      locked: Boolean(rawOp.closed),
+      sticky: Boolean(rawOp.sticky),
+      archived: Boolean(rawOp.archived),
+      url: this.threadUrl(boardId, threadId, context)
+    };
+  }
+
+  /**
+   * Convert a raw API post into a Post object
+   * @private
+   * @param {Object} raw - Post from the API
+   * @param {Object} postContext - boardId, threadId and markup
+   * @param {Object} context - Parse context
+   * @returns {Object}
+   */
+  toPost(raw, postContext, context) {
+    const { boardId } = postContext;
+    const quoteContext = { boardId, threadId: postContext.threadId, patterns: this.patterns };
+
+    const $ = cheerio.load(`<div>${raw.com || ''}</div>`);
+    const bodyElement = $('div').first();
+
+    // Keep line breaks in the plain text
+    const textElement = bodyElement.clone();
+    textElement.find('br').replaceWith('\n');
+
+    let file = null;
+    if (raw.tim && raw.ext) {
+      const mediaParams = { boardId, tim: raw.tim, ext: raw.ext };
+      file = {
+        name: `${raw.filename || raw.tim}${raw.ext}`,
+        size: raw.fsize || null,
+        width: raw.w || null,
+        height: raw.h || null,
+        thumbnailUrl: this.mediaUrl(this.media.thumbnail, mediaParams, context),
+        url: this.mediaUrl(this.media.file, mediaParams, context),
+        md5: raw.md5 || null
+      };
+    }
+
+    let flag = null;
+    const flagCode = raw.country || raw.board_flag;
+    if (flagCode) {
+      flag = {
+        code: String(flagCode).toLowerCase(),
+        name: raw.country_name || raw.flag_name || '',
+        url: this.mediaUrl(this.media.flag, { boardId, code: String(flagCode).toLowerCase() }, context)
+      };
+    }
+
+    return {
+      id: String(raw.no),
+      text: textElement.text().trim(),
+      imageUrl: file ? file.url : '',
+      timestamp: raw.time ? raw.time * 1000 : null,
+      name: htmlText(raw.name) || 'Anonymous',
+      tripcode: raw.trip || '',
+      posterId: raw.id || '',
+      flag,
+      file,
+      quotes: parseQuotes($, bodyElement, quoteContext),
+      backlinks: [],
+      ...(postContext.markup ? { body: parseMarkup($, bodyElement, quoteContext) } : {})
+    };
+  }
+
+  /**
+   * Forms are only on the HTML pages. vichan posts every form to one
+   * endpoint, so the board and thread go in the form.
+   */
+  parsePostForm(data, params) {
+    const $ = cheerio.load(typeof data === 'string' ? data : '');
+    const formElement = $(this.formSelector).first();
+    const form = formElement.length
+      ? parseForm($, formElement)
+      : { fields: {}, fileFields: [], multipleFiles: false, required: [], accept: [], maxFileSize: null };
+    // Captchas are not detected; pass a solver's answer through PostData fields
+    form.captcha = null;
+
+    form.fields.board = params.boardId;
+    if (params.threadId) form.fields.thread = params.threadId;
+    // Ask for the outcome in JSON instead of a redirect page
+    form.fields.json_response = '1';
+    return form;
+  }
+
+  /**
+   * vichan answers posts made with json_response=1 in JSON, others with a page
+   */
+  parsePostResult(data, params) {
+    if (data && typeof data === 'object') return parseJsonPostResult(data, this);
+
+    const $ = cheerio.load(typeof data === 'string' ? data : '');
+    const redirect = refreshUrl($);
+    const error = this.parseError(data);
+    return {
+      threadId: this.threadIdFromUrl(redirect),
+      postId: this.postIdFromUrl(redirect),
+      message: error.message,
+      banned: error.banned,
+      banReason: error.banReason,
+      formShown: false
+    };
+  }
+
+  parseError(data) {
+    if (data && typeof data === 'object') {
+      const message = data.error || data.message || '';
+      return { message, banReason: data.banned ? message : '', banned: Boolean(data.banned) };
+    }
+
+    const $ = cheerio.load(typeof data === 'string' ? data : '');
+
+    // Notices on a re-shown thread or board page count; post text, which can
+    // say anything, "banned" included, does not
+    const notice = selector => $(selector).filter((i, element) => $(element).closest('.post').length === 0).first();
+    const ban = notice('.ban p, .ban-reason');
+    const message = notice('h2, .error').text().trim();
+    return {
+      message,
+      banReason: ban.text().trim(),
+      banned: ban.length > 0 || /\bbanned\b/i.test(message)
+    };
+  }
+}
+
+module.exports = JsonApiAdapter;
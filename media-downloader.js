@@ -0,0 +1,412 @@
+/**
+ * BharatChan media downloader
+ * Saves the attachments of threads (full-size files, not thumbnails) to a
+ * directory, through a BharatChanAPI client so downloads share its request
+ * throttle and cookies
+ *
+ * - File names come from a template, e.g. "{threadId}/{postId}_{originalName}"
+ * - Files are hashed while they download; a file whose contents are already
+ *   in the directory, from any thread, is not stored twice
+ * - Interrupted downloads are kept in .partial/ and resumed with a Range
+ *   request next time, if the server supports it
+ * - At most concurrency files download at once
+ *
+ * Template placeholders:
+ *   {boardId} {threadId} {postId} {originalName} {name} (original name
+ *   without extension) {ext} {hash} {index} (position in the thread, from 1)
+ * Values are made safe for file names; "/" in the template itself makes
+ * subdirectories.
+ *
+ * Events:
+ * - 'start'    ({item})                   A download begins
+ * - 'progress' ({item, received, total})  Bytes so far (total null if unknown),
+ *                                         at most every progressInterval ms
+ * - 'done'     (DownloadResult)           A file was saved, or found to be saved already
+ * - 'error'    (error, {item})            A file failed; other files go on.
+ *                                         Only emitted when something listens
+ *
+ * MediaItem:
+ * {
+ *   url: string,          // Full-size file URL
+ *   boardId: string,
+ *   threadId: string,
+ *   postId: string,
+ *   originalName: string, // Name the file was uploaded with
+ *   size: number,         // Size the site states (null if unknown)
+ *   index: number         // Position among the thread's files, from 1
+ * }
+ *
+ * DownloadResult:
+ * {
+ *   item: MediaItem,
+ *   status: string, // 'downloaded', 'duplicate' (same contents already saved,
+ *                   // path is that file) or 'skipped' (URL saved before)
+ *   path: string,   // File on disk
+ *   hash: string,   // Content hash, hex
+ *   size: number,   // File size in bytes
+ *   resumed: boolean // A partial download was continued
+ * }
+ *
+ * Hashes of saved files are kept in .media-index.json in the directory, so
+ * de-duplication works across runs.
+ */
+
+const EventEmitter = require('events');
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { Transform } = require('stream');
+const { pipeline } = require('stream/promises');
+const { fillTemplate } = require('./selector-profile');
+const { writeFileAtomic } = require('./atomic-file');
+
+const MEDIA_INDEX_VERSION = 1;
+
+const INDEX_FILE = '.media-index.json';
+
+const PARTIAL_DIRECTORY = '.partial';
+
+/**
+ * Make a template value safe as (part of) a file name
+ * @private
+ */
+function safeName(value) {
+  const name = String(value === undefined || value === null ? '' : value)
+    .replace(/[\u0000-\u001f\u007f/\\:*?"<>|]/g, '_')
+    .trim();
+  return /^\.*$/.test(name) ? name.replace(/./g, '_') : name;
+}
+
+/**
+ * Last part of a URL's path, decoded; empty if the URL cannot be read
+ * @private
+ */
+function urlFileName(url) {
+  try {
+    return decodeURIComponent(new URL(url).pathname.split('/').pop() || '');
+  } catch (error) {
+    return '';
+  }
+}
+
+/**
+ * Attachments of a thread, OP first
+ * @param {Object} thread - ThreadDetail from getThread
+ * @param {string} [baseURL] - Site base URL, for relative file URLs (from
+ *   importArchive or a custom adapter)
+ * @returns {Array<Object>} - MediaItems
+ */
+function mediaItems(thread, baseURL) {
+  const posts = (thread.op ? [thread.op] : []).concat(thread.posts || []);
+
+  return posts
+    .filter(post => post.file && post.file.url)
+    .map((post, i) => {
+      // A URL that cannot be read is kept as it is, so only its own download fails
+      let url = post.file.url;
+      try {
+        url = new URL(url, baseURL).href;
+      } catch (error) {
+        // Relative without a base URL, or malformed
+      }
+
+      const urlName = urlFileName(url);
+      return {
+        url,
+        boardId: thread.board,
+        threadId: String(thread.id),
+        postId: String(post.id),
+        originalName: post.file.name || urlName || `${post.id}`,
+        size: post.file.size || null,
+        index: i + 1
+      };
+    });
+}
+
+class MediaDownloader extends EventEmitter {
+  /**
+   * @param {BharatChanAPI} api - Client the downloads go through
+   * @param {Object} options
+   * @param {string} options.directory - Where files are saved (created if missing)
+   * @param {string} [options.fileName='{boardId}/{threadId}/{postId}_{originalName}'] - File name template
+   * @param {number} [options.concurrency=2] - Files downloading at once
+   * @param {string} [options.hashAlgorithm='sha256'] - Any algorithm crypto supports, e.g. 'md5'
+   * @param {boolean} [options.dedupe=true] - Skip files whose contents are already saved
+   * @param {string} [options.priority='low'] - Request priority, so browsing goes first
+   * @param {number} [options.progressInterval=250] - Shortest time between progress events in ms
+   */
+  constructor(api, options = {}) {
+    super();
+    if (!options.directory) {
+      throw new Error('MediaDownloader requires a directory');
+    }
+
+    this.api = api;
+    this.directory = path.resolve(options.directory);
+    this.fileName = options.fileName || '{boardId}/{threadId}/{postId}_{originalName}';
+    this.concurrency = options.concurrency || 2;
+    this.hashAlgorithm = options.hashAlgorithm || 'sha256';
+    this.dedupe = options.dedupe !== false;
+    this.priority = options.priority || 'low';
+    this.progressInterval = options.progressInterval !== undefined ? options.progressInterval : 250;
+
+    // { files: hash -> relative path, urls: url -> hash }, loaded lazily
+    this.index = null;
+    this.indexLoaded = null;
+    this.indexWrite = Promise.resolve();
+  }
+
+  /**
+   * Download every attachment of a thread. Failed files are reported in
+   * the result, and as 'error' events if there are listeners; they do not
+   * stop the others.
+   * @param {Object} thread - ThreadDetail from getThread
+   * @param {Object} [options]
+   * @param {AbortSignal} [options.signal] - Cancels the downloads; partial
+   *   files are kept for resuming
+   * @param {string} [options.session] - Cookie session of the requests
+   * @returns {Promise<Object>} - { results: Array<DownloadResult>, failed: Array<{item, error}> }
+   */
+  async downloadThread(thread, options = {}) {
+    const items = mediaItems(thread, this.api.baseURL);
+    const results = [];
+    const failed = [];
+    let next = 0;
+
+    const worker = async () => {
+      while (next < items.length) {
+        const item = items[next++];
+        if (options.signal && options.signal.aborted) return;
+        try {
+          results.push(await this.download(item, options));
+        } catch (error) {
+          // Files cancelled along with the call are not failures
+          if (options.signal && options.signal.aborted) return;
+          failed.push({ item, error });
+          this.emitError(error, { item });
+        }
+      }
+    };
+
+    const workers = [];
+    for (let i = 0; i < Math.min(this.concurrency, items.length); i++) workers.push(worker());
+    await Promise.all(workers);
+
+    return { results, failed };
+  }
+
+  /**
+   * Download one file
+   * @param {Object} item - MediaItem
+   * @param {Object} [options] - Same options as downloadThread
+   * @returns {Promise<Object>} - DownloadResult
+   */
+  async download(item, options = {}) {
+    const index = await this.loadIndex();
+
+    // A URL saved before needs no request, as long as its file is still there
+    const knownHash = index.urls[item.url];
+    if (this.dedupe && knownHash && index.files[knownHash] && await this.exists(index.files[knownHash])) {
+      const result = await this.result(item, 'skipped', index.files[knownHash], knownHash, false);
+      this.emit('done', result);
+      return result;
+    }
+
+    this.emit('start', { item });
+    const partFile = path.join(this.directory, PARTIAL_DIRECTORY,
+      `${crypto.createHash('sha1').update(item.url).digest('hex')}.part`);
+    await fs.promises.mkdir(path.dirname(partFile), { recursive: true });
+
+    const { hash, size, resumed } = await this.transfer(item, partFile, options);
+
+    // Same contents as a file saved earlier, maybe from another thread
+    if (this.dedupe && index.files[hash] && await this.exists(index.files[hash])) {
+      await fs.promises.unlink(partFile);
+      index.urls[item.url] = hash;
+      await this.saveIndex();
+
+      const result = await this.result(item, 'duplicate', index.files[hash], hash, resumed);
+      this.emit('done', result);
+      return result;
+    }
+
+    const relativePath = await this.freePath(this.targetPath(item, hash));
+    await fs.promises.mkdir(path.dirname(path.join(this.directory, relativePath)), { recursive: true });
+    await fs.promises.rename(partFile, path.join(this.directory, relativePath));
+
+    index.files[hash] = relativePath;
+    index.urls[item.url] = hash;
+    await this.saveIndex();
+
+    const result = { item, status: 'downloaded', path: path.join(this.directory, relativePath), hash, size, resumed };
+    this.emit('done', result);
+    return result;
+  }
+
+  /**
+   * Fetch a file into its partial file, continuing what is already there
+   * @private
+   * @returns {Promise<{hash: string, size: number, resumed: boolean}>}
+   */
+  async transfer(item, partFile, options) {
+    const start = await fs.promises.stat(partFile).then(stats => stats.size, () => 0);
+    const media = await this.api.openMedia(item.url, {
+      start,
+      priority: this.priority,
+      signal: options.signal,
+      session: options.session
+    });
+
+    // The bytes already on disk count towards the hash only if the server resumed
+    const hash = crypto.createHash(this.hashAlgorithm);
+    if (media.resumed) {
+      for await (const chunk of fs.createReadStream(partFile)) hash.update(chunk);
+    }
+
+    const total = media.size || item.size || null;
+    let received = media.resumed ? start : 0;
+    let lastProgress = 0;
+    let reported = -1;
+    const report = () => {
+      lastProgress = Date.now();
+      reported = received;
+      this.emit('progress', { item, received, total });
+    };
+    const progress = new Transform({
+      transform: (chunk, encoding, callback) => {
+        hash.update(chunk);
+        received += chunk.length;
+        if (Date.now() - lastProgress >= this.progressInterval) report();
+        callback(null, chunk);
+      }
+    });
+
+    await pipeline(
+      media.stream,
+      progress,
+      fs.createWriteStream(partFile, { flags: media.resumed ? 'a' : 'w' }),
+      ...(options.signal ? [{ signal: options.signal }] : [])
+    );
+
+    // A connection cut short without an error still leaves a partial file
+    if (media.size && received < media.size) {
+      throw new Error(`Download of ${item.url} stopped at ${received} of ${media.size} bytes`);
+    }
+
+    if (reported !== received) report();
+    return { hash: hash.digest('hex'), size: received, resumed: media.resumed };
+  }
+
+  /**
+   * Path of a file, relative to the directory, from the name template
+   * @private
+   */
+  targetPath(item, hash) {
+    const extension = path.extname(item.originalName).slice(1) || path.extname(urlFileName(item.url)).slice(1);
+    const values = {
+      boardId: item.boardId,
+      threadId: item.threadId,
+      postId: item.postId,
+      originalName: item.originalName,
+      name: extension ? item.originalName.slice(0, -extension.length - 1) : item.originalName,
+      ext: extension,
+      hash,
+      index: item.index
+    };
+
+    const safeValues = {};
+    Object.keys(values).forEach(key => {
+      safeValues[key] = safeName(values[key]);
+    });
+
+    const relativePath = path.normalize(fillTemplate(this.fileName, safeValues));
+    if (relativePath.startsWith('..') || path.isAbsolute(relativePath)) {
+      throw new Error(`File name template leads outside the download directory: ${relativePath}`);
+    }
+    return relativePath;
+  }
+
+  /**
+   * The path itself if nothing is there yet, otherwise the first free
+   * "name (2).ext", "name (3).ext"...
+   * @private
+   */
+  async freePath(relativePath) {
+    const extension = path.extname(relativePath);
+    const base = relativePath.slice(0, relativePath.length - extension.length);
+
+    let candidate = relativePath;
+    for (let n = 2; await this.exists(candidate); n++) {
+      candidate = `${base} (${n})${extension}`;
+    }
+    return candidate;
+  }
+
+  /**
+   * @private
+   */
+  async exists(relativePath) {
+    return fs.promises.access(path.join(this.directory, relativePath)).then(() => true, () => false);
+  }
+
+  /**
+   * Result for a file that was already on disk
+   * @private
+   */
+  async result(item, status, relativePath, hash, resumed) {
+    const stats = await fs.promises.stat(path.join(this.directory, relativePath));
+    return { item, status, path: path.join(this.directory, relativePath), hash, size: stats.size, resumed };
+  }
+
+  /**
+   * Load the hash index of the directory
+   * @private
+   */
+  async loadIndex() {
+    // Concurrent downloads must share one index object
+    if (!this.indexLoaded) this.indexLoaded = this.readIndex();
+    return this.indexLoaded;
+  }
+
+  /**
+   * Read the hash index file, or start an empty index
+   * @private
+   */
+  async readIndex() {
+    let saved = { version: MEDIA_INDEX_VERSION, hashAlgorithm: this.hashAlgorithm, files: {}, urls: {} };
+    try {
+      saved = JSON.parse(await fs.promises.readFile(path.join(this.directory, INDEX_FILE), 'utf8'));
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+    }
+    if (saved.version !== MEDIA_INDEX_VERSION) {
+      throw new Error(`Unsupported media index version ${saved.version}`);
+    }
+
+    // Hashes made with another algorithm cannot be compared
+    this.index = saved.hashAlgorithm === this.hashAlgorithm ? saved : { ...saved, hashAlgorithm: this.hashAlgorithm, files: {}, urls: {} };
+    return this.index;
+  }
+
+  /**
+   * Write the hash index; writes are queued so they never overlap
+   * @private
+   */
+  async saveIndex() {
+    const file = path.join(this.directory, INDEX_FILE);
+    this.indexWrite = this.indexWrite.catch(() => {}).then(() => writeFileAtomic(file, JSON.stringify(this.index)));
+    await this.indexWrite;
+  }
+
+  /**
+   * Emit an error, unless nobody listens: the error is in the result too,
+   * and an unheard 'error' event would crash the process
+   * @private
+   */
+  emitError(error, context) {
+    if (this.listenerCount('error') > 0) this.emit('error', error, context);
+  }
+}
+
+module.exports = MediaDownloader;
+module.exports.mediaItems = mediaItems;
@@ -15,7 +15,8 @@
  *   Used to get the list of boards
  * 
  * - Board page: /board/{boardId}?page={page}
- *   Used to get threads from a specific board
+ *   Used to get threads from a specific board, with preview replies
+ *   (getThreads with view: 'index')
  * 
  * - Catalog: /board/{boardId}/catalog?page={page}
  *   Alternative view for threads in a board
@@ -33,6 +34,10 @@
  * - Reply to thread: /board/{boardId}/thread/{threadId}/reply
  *   Method: POST
  *   Form data: text, image (optional)
+ * 
+ *   Both forms also take name, email, spoiler and password, and whatever
+ *   hidden inputs the form on the board or thread page carries; those are
+ *   sent back as found.
  */
 
 /**
@@ -50,12 +55,23 @@
  *   id: string,       // Thread identifier
  *   title: string,    // Thread title
  *   text: string,     // Original post text
+ *   body: Document,   // Structured OP comment (only with the markup option)
  *   replyCount: number, // Number of replies
  *   imageUrl: string, // URL to thread image (if any)
+ *   timestamp: number, // OP creation time in milliseconds (null if unknown)
  *   board: string,    // Board identifier
- *   url: string       // Full URL to thread
+ *   url: string,      // Full URL to thread
+ *   // Board index view only:
+ *   op: Post,         // Original post with full metadata
+ *   previewPosts: Array<Post>, // Latest replies shown on the board page
+ *   omittedPosts: number, // Replies not shown on the board page
+ *   omittedImages: number // Images in the omitted replies
  * }
  * 
+ * Thread lists (getThreads) also carry page, pageCount and hasNextPage
+ * properties; pageCount and hasNextPage are null when the page does not
+ * tell.
+ * 
  * ThreadDetail:
  * {
  *   id: string,       // Thread identifier
@@ -64,45 +80,307 @@
  *   imageUrl: string, // URL to thread image (if any)
  *   board: string,    // Board identifier
  *   opPostId: string, // Original post ID
+ *   op: Post,         // Original post with full metadata
  *   posts: Array<Post>, // Array of replies
+ *   locked: boolean,  // Thread no longer accepts replies
+ *   sticky: boolean,  // Thread is pinned to the top of the board
+ *   archived: boolean, // Thread has been moved to the archive
  *   url: string       // Full URL to thread
  * }
  * 
+ * ThreadUpdates:
+ * {
+ *   thread: ThreadDetail, // Fresh copy of the thread (null if it is gone)
+ *   notFound: boolean, // Thread returned 404 (deleted or pruned)
+ *   newPosts: Array<Post>, // Replies added since the given state
+ *   deletedPostIds: Array<string>, // Replies that disappeared since the given state
+ *   statusChanges: Array<{field: string, from: boolean, to: boolean}>,
+ *   state: string     // Token to pass to the next getThreadUpdates call
+ * }
+ * 
  * Post:
  * {
  *   id: string,       // Post identifier
  *   text: string,     // Post text
- *   imageUrl: string  // URL to post image (if any)
+ *   imageUrl: string, // URL to full-size post image (if any)
+ *   timestamp: number, // Post time in milliseconds since epoch (null if unknown)
+ *   name: string,     // Author name (e.g., "Anonymous")
+ *   tripcode: string, // Tripcode (empty if none)
+ *   posterId: string, // Per-thread poster ID (empty if the board has none)
+ *   flag: Flag,       // Country or board flag (null if none)
+ *   file: File,       // Attached file (null if none)
+ *   quotes: Array<Quote>, // Posts referenced with >> links
+ *   backlinks: Array<string>, // IDs of posts in this thread that quote this post
+ *   isRepost: boolean, // The picture was posted before (imageHashIndex only)
+ *   repostOf: Array<{boardId, threadId, postId, timestamp, distance}>,
+ *                     // Earlier posts of the picture, oldest first (imageHashIndex only)
+ *   hidden: boolean,  // A content filter hides the post (also highlighted and
+ *                     // pinned, each with a ...By match; see Content filters)
+ *   isOwn: boolean,   // Posted by this client (getThread only, see Own posts)
+ *   quotesOwn: boolean, // Quotes a post made by this client (getThread only)
+ *   body: Document    // Structured comment (only with the markup option,
+ *                     // see comment-markup.js); text stays the plain-text fallback
+ * }
+ * 
+ * Quote:
+ * {
+ *   postId: string,   // Quoted post ID (null for board links like >>>/b/)
+ *   threadId: string, // Thread containing the quoted post (null if unknown)
+ *   boardId: string,  // Board containing the quoted post
+ *   crossThread: boolean, // Quote points into another thread
+ *   crossBoard: boolean,  // Quote points into another board (>>>/b/123)
+ *   missing: boolean, // Same-thread quote whose target is not in the thread
+ *   isOwn: boolean    // Quoted post was made by this client (getThread only)
+ * }
+ * 
+ * Flag:
+ * {
+ *   code: string,     // Flag code (e.g., "in")
+ *   name: string,     // Flag name (e.g., "India")
+ *   url: string       // Full URL to flag image
+ * }
+ * 
+ * File:
+ * {
+ *   name: string,     // Original filename as uploaded
+ *   size: number,     // File size in bytes (null if unknown)
+ *   width: number,    // Image width in pixels (null if unknown)
+ *   height: number,   // Image height in pixels (null if unknown)
+ *   thumbnailUrl: string, // Full URL to thumbnail
+ *   url: string,      // Full URL to full-size file
+ *   md5: string,      // MD5 of the file as the site states it, base64 (null if
+ *                     // the site does not say)
+ *   phash: string     // Perceptual hash of the thumbnail (imageHashIndex only,
+ *                     // null if it could not be made)
  * }
  * 
  * SearchResult:
  * {
  *   threadId: string, // Thread identifier
  *   boardId: string,  // Board identifier
+ *   postId: string,   // Matched post (the thread ID for an OP match)
+ *   isOp: boolean,    // The match is the original post
  *   title: string,    // Thread title
- *   snippet: string,  // Text snippet with search matches
- *   url: string       // Full URL to thread
+ *   snippet: {
+ *     text: string,   // Text snippet around the match
+ *     matches: Array<{ start: number, end: number }> // Highlighted ranges in text
+ *   },
+ *   timestamp: number, // Post time in milliseconds (null if unknown)
+ *   url: string       // Full URL to the matched post
+ * }
+ * 
+ * Search result lists carry page, pageCount and hasNextPage like thread lists.
+ * 
+ * PostData (createThread and replyToThread):
+ * {
+ *   title: string,    // Subject (required for threads)
+ *   text: string,     // Comment
+ *   name: string,     // Poster name, "name#password" for a tripcode
+ *   email: string,    // Email field
+ *   sage: boolean,    // Reply without bumping (sends "sage" as the email)
+ *   spoiler: boolean, // Spoiler the attached images
+ *   password: string, // Post password, for deleting the post later
+ *   files: Array<Buffer|string|{ data, fileName }>, // Attachments
+ *   image: Buffer|string, // Single attachment (older form of files)
+ *   fileName: string, // Name of the single attachment
+ *                     // (file names get the extension of the real type)
+ *   fields: Object    // Extra raw form fields, sent as given
  * }
  * 
  * CreateThreadResult:
  * {
  *   success: boolean, // Whether thread creation was successful
- *   threadId: string, // New thread ID
- *   url: string       // URL to the new thread
+ *   id: string,       // New thread ID
+ *   postId: string,   // ID of the new thread's OP (same as id)
+ *   board: string,    // Board identifier
+ *   url: string,      // URL to the new thread
+ *   confirmedBy: string // How the ID was learned: 'redirect', 'response' or
+ *                       // 'refetch' (null if unconfirmed, see below)
+ * }
+ * 
+ * Stale results:
+ * With the staleOnError or offline option, a read method whose live fetch
+ * fails returns the last cached copy instead of a fallback. The copy (an
+ * array for getBoards/getThreads, an object for getThread) carries:
+ * {
+ *   stale: true,
+ *   staleAge: number, // Age of the data in milliseconds
+ *   fetchedAt: number, // When the data was fetched, in milliseconds since epoch
+ *   staleReason: string // Why the live fetch failed
  * }
  * 
+ * Local search:
+ * With the searchIndex option, every thread page and board page the client
+ * fetches is added to a SearchIndex (see search-index.js), which
+ * searchLocal() queries without touching the network. It matches
+ * Devanagari and romanized spellings of a word to each other, and supports
+ * phrases, OR, exclusions and board: filters. Results have the
+ * SearchResult fields plus a relevance score.
+ * 
+ * Diagnostics:
+ * BharatChanAPI is an EventEmitter. Every parsed page produces a report
+ * (see parse-diagnostics.js) of the selectors that matched, the fallbacks
+ * that fired, the elements that were skipped and a confidence score:
+ * - 'diagnostics' (report)  Emitted for every parsed page
+ * - 'degraded'    (report)  Emitted when parsing fell back to heuristics
+ *                           (e.g., the all-links board parse) or failed
+ * With the diagnostics option, results (and ParseErrors) also carry the
+ * report as a diagnostics property; cached copies keep the report of the
+ * scrape that produced them.
+ * 
+ * Logging:
+ * BharatChanAPI writes nothing to the console. Failures reach the caller as
+ * typed errors, stale results or fallback data; retries, cache and cookie
+ * write failures and other problems it works around are logged only
+ * through the logger option, any object with warn and error methods such
+ * as console.
+ * 
+ * Errors:
+ * Failures are reported with the error classes in errors.js, which carry
+ * the HTTP status and URL. Posting methods always throw them. Read methods
+ * return fallback data (hard-coded boards, an empty thread list, a stub
+ * thread with an error field) unless the client was created with
+ * strict: true, in which case they throw and never guess at page structure.
+ * 
  * ReplyResult:
  * {
  *   success: boolean, // Whether reply was successful
- *   postId: string    // New post ID
+ *   threadId: string, // Thread identifier
+ *   postId: string,   // New post ID
+ *   board: string,    // Board identifier
+ *   url: string,      // URL to the thread
+ *   confirmedBy: string // Same as CreateThreadResult
+ * }
+ * 
+ * Post outcomes:
+ * Posts are sent without following redirects. The post ID comes from the
+ * redirect target's anchor, or from the page or JSON the site answers
+ * with. An answer showing an error, a ban, or the post form again with the
+ * text still in it is a failure, reported as FloodError, BannedError,
+ * CaptchaFailedError, CaptchaRequiredError, DuplicateFileError,
+ * FileTooLargeError, UnsupportedFileTypeError or PostRejectedError. When the answer does not name
+ * the post, the thread (or the board's first catalog page, for new
+ * threads) is fetched again to find it; a post that is not there is a
+ * PostRejectedError. With confirm: false that check is skipped and the
+ * result's postId and confirmedBy are null.
+ * 
+ * Media downloads:
+ * createDownloader() returns a MediaDownloader (see media-downloader.js)
+ * that saves the full-size attachments of a thread to a directory, using
+ * this client's throttle and cookies through openMedia(). It names files
+ * from a template, skips contents it already saved (from any thread),
+ * resumes partial downloads and reports progress as events.
+ * 
+ * Content filters:
+ * The filters option (or setFilters()) takes a FilterSet (see
+ * content-filter.js) of rules matching subjects, comments (regular
+ * expressions that ignore case and diacritics), file names, image MD5s,
+ * poster IDs, tripcodes and boards. getThreads and getThread apply them to
+ * every result, cached or fresh: matching threads and posts are marked
+ * hidden, highlighted or pinned, with hiddenBy naming the rule, and never
+ * removed. A hideReplies rule also hides the replies to the posts it
+ * matches, and pinned threads come first in thread lists. Filter sets
+ * export with toJSON() and import with FilterSet.fromJSON() or
+ * setFilters().
+ * 
+ * Reposts:
+ * With the imageHashIndex option (true, or an ImageHashIndex from
+ * image-hash.js, which can keep the index in a file), getThread fetches
+ * the thumbnails it has not seen before, hashes them with a perceptual
+ * hash (dHash) and records them by board, thread and post. Posts whose
+ * picture was posted before, within the index's Hamming distance
+ * threshold, get isRepost and repostOf. findSimilarImages() looks up an
+ * image, and findDuplicateImages() groups the near-duplicates among all
+ * cached threads. Decoding needs sharp or the imageDecoder option.
+ * 
+ * Thread archives:
+ * exportThread() writes a thread to a directory as a versioned JSON
+ * archive, a Markdown transcript and a single-file HTML page with the
+ * thumbnails inlined and quotes linked, so it can be read offline after
+ * the site prunes it (see thread-archive.js). Given a downloader's
+ * results, files link to the saved copies. importThread() loads a JSON
+ * archive or HTML page back into the ThreadDetail getThread returned.
+ * 
+ * Uploads:
+ * Attachments go through upload-preprocessor.js before the form page is
+ * even fetched: the real type is sniffed from the contents and the file
+ * name given the matching extension, image metadata such as GPS Exif tags
+ * is stripped (stripMetadata: false keeps it), and images over the
+ * uploadLimits are downscaled or re-encoded by the imageProcessor option,
+ * or by sharp when it is installed. A file still over the limits, or of a
+ * type the limits do not allow, fails with FileTooLargeError,
+ * UnsupportedFileTypeError or PostRejectedError without any request; the
+ * accept attribute and MAX_FILE_SIZE input of the post form are checked
+ * before the upload too. uploadLimits may hold per-board limits:
+ *   { maxFileSize: 4194304, boards: { wg: { maxWidth: 10000, maxHeight: 10000 } } }
+ * 
+ * Cookies and sessions:
+ * Cookies follow RFC 6265 (see cookie-jar.js): they are scoped to the
+ * domain and path that set them, expire, and secure ones only go over
+ * https. Each named session has its own jar, so one client can act as
+ * several identities: the session option of the constructor sets the
+ * default ('default'), setSession() switches it, and every method's
+ * options take a session for that call alone. With the cookieFile option
+ * all sessions are loaded from that file before the first request and
+ * written back whenever a response changes a cookie. Pass cookieSessions
+ * to share sessions between clients.
+ * 
+ * Own posts:
+ * Every post createThread or replyToThread makes, once its ID is known, is
+ * recorded as an OwnPost (board, thread, post ID, time and password) in
+ * the ownPostStore option, an in-memory store by default or any store
+ * from own-post-store.js. getThread and getThreadUpdates mark the posts
+ * found there with isOwn, and posts quoting them with quotesOwn, so apps
+ * can show "(You)". Watchers report replies to own posts as 'reply'
+ * events. getOwnPosts, addOwnPost and removeOwnPost manage the records.
+ * 
+ * Captchas:
+ * When the post form has a captcha (see CaptchaInfo in html-adapter.js),
+ * its challenge is fetched and handed to the captchaSolver option, an
+ * async function (challenge, { signal }) that resolves to the answer: the
+ * text in the image, or the token a widget produced for siteKey. The answer
+ * is sent with the form. The call timeout is paused while the solver runs,
+ * so a person answering has as long as the challenge lasts. A challenge
+ * that expires before the solver answers, or an answer the site rejects,
+ * is replaced with a fresh one from the form page, up to captchaAttempts
+ * (default 3) challenges. Without a solver the post fails with a
+ * CaptchaRequiredError whose challenge property holds the unsolved
+ * challenge.
+ * 
+ * CaptchaChallenge:
+ * {
+ *   type: string,     // 'image' or 'token'
+ *   id: string,       // Challenge ID the site issued (null if none)
+ *   image: Buffer,    // Challenge picture, for image captchas
+ *   mimeType: string, // Type of image (e.g., "image/png")
+ *   imageUrl: string, // Full URL the picture came from (null if inline)
+ *   siteKey: string,  // Widget key, for token captchas
+ *   pageUrl: string,  // Page the form is on, which token services ask for
+ *   expiresAt: number, // When the challenge expires, in milliseconds since
+ *                      // epoch (null if the form does not say)
+ *   boardId: string,  // Board being posted to
+ *   threadId: string, // Thread being replied to (null for new threads)
+ *   attempt: number   // 1 for the first challenge of a post, 2 for the next...
  * }
+ * 
+ * Site adapters:
+ * Every request path and every page parser comes from the client's site
+ * adapter, so the same API can target bharatchan mirrors or other engines:
+ * - Default: HtmlAdapter with the bundled bharatchan profile; pass
+ *   options.profile (object, JSON string or file path) to override parts
+ *   of it, or a whole profile such as profiles/vichan.json
+ * - options.adapter: any object implementing the adapter interface in
+ *   html-adapter.js, e.g. a JsonApiAdapter for sites with a vichan or
+ *   4chan-style JSON API
  */
 
 /**
  * HTML parsing logic
  * 
  * The Android implementation should use JSoup for HTML parsing
- * based on the following selectors:
+ * based on the following selectors. The authoritative, versioned list is
+ * the selector profile in profiles/bharatchan.json, which both
+ * implementations can load at runtime instead of hard-coding selectors.
  * 
  * Boards:
  * - Look for .boards-list .board-item or .boardlist a
@@ -122,20 +400,68 @@
  * - Original post similar to thread parsing
  * - Replies may be in .post:not(.op-post), .reply, or .thread-reply
  * - For each reply, extract post ID, text, and image URL
+ * - Timestamp from time[datetime], data-utc/data-timestamp or .post-time text
+ * - Name from .name, tripcode from .tripcode, poster ID from .poster-id
+ * - Flag from img.flag (code from flag-xx class or image filename)
+ * - File from .file container: full-size URL from the link wrapping the
+ *   thumbnail, original name from .file-name or download attribute,
+ *   size and dimensions from the file info text, e.g. "(1.5 MB, 1920x1080)"
+ * - Quotes from links or text of the form >>123, >>>/b/123 or >>>/b/;
+ *   the link href (/board/{boardId}/thread/{threadId}#{postId}) decides
+ *   whether the quote stays in the thread
  * 
  * Search results:
  * - Look for .search-result or .result items
- * - Extract thread ID and board ID from href
+ * - Extract thread ID and board ID from href, post ID from the href anchor
+ *   or data-post-id (no anchor means the OP matched)
  * - Title from .result-title or h3
- * - Snippet from .result-snippet or .snippet
+ * - Snippet from .result-snippet or .snippet; <mark>, <em>, <b> and
+ *   .highlight elements give the match ranges, or the query words do
+ *   when the site highlights nothing
  */
 
 const axios = require('axios');
-const cheerio = require('cheerio');
 const FormData = require('form-data');
+const EventEmitter = require('events');
+const path = require('path');
 const express = require('express');
 const bodyParser = require('body-parser');
 const cors = require('cors');
+const HtmlAdapter = require('./html-adapter');
+const JsonApiAdapter = require('./json-api-adapter');
+const { loadProfile } = require('./selector-profile');
+const { absoluteUrl, parseFileSize } = require('./post-parsing');
+const ParseDiagnostics = require('./parse-diagnostics');
+const ThreadWatcher = require('./thread-watcher');
+const MediaDownloader = require('./media-downloader');
+const { createArchive, readArchive, importArchive, toMarkdown, toHtml, writeArchive } = require('./thread-archive');
+const { MemoryCacheStore, FileCacheStore } = require('./cache-store');
+const { MemoryOwnPostStore, FileOwnPostStore } = require('./own-post-store');
+const { CookieJar, CookieSessions } = require('./cookie-jar');
+const { prepareUpload, checkUploadLimits } = require('./upload-preprocessor');
+const RequestScheduler = require('./request-scheduler');
+const SearchIndex = require('./search-index');
+const FilterSet = require('./content-filter');
+const { ImageHashIndex, hashImage, sharpDecoder } = require('./image-hash');
+const { encodeThreadState, decodeThreadState } = require('./thread-state');
+const {
+  BharatChanError,
+  NetworkError,
+  TimeoutError,
+  AbortError,
+  NotFoundError,
+  RateLimitError,
+  BannedError,
+  FloodError,
+  CaptchaRequiredError,
+  CaptchaFailedError,
+  ParseError,
+  PostRejectedError,
+  DuplicateFileError,
+  FileTooLargeError,
+  UnsupportedFileTypeError,
+  parseRetryAfter
+} = require('./errors');
 
 const app = express();
 app.use(bodyParser.json());
@@ -362,21 +688,202 @@ app.listen(PORT, () => {
     console.log(`Server is running on port ${PORT}`);
 });
 
-class BharatChanAPI {
+/**
+ * Milliseconds since epoch of a Date, number or date string
+ * @private
+ * @param {Date|number|string} [value]
+ * @returns {number|null}
+ */
+function toTime(value) {
+  if (value === undefined || value === null || value === '') return null;
+
+  const time = value instanceof Date ? value.getTime() : typeof value === 'number' ? value : Date.parse(value);
+  if (isNaN(time)) throw new Error(`Invalid date: ${value}`);
+  return time;
+}
+
+/**
+ * Apply search filters to parsed results, keeping the list's page properties
+ * @private
+ * @param {Array<Object>} results - Search results
+ * @param {Object} filters - boards, since, until and opOnly
+ * @returns {Array<Object>}
+ */
+function filterSearchResults(results, filters) {
+  const filtered = results.filter(result => {
+    if (filters.boards && result.boardId && !filters.boards.includes(result.boardId)) return false;
+    if (filters.opOnly && !result.isOp) return false;
+    if (result.timestamp) {
+      if (filters.since !== null && result.timestamp < filters.since) return false;
+      if (filters.until !== null && result.timestamp > filters.until) return false;
+    }
+    return true;
+  });
+
+  return Object.assign(filtered, { page: results.page, pageCount: results.pageCount, hasNextPage: results.hasNextPage });
+}
+
+/**
+ * Whether post text found on the site is the text we sent. The site may
+ * trim whitespace, and catalogs cut long text short.
+ * @private
+ * @param {string} found - Text on the site
+ * @param {string} sent - Text we posted
+ * @returns {boolean}
+ */
+function sameText(found, sent) {
+  const normalize = text => (text || '').replace(/\s+/g, ' ').trim();
+  const foundText = normalize(found).replace(/(?:\.\.\.|…)$/, '').trim();
+  const sentText = normalize(sent);
+  return foundText === sentText || (foundText.length >= 20 && sentText.startsWith(foundText));
+}
+
+/**
+ * Build a thread predicate from a getThreads filter option
+ * @private
+ * @param {Object|Function} [filter] - Predicate, or hasImage, minReplies and maxReplies
+ * @returns {Function}
+ */
+function threadFilter(filter) {
+  if (!filter) return () => true;
+  if (typeof filter === 'function') return filter;
+
+  return thread => {
+    if (filter.hasImage !== undefined && Boolean(thread.imageUrl) !== Boolean(filter.hasImage)) return false;
+    if (filter.minReplies !== undefined && thread.replyCount < filter.minReplies) return false;
+    if (filter.maxReplies !== undefined && thread.replyCount > filter.maxReplies) return false;
+    return true;
+  };
+}
+
+/**
+ * Sort and filter a thread list, keeping its page, staleness and
+ * diagnostics properties
+ * @private
+ * @param {Array<Object>} threads - Threads in site (bump) order
+ * @param {Object} options - getThreads sort, order and filter options
+ * @returns {Array<Object>} - New list, or the same one when nothing changes
+ */
+function arrangeThreads(threads, options) {
+  const sort = options.sort || 'bump';
+  if (sort === 'bump' && !options.filter) return threads;
+
+  let arranged = threads.filter(threadFilter(options.filter));
+
+  if (sort !== 'bump') {
+    // Thread IDs grow over time, so they stand in when a timestamp is missing
+    const byTimestamp = arranged.every(thread => thread.timestamp);
+    const value = sort === 'created'
+      ? thread => (byTimestamp ? thread.timestamp : parseInt(thread.id, 10) || 0)
+      : thread => thread.replyCount || 0;
+
+    const direction = options.order === 'asc' ? 1 : -1;
+    arranged = arranged
+      .map((thread, index) => ({ thread, index, value: value(thread) }))
+      .sort((a, b) => (a.value - b.value) * direction || a.index - b.index)
+      .map(entry => entry.thread);
+  }
+
+  Object.keys(threads)
+    .filter(key => !/^\d+$/.test(key))
+    .forEach(key => { arranged[key] = threads[key]; });
+  return arranged;
+}
+
+/**
+ * FilterSet from the filters option: a FilterSet, an array of FilterRules,
+ * or a filter set exported as an object or JSON
+ * @private
+ */
+function toFilterSet(filters) {
+  if (filters instanceof FilterSet) return filters;
+  if (!filters) return new FilterSet();
+  if (Array.isArray(filters)) return new FilterSet(filters);
+  return FilterSet.fromJSON(filters);
+}
+
+class BharatChanAPI extends EventEmitter {
   constructor(options = {}) {
+    super();
     this.baseURL = options.baseURL || 'https://bharatchan.com';
     this.timeout = options.timeout || 10000;
     this.userAgent = options.userAgent || 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/91.0.4472.124 Safari/537.36';
-    this.cookieJar = {};
+    
+    // Cookies, one jar per named session; cookieFile keeps them across restarts
+    this.cookieSessions = options.cookieSessions || new CookieSessions();
+    this.session = options.session || 'default';
+    this.cookieFile = options.cookieFile || null;
+    this.cookiesLoaded = null;
+    this.cookieWrite = Promise.resolve();
     
     // Rate limiting options
     this.rateLimitDelay = options.rateLimitDelay || 1000; // Default 1 second between requests
-    this.lastRequestTime = 0;
+    this.scheduler = new RequestScheduler({
+      interval: this.rateLimitDelay,
+      burst: options.burst,
+      concurrency: options.concurrency,
+      maxRetries: options.maxRetries,
+      maxRetryDelay: options.maxRetryDelay
+    });
 
     // Cache settings
     this.enableCache = options.enableCache !== undefined ? options.enableCache : true;
     this.cacheTTL = options.cacheTTL || 300000; // Default cache TTL: 5 minutes
-    this.cache = {};
+    this.cacheTTLs = options.cacheTTLs || {}; // Per-method TTLs, e.g. { getThread: 30000 }
+    this.cache = options.cacheStore || new MemoryCacheStore({
+      maxEntries: options.cacheMaxEntries,
+      maxBytes: options.cacheMaxBytes
+    });
+    this.cacheHits = 0;
+    this.cacheMisses = 0;
+    this.cacheStaleHits = 0;
+    
+    // Throw typed errors instead of returning fallback data
+    this.strict = options.strict || false;
+    
+    // Site adapter: where pages live and how to read them. The default reads
+    // bharatchan HTML through a selector profile that options.profile overrides.
+    this.adapter = options.adapter || new HtmlAdapter(options.profile);
+    
+    // Attach a parse diagnostics report to every scraped result
+    this.diagnostics = options.diagnostics || false;
+    
+    // Where retries and recovered failures are logged, e.g. console; silent without one
+    this.logger = options.logger || null;
+    
+    // Local full-text index fed by fetched threads: true for a default index, or a SearchIndex
+    this.searchIndex = options.searchIndex === true ? new SearchIndex() : options.searchIndex || null;
+    
+    // Posts made through this client, for "(You)" marking
+    this.ownPosts = options.ownPostStore || new MemoryOwnPostStore();
+    
+    // Upload preprocessing: UploadLimits (with per-board entries under boards),
+    // metadata stripping and the image processor for oversize images
+    this.uploadLimits = options.uploadLimits || null;
+    this.stripMetadata = options.stripMetadata !== false;
+    this.imageProcessor = options.imageProcessor;
+    
+    // Captcha settings: async (challenge, { signal }) => answer, and how many
+    // challenges to try before giving up on a post
+    this.captchaSolver = options.captchaSolver || null;
+    this.captchaAttempts = options.captchaAttempts || 3;
+    
+    // Content filters applied to getThreads and getThread results: a
+    // FilterSet, an array of FilterRules or an exported filter set
+    this.filters = toFilterSet(options.filters);
+    
+    // Perceptual hashes of thumbnails, for repost detection: true for an
+    // in-memory ImageHashIndex, or an ImageHashIndex (e.g. one kept in a file)
+    this.imageHashes = options.imageHashIndex === true ? new ImageHashIndex() : options.imageHashIndex || null;
+    this.imageDecoder = options.imageDecoder || (this.imageHashes ? sharpDecoder() : null);
+    if (this.imageHashes && !this.imageDecoder) {
+      throw new Error('The imageHashIndex option needs sharp installed, or the imageDecoder option');
+    }
+    this.unhashableImages = new Set(); // Thumbnails that failed, not retried until restart
+    
+    // Offline settings
+    this.staleOnError = options.staleOnError || false; // Serve expired cache entries when a fetch fails
+    this.offline = options.offline || false; // Never touch the network, serve cache entries only
     
     // Configure axios defaults
     this.client = axios.create({
@@ -396,40 +903,40 @@ class BharatChanAPI {
     // Add request and response interceptors
     this.client.interceptors.request.use(async config => {
       // Rate limiting
-      await this.throttleRequest();
+      config.releaseSlot = await this.throttleRequest(config);
       
-      // Add cookies to requests
-      if (Object.keys(this.cookieJar).length > 0) {
-        const cookieString = Object.entries(this.cookieJar)
-          .map(([key, value]) => `${key}=${value}`)
-          .join('; ');
-        config.headers.Cookie = cookieString;
-      }
+      // Add the cookies of the call's session that apply to this URL
+      await this.loadCookies();
+      const cookieHeader = this.getCookieJar(config.session).getCookieHeader(this.requestUrl(config));
+      if (cookieHeader) config.headers.Cookie = cookieHeader;
       return config;
     });
     
-    this.client.interceptors.response.use(response => {
-      // Save cookies from responses
+    this.client.interceptors.response.use(async response => {
+      if (response.config.releaseSlot) response.config.releaseSlot();
+      
+      // 429 responses pass validateStatus, so back off here
+      if (response.status === 429) {
+        return this.retryRequest(response.config, response);
+      }
+      this.scheduler.relax(this.requestHost(response.config));
+      
+      // Save cookies from responses, scoped to the URL that set them
       const setCookie = response.headers['set-cookie'];
       if (setCookie) {
-        setCookie.forEach(cookie => {
-          const [cookieMain] = cookie.split(';');
-          const [key, value] = cookieMain.split('=');
-          if (key && value) {
-            this.cookieJar[key] = value;
-          }
-        });
+        const url = (response.request && response.request.res && response.request.res.responseUrl) ||
+          this.requestUrl(response.config);
+        const jar = this.getCookieJar(response.config.session);
+        const changed = [].concat(setCookie).filter(header => jar.setCookie(header, url)).length > 0;
+        if (changed) await this.saveCookies();
       }
       return response;
     }, async error => {
-      // Handle rate limiting errors (429 Too Many Requests)
-      if (error.response && error.response.status === 429) {
-        console.warn('Rate limited by server, waiting before retrying...');
-        // Wait longer before next request
-        this.rateLimitDelay = Math.min(this.rateLimitDelay * 2, 30000); // Exponential backoff up to 30 seconds
-        await new Promise(resolve => setTimeout(resolve, this.rateLimitDelay));
-        // Retry the request
-        return this.client(error.config);
+      if (error.config && error.config.releaseSlot) error.config.releaseSlot();
+      
+      // Handle server overload (503 Service Unavailable)
+      if (error.response && error.response.status === 503) {
+        return this.retryRequest(error.config, error.response, error);
       }
       
       throw error;
@@ -439,709 +946,1744 @@ class BharatChanAPI {
   /**
    * Throttle requests to respect rate limits
    * @private
+   * @param {Object} config - Axios request config; config.priority selects the lane
+   * @returns {Promise<Function>} - Releases the request slot
    */
-  async throttleRequest() {
-    const now = Date.now();
-    const timeSinceLastRequest = now - this.lastRequestTime;
-    
-    if (timeSinceLastRequest < this.rateLimitDelay) {
-      const waitTime = this.rateLimitDelay - timeSinceLastRequest;
-      await new Promise(resolve => setTimeout(resolve, waitTime));
-    }
-    
-    this.lastRequestTime = Date.now();
+  async throttleRequest(config) {
+    return this.scheduler.schedule(this.requestHost(config), config.priority, config.signal);
   }
 
   /**
-   * Get all available boards from the homepage
-   * @returns {Promise<Array<{id: string, name: string, description: string}>>}
+   * Start an API call: combines the caller's AbortSignal with the call
+   * timeout, which covers time spent queued as well as every request the
+   * call makes. The timeout can be paused while the call waits on something
+   * other than the site, such as a captcha solver.
+   * @private
+   * @param {Object} [options] - Call options
+   * @param {AbortSignal} [options.signal] - Cancels the call
+   * @param {number} [options.timeout] - Call timeout in ms, defaults to the client timeout
+   * @param {string} [options.priority] - Request priority
+   * @param {string} [options.session] - Cookie session, defaults to the client's
+   * @returns {{config: Object, pause: Function, end: Function}} - Axios config
+   *   for the call's requests, a function that pauses the timeout and returns
+   *   one that resumes it, and a function to call once the call is over
    */
-  async getBoards() {
-    const cacheKey = 'getBoards';
-    if (this.enableCache && this.cache[cacheKey] && (Date.now() - this.cache[cacheKey].timestamp < this.cacheTTL)) {
-      return this.cache[cacheKey].data;
+  startCall(options = {}) {
+    const { signal } = options;
+    if (signal && signal.aborted) {
+      throw new AbortError('Request cancelled');
     }
 
-    try {
-      const response = await this.client.get('/');
-      const $ = cheerio.load(response.data);
-      const boards = [];
-      
-      // Try different selectors to find boards based on possible site structures
-      // This is more robust against website structure changes
-      const boardSelectors = [
-        '.boards-list .board-item', // Our initial selector
-        '.board-list .board-item',
-        '.boardlist a',             // Common structure in chan sites
-        'a[href*="/board/"]',       // Find any links with "/board/" in href
-        '.board-item',
-        '#boardlist a',
-      ];
-
-      // Try each selector until we find something
-      let foundBoards = false;
-      for (const selector of boardSelectors) {
-        $(selector).each((i, element) => {
-          const boardLink = $(element).is('a') ? $(element) : $(element).find('a').first();
-          const href = boardLink.attr('href') || '';
-          const boardMatch = href.match(/\/board\/([^\/]+)/);
-          
-          if (boardMatch && boardMatch[1]) {
-            const boardId = boardMatch[1];
-            const name = boardLink.text().trim();
-            
-            // Skip if this board ID is already in our results
-            if (boards.some(b => b.id === boardId)) return;
-            
-            // Get description if it exists
-            let description = '';
-            if ($(element).find('.board-description').length) {
-              description = $(element).find('.board-description').text().trim();
-            } else if ($(element).next('.board-description').length) {
-              description = $(element).next('.board-description').text().trim();
-            }
-            
-            boards.push({
-              id: boardId,
-              name: name || boardId,
-              description
-            });
-            
-            foundBoards = true;
-          }
-        });
-        
-        if (foundBoards) break;
-      }
-      
-      // If still no boards found, try a more aggressive approach by parsing all links
-      if (boards.length === 0) {
-        console.log('No boards found using standard selectors. Trying to parse all links...');
-        
-        // Extract all links that might be boards
-        $('a').each((i, element) => {
-          const href = $(element).attr('href') || '';
-          const boardMatch = href.match(/\/board\/([^\/]+)/);
-          
-          if (boardMatch && boardMatch[1]) {
-            const boardId = boardMatch[1];
-            
-            // Skip if this board ID is already in our results
-            if (boards.some(b => b.id === boardId)) return;
-            
-            // Get text and clean it
-            const name = $(element).text().trim();
-            
-            boards.push({
-              id: boardId,
-              name: name || boardId,
-              description: ''
-            });
-          }
-        });
-      }
-      
-      // Add hardcoded common boards as fallback if nothing found
-      if (boards.length === 0) {
-        console.log('No boards found in HTML. Using fallback board list.');
-        const commonBoards = ['b', 'g', 'pol', 'tv', 'v', 'a', 'tech', 'int', 'sci', 'his', 'mus', 'fit', 'lit'];
-        
-        commonBoards.forEach(boardId => {
-          boards.push({
-            id: boardId,
-            name: `/${boardId}/ - Board`,
-            description: ''
-          });
-        });
-      }
+    const timeout = options.timeout || this.timeout;
+    const controller = new AbortController();
 
-      // Special case for bharatchan.com - manually add known boards if site structure is unusual
-      // This ensures we always have some boards to work with
-      const knownBharatChanBoards = ['b', 'acd', 'pol', 'tech'];
-      knownBharatChanBoards.forEach(boardId => {
-        if (!boards.some(b => b.id === boardId)) {
-          boards.push({
-            id: boardId,
-            name: `/${boardId}/`,
-            description: 'Known board'
-          });
-        }
-      });
+    const onAbort = () => controller.abort(new AbortError('Request cancelled'));
+    if (signal) signal.addEventListener('abort', onAbort, { once: true });
+
+    let remaining = timeout;
+    let started;
+    let timer;
+    const startTimer = () => {
+      started = Date.now();
+      timer = setTimeout(() => {
+        controller.abort(new TimeoutError(`Request timed out after ${timeout}ms`));
+      }, remaining);
+    };
+    startTimer();
 
-      if (this.enableCache) {
-        this.cache[cacheKey] = { data: boards, timestamp: Date.now() };
+    return {
+      config: { signal: controller.signal, timeout, priority: options.priority, session: options.session },
+      pause: () => {
+        clearTimeout(timer);
+        remaining = Math.max(0, remaining - (Date.now() - started));
+        return startTimer;
+      },
+      end: () => {
+        clearTimeout(timer);
+        if (signal) signal.removeEventListener('abort', onAbort);
       }
-      
-      return boards;
-    } catch (error) {
-      console.error('Error fetching boards:', error);
-      
-      // Return fallback boards in case of error
-      const fallbackBoards = [
-        { id: 'b', name: '/b/ - Random', description: 'Fallback board' },
-        { id: 'acd', name: '/acd/ - Academia', description: 'Fallback board' },
-        { id: 'pol', name: '/pol/ - Politics', description: 'Fallback board' },
-        { id: 'tech', name: '/tech/ - Technology', description: 'Fallback board' }
-      ];
-      
-      return fallbackBoards;
-    }
+    };
   }
 
   /**
-   * Get threads from a specific board
-   * @param {string} boardId - Board identifier
-   * @param {Object} options - Options for fetching threads
-   * @param {number} [options.page=1] - Page number
-   * @returns {Promise<Array<Object>>}
+   * Full URL a request goes to
+   * @private
+   * @param {Object} config - Axios request config
+   * @returns {string}
    */
-  async getThreads(boardId, options = {}) {
-    const page = options.page || 1;
-    const cacheKey = `getThreads_${boardId}_${page}`;
-    if (this.enableCache && this.cache[cacheKey] && (Date.now() - this.cache[cacheKey].timestamp < this.cacheTTL)) {
-      return this.cache[cacheKey].data;
-    }
-    
+  requestUrl(config) {
     try {
-      // First try catalog view
-      const response = await this.client.get(`/board/${boardId}/catalog?page=${page}`);
-      const $ = cheerio.load(response.data);
-      const threads = [];
-      
-      // Try different selectors for thread elements
-      const threadSelectors = [
-        '.thread',                      // Standard selector
-        '.thread-container',            // Alternative selector
-        '.threadContainer',             // Camel case variant
-        'div[id^="thread"]',            // ID-based selector
-        '.post.op',                     // Common in some imageboards
-        'article.thread',               // Another common structure
-        'div.card.thread'               // Bootstrap-style threads
-      ];
-      
-      // Try each selector until we find thread elements
-      let foundThreads = false;
-      let selectedSelector = '';
-      
-      for (const selector of threadSelectors) {
-        if ($(selector).length > 0) {
-          selectedSelector = selector;
-          foundThreads = true;
-          break;
-        }
-      }
-      
-      if (foundThreads) {
-        // Process found threads with the working selector
-        $(selectedSelector).each((i, element) => {
-          // Try various attribute/selector combinations for thread ID
-          const threadId = 
-            $(element).attr('data-id') || 
-            $(element).attr('id')?.replace('thread-', '') ||
-            $(element).attr('thread-id') ||
-            $(element).find('[data-thread-id]').attr('data-thread-id');
-          
-          if (!threadId) return; // Skip if we can't determine thread ID
-          
-          // Try various selectors for title
-          const titleSelectors = ['.thread-title', '.title', 'h2', 'h3', '.subject', '.post-title'];
-          let title = '';
-          
-          for (const selector of titleSelectors) {
-            const titleElement = $(element).find(selector).first();
-            if (titleElement.length) {
-              title = titleElement.text().trim();
-              break;
-            }
-          }
-          
-          // Try various selectors for text content
-          const textSelectors = ['.thread-text', '.text', '.post-content', '.message', '.post-body', '.body'];
-          let text = '';
-          
-          for (const selector of textSelectors) {
-            const textElement = $(element).find(selector).first();
-            if (textElement.length) {
-              text = textElement.text().trim();
-              break;
-            }
-          }
-          
-          // Try to find reply count
-          let replyCount = 0;
-          const replyCountSelectors = ['.reply-count', '.post-count', '.replies', '.backlink-count'];
-          
-          for (const selector of replyCountSelectors) {
-            const countElement = $(element).find(selector).first();
-            if (countElement.length) {
-              replyCount = parseInt(countElement.text().trim(), 10) || 0;
-              break;
-            }
-          }
-          
-          // Try to extract reply count from text content if no dedicated element found
-          if (replyCount === 0) {
-            const replyText = $(element).text();
-            const replyMatch = replyText.match(/(\d+)\s*(?:replies|posts)/i);
-            if (replyMatch && replyMatch[1]) {
-              replyCount = parseInt(replyMatch[1], 10) || 0;
-            }
-          }
-          
-          // Try to find image
-          const imageSelectors = ['img', '.post-image img', '.thread-image', '.attachment img'];
-          let imageUrl = '';
-          
-          for (const selector of imageSelectors) {
-            const imageElement = $(element).find(selector).first();
-            if (imageElement.length) {
-              imageUrl = imageElement.attr('src') || imageElement.attr('data-src') || '';
-              break;
-            }
-          }
-          
-          // Make sure image URL is absolute
-          if (imageUrl && !imageUrl.startsWith('http')) {
-            imageUrl = imageUrl.startsWith('/') 
-              ? `${this.baseURL}${imageUrl}` 
-              : `${this.baseURL}/${imageUrl}`;
-          }
-          
-          threads.push({
-            id: threadId,
-            title: title || `Thread ${threadId}`,
-            text,
-            replyCount,
-            imageUrl,
-            board: boardId,
-            url: `${this.baseURL}/board/${boardId}/thread/${threadId}`
-          });
-        });
-      }
-      
-      // If no threads found, try to find them from the page in a different way
-      if (threads.length === 0) {
-        console.log(`No threads found using standard selectors for board ${boardId}. Trying alternative parsing...`);
-        
-        // Look for links that might be threads
-        $('a').each((i, element) => {
-          const href = $(element).attr('href') || '';
-          const threadMatch = href.match(/\/thread\/(\d+)/);
-          
-          if (threadMatch && threadMatch[1]) {
-            const threadId = threadMatch[1];
-            
-            // Skip if this thread ID is already in our results
-            if (threads.some(t => t.id === threadId)) return;
-            
-            const title = $(element).text().trim() || `Thread ${threadId}`;
-            
-            // Try to get the surrounding element for more context
-            const parentElement = $(element).parent().parent();
-            const text = parentElement.text().replace(title, '').trim();
-            
-            threads.push({
-              id: threadId,
-              title,
-              text,
-              replyCount: 0,
-              imageUrl: '',
-              board: boardId,
-              url: `${this.baseURL}/board/${boardId}/thread/${threadId}`
-            });
-          }
-        });
-      }
-
-      if (this.enableCache) {
-        this.cache[cacheKey] = { data: threads, timestamp: Date.now() };
-      }
-      
-      return threads;
+      return new URL(config.url || '', config.baseURL || this.baseURL).href;
     } catch (error) {
-      console.error(`Error fetching threads for board ${boardId}:`, error);
-      
-      // In case of error, return an empty array instead of throwing
-      // This makes the API more resilient against failures
-      return [];
+      return new URL(this.baseURL).href;
     }
   }
 
   /**
-   * Get a specific thread with all posts
-   * @param {string} boardId - Board identifier
-   * @param {string} threadId - Thread identifier
-   * @returns {Promise<Object>}
+   * Host a request goes to
+   * @private
+   * @param {Object} config - Axios request config
+   * @returns {string}
    */
-  async getThread(boardId, threadId) {
-    const cacheKey = `getThread_${boardId}_${threadId}`;
-    if (this.enableCache && this.cache[cacheKey] && (Date.now() - this.cache[cacheKey].timestamp < this.cacheTTL)) {
-      return this.cache[cacheKey].data;
+  requestHost(config) {
+    try {
+      return new URL(config.url || '', config.baseURL || this.baseURL).host;
+    } catch (error) {
+      return new URL(this.baseURL).host;
     }
+  }
 
-    try {
-      const response = await this.client.get(`/board/${boardId}/thread/${threadId}`);
-      const $ = cheerio.load(response.data);
-      
-      // Try different selectors for thread elements
-      const threadSelectors = [
-        '.thread',
-        '.thread-container',
-        '.threadContainer',
-        `div[id="thread-${threadId}"]`,
-        `div[id="thread_${threadId}"]`,
-        `div[data-id="${threadId}"]`,
-        'article.thread'
-      ];
-      
-      // Find thread element
-      let threadElement = null;
-      for (const selector of threadSelectors) {
-        const element = $(selector).first();
-        if (element.length) {
-          threadElement = element;
-          break;
-        }
-      }
-      
-      // If still not found, try to find by structure
-      if (!threadElement) {
-        threadElement = $('.post.op').closest('.thread').first();
-      }
-      
-      // If still not found, just use the main container
-      if (!threadElement || !threadElement.length) {
-        threadElement = $('.main-container').first();
-        if (!threadElement.length) {
-          threadElement = $('main').first();
-        }
-        if (!threadElement.length) {
-          threadElement = $('body');
-        }
-      }
-      
-      // Try various selectors for title
-      const titleSelectors = ['.thread-title', '.title', 'h1', 'h2', '.subject', '.post-title'];
-      let title = '';
-      
-      for (const selector of titleSelectors) {
-        const titleElement = $(selector).first();
-        if (titleElement.length) {
-          title = titleElement.text().trim();
-          break;
-        }
-      }
-      
-      // If no title found, try to extract from page title
-      if (!title) {
-        const pageTitle = $('title').text().trim();
-        const titleMatch = pageTitle.match(/^(.*?)\s*(?:\/|-)?\s*\/?[a-z]+?\//i);
-        if (titleMatch && titleMatch[1]) {
-          title = titleMatch[1].trim();
-        } else {
-          title = `Thread ${threadId}`;
-        }
-      }
-      
-      // Try various selectors for OP text
-      const textSelectors = [
-        '.thread-text', 
-        '.op-post .text', 
-        '.op-post .message', 
-        '.op-post .post-content',
-        '.post.op .post-body',
-        '.post.op .message',
-        '.post:first-child .post-body'
-      ];
-      
-      let text = '';
-      for (const selector of textSelectors) {
-        const textElement = $(selector).first();
-        if (textElement.length) {
-          text = textElement.text().trim();
-          break;
-        }
-      }
-      
-      // Try to find post ID
-      const opPostId = threadElement.find('.op-post').attr('data-id') || 
-                        threadElement.find('.post.op').attr('data-id') || 
-                        threadElement.find('.post:first-child').attr('data-id') || 
-                        threadId;
-      
-      // Try to find image in OP
-      const imageSelectors = [
-        '.op-post img', 
-        '.post.op img', 
-        '.post:first-child img',
-        '.thread-image',
-        '.op-image'
-      ];
-      
-      let imageUrl = '';
-      for (const selector of imageSelectors) {
-        const imageElement = $(selector).first();
-        if (imageElement.length) {
-          imageUrl = imageElement.attr('src') || imageElement.attr('data-src') || '';
-          break;
-        }
-      }
-      
-      // Make sure image URL is absolute
-      if (imageUrl && !imageUrl.startsWith('http')) {
-        imageUrl = imageUrl.startsWith('/') 
-          ? `${this.baseURL}${imageUrl}` 
-          : `${this.baseURL}/${imageUrl}`;
-      }
-      
-      // Get replies using various selectors
-      const replySelectors = [
-        '.post:not(.op-post)', 
-        '.post:not(.post.op)', 
-        '.reply', 
-        '.thread-reply',
-        '.post-container:not(:first-child)'
-      ];
-      
-      const posts = [];
-      let repliesFound = false;
-      
-      for (const selector of replySelectors) {
-        const replyElements = $(selector);
-        
-        if (replyElements.length > 0) {
-          replyElements.each((i, element) => {
-            // Extract post ID
-            const postId = $(element).attr('data-id') || 
-                            $(element).attr('id')?.replace('post-', '') || 
-                            $(element).attr('id')?.replace('reply-', '') || 
-                            `${threadId}_reply_${i+1}`;
-            
-            // Extract post text
-            const postTextSelectors = ['.post-text', '.text', '.message', '.post-body', '.reply-content', '.post-content'];
-            let postText = '';
-            
-            for (const textSelector of postTextSelectors) {
-              const postTextElement = $(element).find(textSelector).first();
-              if (postTextElement.length) {
-                postText = postTextElement.text().trim();
-                break;
-              }
-            }
-            
-            // If still no text, use the element's text
-            if (!postText) {
-              postText = $(element).text().trim();
-            }
-            
-            // Extract post image if any
-            let postImageUrl = '';
-            const postImageElement = $(element).find('img').first();
-            
-            if (postImageElement.length) {
-              postImageUrl = postImageElement.attr('src') || postImageElement.attr('data-src') || '';
-              
-              // Make sure image URL is absolute
-              if (postImageUrl && !postImageUrl.startsWith('http')) {
-                postImageUrl = postImageUrl.startsWith('/') 
-                  ? `${this.baseURL}${postImageUrl}` 
-                  : `${this.baseURL}/${postImageUrl}`;
-              }
-            }
-            
-            posts.push({
-              id: postId,
-              text: postText,
-              imageUrl: postImageUrl,
-            });
-          });
-          
-          repliesFound = true;
-          break;
-        }
-      }
-      
-      // If no replies found with standard selectors, look for any elements that might be replies
-      if (!repliesFound) {
-        // This is a more aggressive approach that may include false positives
-        // but is better than showing no replies at all
-        $('div, article').each((i, element) => {
-          // Skip potential navigation, headers, etc.
-          if ($(element).find('nav, header, footer').length) return;
-          if ($(element).parents('nav, header, footer').length) return;
-          
-          // Skip short elements and elements without substantial text
-          const elementText = $(element).text().trim();
-          if (elementText.length < 20) return;
-          
-          // Skip if it looks like the OP post
-          if (elementText.includes(text) && text.length > 20) return;
-          
-          // This might be a reply
-          const postId = `${threadId}_reply_${posts.length + 1}`;
-          
-          // Extract post image if any
-          let postImageUrl = '';
-          const postImageElement = $(element).find('img').first();
-          
-          if (postImageElement.length) {
-            postImageUrl = postImageElement.attr('src') || postImageElement.attr('data-src') || '';
-            
-            // Make sure image URL is absolute
-            if (postImageUrl && !postImageUrl.startsWith('http')) {
-              postImageUrl = postImageUrl.startsWith('/') 
-                ? `${this.baseURL}${postImageUrl}` 
-                : `${this.baseURL}/${postImageUrl}`;
-            }
-          }
-          
-          posts.push({
-            id: postId,
-            text: elementText,
-            imageUrl: postImageUrl,
-          });
-        });
-      }
+  /**
+   * Retry a request the server pushed back on (429/503), honouring Retry-After
+   * @private
+   * @param {Object} config - Axios request config
+   * @param {Object} response - Response that asked us to back off
+   * @param {Error} [error] - Axios error, for responses that failed validateStatus
+   * @returns {Promise<Object>} - Response of the retried request
+   */
+  async retryRequest(config, response, error) {
+    const attempt = (config.retryCount || 0) + 1;
+    const retryAfter = parseRetryAfter(response.headers['retry-after']);
+    const host = this.requestHost(config);
 
-      const threadData = {
-        id: threadId,
-        title,
-        text,
-        imageUrl,
-        board: boardId,
-        opPostId,
-        posts,
-        url: `${this.baseURL}/board/${boardId}/thread/${threadId}`
-      };
+    // Only requests without a body can be sent again safely
+    const method = (config.method || 'get').toLowerCase();
+    const delay = ['get', 'head'].includes(method) ? this.scheduler.retryDelay(attempt, retryAfter) : null;
 
-      if (this.enableCache) {
-        this.cache[cacheKey] = { data: threadData, timestamp: Date.now() };
-      }
-      
-      return threadData;
-    } catch (error) {
-      console.error(`Error fetching thread ${threadId}:`, error);
-      
-      // Return a basic thread object instead of throwing
-      return {
-        id: threadId,
-        title: `Thread ${threadId}`,
-        text: '',
-        imageUrl: '',
-        board: boardId,
-        opPostId: threadId,
-        posts: [],
-        url: `${this.baseURL}/board/${boardId}/thread/${threadId}`,
-        error: error.message
-      };
+    if (delay === null) {
+      // Still slow down for whatever comes next, then report the pushback
+      this.scheduler.penalize(host, Math.min(retryAfter || this.rateLimitDelay, this.scheduler.maxRetryDelay));
+      if (error) throw error;
+      return response;
     }
+
+    this.log('warn', `Server responded ${response.status}, retrying in ${delay}ms (attempt ${attempt})...`);
+    this.scheduler.penalize(host, delay);
+    config.retryCount = attempt;
+    return this.client(config);
   }
 
   /**
-   * Search threads on the site
-   * @param {string} query - Search query
-   * @returns {Promise<Array<Object>>}
+   * Read a fresh entry from the cache
+   * @private
+   * @param {string} method - API method the entry belongs to, used for its TTL
+   * @param {string} key - Cache key
+   * @returns {Promise<*>} - Cached data, or undefined if missing or expired
    */
-  async search(query) {
-    try {
-      const response = await this.client.get('/search', {
-        params: { q: query }
-      });
-      
-      const $ = cheerio.load(response.data);
-      const results = [];
-      
-      $('.search-result').each((i, element) => {
-        const title = $(element).find('.result-title').text().trim();
-        const snippet = $(element).find('.result-snippet').text().trim();
-        const url = $(element).find('a').attr('href') || '';
-        
-        // Extract board and thread IDs from URL
-        const boardMatch = url.match(/\/board\/([^\/]+)/);
-        const threadMatch = url.match(/\/thread\/(\d+)/);
-        
-        const boardId = boardMatch ? boardMatch[1] : null;
-        const threadId = threadMatch ? threadMatch[1] : null;
-        
-        results.push({
-          title,
-          snippet,
-          url: url.startsWith('http') ? url : `${this.baseURL}${url}`,
-          boardId,
-          threadId
-        });
-      });
-      
-      return results;
-    } catch (error) {
-      console.error('Error searching:', error);
-      throw new Error(`Search failed: ${error.message}`);
+  async readCache(method, key) {
+    if (!this.enableCache) return undefined;
+
+    const ttl = this.cacheTTLs[method] !== undefined ? this.cacheTTLs[method] : this.cacheTTL;
+    const entry = await this.cache.get(key);
+
+    if (entry && Date.now() - entry.timestamp < ttl) {
+      this.cacheHits++;
+      // Results are marked per call (own posts, filters), so every caller gets its own copy
+      return structuredClone(entry.data);
     }
+
+    this.cacheMisses++;
+    return undefined;
   }
 
   /**
-   * Create a new thread
-   * @param {string} boardId - Board identifier
-   * @param {Object} threadData - Thread data
-   * @param {string} threadData.title - Thread title
-   * @param {string} threadData.text - Thread text
-   * @param {Buffer|string} [threadData.image] - Image data (optional)
-   * @returns {Promise<Object>} - Created thread info
+   * Read the last good copy from the cache, whatever its age, for use when
+   * a live fetch failed or the client is offline
+   * @private
+   * @param {string} key - Cache key
+   * @param {Error} error - Why the live fetch failed
+   * @returns {Promise<*>} - Copy of the cached data marked as stale, or undefined
    */
-  async createThread(boardId, threadData) {
+  async readStaleCache(key, error) {
+    if (!this.enableCache || !(this.staleOnError || this.offline)) return undefined;
+
+    const entry = await this.cache.get(key);
+    if (!entry) return undefined;
+
+    this.cacheStaleHits++;
+
+    // Arrays keep their type; the staleness markers are added as properties
+    const data = structuredClone(entry.data);
+    data.stale = true;
+    data.staleAge = Date.now() - entry.timestamp;
+    data.fetchedAt = entry.timestamp;
+    data.staleReason = error ? error.message : '';
+    return data;
+  }
+
+  /**
+   * Refuse to make requests in offline mode
+   * @private
+   */
+  assertOnline() {
+    if (this.offline) {
+      throw new NetworkError('Offline mode: network requests are disabled');
+    }
+  }
+
+  /**
+   * Throw a typed error for responses that did not return the requested page
+   * @private
+   * @param {Object} response - Axios response
+   */
+  checkResponse(response) {
+    const status = response.status;
+    if (status < 400) return;
+
+    const url = this.absoluteUrl((response.config && response.config.url) || '');
+
+    if (status === 404) {
+      throw new NotFoundError(`Not found: ${url}`, { status, url });
+    }
+
+    if (status === 429) {
+      throw new RateLimitError('Rate limited by server', {
+        status,
+        url,
+        retryAfter: parseRetryAfter(response.headers['retry-after'])
+      });
+    }
+
+    if (status === 401 || status === 403) {
+      const { banned, banReason } = this.adapter.parseError(response.data);
+      if (banned) {
+        throw new BannedError(banReason || 'You are banned', { status, url });
+      }
+      throw new BharatChanError(`Access denied: ${url}`, { status, url });
+    }
+
+    if (status >= 500) {
+      throw new NetworkError(`Server error ${status}: ${url}`, { status, url });
+    }
+
+    throw new BharatChanError(`Request failed with status ${status}: ${url}`, { status, url });
+  }
+
+  /**
+   * Convert any error raised while talking to the site into a BharatChanError
+   * @private
+   * @param {Error} error - Original error
+   * @returns {BharatChanError}
+   */
+  toApiError(error) {
+    if (error instanceof BharatChanError) return error;
+
+    // Cancelled through the call's signal; the reason says whether it was the caller or the timeout
+    if (axios.isCancel(error)) {
+      const reason = error.config && error.config.signal && error.config.signal.reason;
+      return reason instanceof BharatChanError ? reason : new AbortError('Request cancelled', { cause: error });
+    }
+
+    if (error.code === 'ECONNABORTED' || error.code === 'ETIMEDOUT') {
+      const url = error.config ? this.absoluteUrl(error.config.url || '') : null;
+      return new TimeoutError(error.message, { url, cause: error });
+    }
+
+    if (error.isAxiosError || error.response || error.request) {
+      if (error.response) {
+        try {
+          this.checkResponse(error.response);
+        } catch (responseError) {
+          responseError.cause = error;
+          return responseError;
+        }
+      }
+
+      const url = error.config ? this.absoluteUrl(error.config.url || '') : null;
+      return new NetworkError(error.message, { url, cause: error });
+    }
+
+    // Anything else went wrong while reading the page
+    return new ParseError(error.message, { cause: error });
+  }
+
+  /**
+   * Build a typed error from a rejected post
+   * @private
+   * @param {Object} response - Axios response of the post request
+   * @param {string} fallbackMessage - Message to use if the page has none
+   * @param {Object} [result] - PostResult already read from the response
+   * @returns {BharatChanError}
+   */
+  postError(response, fallbackMessage, result) {
+    try {
+      this.checkResponse(response);
+    } catch (error) {
+      return error;
+    }
+
+    const parsed = result || this.adapter.parseError(response.data);
+    const message = parsed.message || parsed.banReason || fallbackMessage;
+    const details = {
+      status: response.status,
+      url: this.absoluteUrl((response.config && response.config.url) || '')
+    };
+
+    if (parsed.banned || /\bbanned\b/i.test(message)) {
+      return new BannedError(message, { ...details, reason: parsed.banReason || message });
+    }
+
+    if (/flood|too fast|cooldown|wait\s+\d+\s*(?:more\s+)?sec/i.test(message)) {
+      const secondsMatch = message.match(/(\d+)\s*(?:more\s+)?sec/i);
+      return new FloodError(message, { ...details, cooldown: secondsMatch ? parseInt(secondsMatch[1], 10) * 1000 : null });
+    }
+
+    if (/captcha/i.test(message)) {
+      if (/wrong|incorrect|invalid|fail|expired|mistyped|mismatch/i.test(message)) {
+        return new CaptchaFailedError(message, details);
+      }
+      return new CaptchaRequiredError(message, details);
+    }
+
+    if (/duplicate|already (?:exists|been posted|posted)/i.test(message) && /file|image|upload|md5|hash/i.test(message)) {
+      return new DuplicateFileError(message, details);
+    }
+
+    if (/file ?type|format|extension|mime/i.test(message) && /not (?:allowed|supported|accepted)|unsupported|invalid|disallowed/i.test(message)) {
+      return new UnsupportedFileTypeError(message, details);
+    }
+
+    if (/too (?:large|big)|exceeds|max(?:imum)? (?:file ?)?size|size limit/i.test(message) && /file|image|upload|size/i.test(message)) {
+      // The limit, if named, is the last size in the message ("5.2 MB is over the 4 MB limit")
+      const sizes = message.match(/\d+(?:[.,]\d+)?\s*(?:B|KB|KiB|MB|MiB|GB|GiB)\b/gi) || [];
+      return new FileTooLargeError(message, { ...details, maxSize: parseFileSize(sizes[sizes.length - 1] || '') });
+    }
+
+    return new PostRejectedError(message, details);
+  }
+
+  /**
+   * Work out what a post request did
+   * @private
+   * @param {Object} response - Axios response to the post, redirects not followed
+   * @param {Object} postData - PostData that was sent
+   * @param {string} fallbackMessage - Error message when the site gives none
+   * @returns {{threadId: string|null, postId: string|null, source: string}}
+   * @throws {BharatChanError} - The site refused the post
+   */
+  readPostOutcome(response, postData, fallbackMessage) {
+    if (response.status >= 400) throw this.postError(response, fallbackMessage);
+
+    if (response.status >= 300) {
+      const location = response.headers.location || '';
+      return {
+        threadId: this.adapter.threadIdFromUrl(location),
+        postId: this.adapter.postIdFromUrl(location),
+        source: 'redirect'
+      };
+    }
+
+    const result = this.adapter.parsePostResult(response.data, { text: postData.text || '' });
+    if (result.message || result.banned || result.formShown) {
+      throw this.postError(response, fallbackMessage, result);
+    }
+    return { threadId: result.threadId, postId: result.postId, source: 'response' };
+  }
+
+  /**
+   * IDs of the posts on a thread page, to tell our reply from older ones
+   * @private
+   * @returns {Set<string>} - Empty if the page cannot be parsed
+   */
+  knownPostIds(page, boardId, threadId) {
+    try {
+      const thread = this.adapter.parseThread(page.data, boardId, threadId, { baseURL: this.baseURL, strict: false, status: page.status, url: '' });
+      return new Set([thread.opPostId, ...thread.posts.map(post => post.id)]);
+    } catch (error) {
+      return new Set();
+    }
+  }
+
+  /**
+   * Find a reply we just made in a fresh copy of the thread
+   * @private
+   * @returns {Promise<string|null>} - Post ID, or null if it is not there
+   */
+  async findNewReply(boardId, threadId, postData, knownIds, requestConfig) {
+    const thread = await this.fetchThread(boardId, threadId, { priority: 'high' }, requestConfig);
+    const newPosts = thread.posts.filter(post => !knownIds.has(post.id)).reverse();
+
+    // Newest first; a post without text is recognized by its file
+    const match = postData.text
+      ? newPosts.find(post => sameText(post.text, postData.text))
+      : newPosts.find(post => post.file || post.imageUrl);
+    return match ? match.id : null;
+  }
+
+  /**
+   * Find a thread we just made on the board's first catalog page
+   * @private
+   * @returns {Promise<string|null>} - Thread ID, or null if it is not there
+   */
+  async findNewThread(boardId, postData, requestConfig) {
+    const response = await this.client.get(this.adapter.path('catalog', { boardId, page: 1, pageIndex: 0 }), requestConfig);
+    this.checkResponse(response);
+    const threads = this.parseResponse('getThreads', response, { boardId, page: 1 }, context =>
+      this.adapter.parseThreads(response.data, boardId, context));
+
+    const matches = threads
+      .filter(thread => (postData.title && sameText(thread.title, postData.title)) ||
+        (postData.text && sameText(thread.text, postData.text)))
+      .sort((a, b) => (parseInt(b.id, 10) || 0) - (parseInt(a.id, 10) || 0));
+    return matches.length ? matches[0].id : null;
+  }
+
+  /**
+   * Switch offline mode on or off. While offline, read methods only serve
+   * cached content, marking expired copies as stale.
+   * @param {boolean} offline
+   */
+  setOffline(offline) {
+    this.offline = Boolean(offline);
+  }
+
+  /**
+   * Switch the cookie session calls use when they do not name one
+   * @param {string} session - Session name; a new name starts without cookies
+   */
+  setSession(session) {
+    this.session = session || 'default';
+  }
+
+  /**
+   * Cookie jar of a session
+   * @param {string} [session] - Session name, defaults to the current session
+   * @returns {CookieJar}
+   */
+  getCookieJar(session = this.session) {
+    return this.cookieSessions.get(session || this.session);
+  }
+
+  /**
+   * Load the cookieFile once, before the first request
+   * @private
+   */
+  async loadCookies() {
+    if (!this.cookieFile) return;
+    if (!this.cookiesLoaded) {
+      this.cookiesLoaded = this.cookieSessions.load(this.cookieFile).catch(error => {
+        this.log('error', `Error loading cookies from ${this.cookieFile}:`, error);
+      });
+    }
+    await this.cookiesLoaded;
+  }
+
+  /**
+   * Write every session's cookies to the cookieFile. Responses that change
+   * cookies do this on their own; writes are queued so they never overlap.
+   * @returns {Promise<void>}
+   */
+  async saveCookies() {
+    if (!this.cookieFile) return;
+    await this.loadCookies();
+
+    this.cookieWrite = this.cookieWrite.then(() => this.cookieSessions.save(this.cookieFile)).catch(error => {
+      this.log('error', `Error saving cookies to ${this.cookieFile}:`, error);
+    });
+    await this.cookieWrite;
+  }
+
+  /**
+   * Store data in the cache. A failed write is logged, never thrown, so it
+   * cannot turn a successful fetch into a failure.
+   * @private
+   * @param {string} key - Cache key
+   * @param {*} data - Data to cache
+   */
+  async writeCache(key, data) {
+    if (!this.enableCache) return;
+    try {
+      // The caller goes on to mark its result, which must not reach the cache
+      await this.cache.set(key, { data: structuredClone(data), timestamp: Date.now() });
+    } catch (error) {
+      this.log('error', `Error writing cache entry ${key}:`, error);
+    }
+  }
+
+  /**
+   * Remove cached results. Without arguments the whole cache is cleared.
+   * @example
+   * api.invalidateCache('getThread', 'b', '123'); // One thread
+   * api.invalidateCache('getThreads', 'b');       // Every cached page of /b/
+   * @param {string} [method] - API method, e.g. "getThreads"
+   * @param {...string} args - Leading method arguments narrowing the entries
+   * @returns {Promise<number>} - Number of removed entries
+   */
+  async invalidateCache(method, ...args) {
+    if (!method) {
+      const count = (await this.cache.keys()).length;
+      await this.cache.clear();
+      return count;
+    }
+
+    const base = [method, ...args].join('_');
+    const keys = (await this.cache.keys()).filter(key => key === base || key.startsWith(`${base}_`));
+    for (const key of keys) {
+      await this.cache.delete(key);
+    }
+    return keys.length;
+  }
+
+  /**
+   * Cache usage statistics
+   * @returns {Promise<{hits: number, misses: number, staleHits: number, hitRate: number, entries: number, bytes: number, evictions: number}>}
+   */
+  async getCacheStats() {
+    const storeStats = await this.cache.stats();
+    const lookups = this.cacheHits + this.cacheMisses;
+
+    return {
+      hits: this.cacheHits,
+      misses: this.cacheMisses,
+      staleHits: this.cacheStaleHits,
+      hitRate: lookups ? this.cacheHits / lookups : 0,
+      ...storeStats
+    };
+  }
+
+  /**
+   * Make a site-relative URL absolute
+   * @private
+   * @param {string} url - Relative or absolute URL
+   * @returns {string}
+   */
+  absoluteUrl(url) {
+    return absoluteUrl(url, this.baseURL);
+  }
+
+  /**
+   * Full URL of a thread page
+   * @private
+   * @param {string} boardId - Board identifier
+   * @param {string} threadId - Thread identifier
+   * @returns {string}
+   */
+  threadUrl(boardId, threadId) {
+    return this.absoluteUrl(this.adapter.path('threadPage', { boardId, threadId }));
+  }
+
+  /**
+   * Run one of the adapter's parse methods on a response, recording which
+   * selectors and fallbacks it used. Every report is emitted as a
+   * 'diagnostics' event, and reports of degraded parses also as 'degraded'.
+   * @private
+   * @param {string} method - API method, for the report
+   * @param {Object} response - Axios response being parsed
+   * @param {Object} extra - Call-specific context: boardId, threadId, markup, page
+   * @param {Function} parse - Calls the adapter with the parse context
+   * @returns {*} - Parsed result, carrying the report as a diagnostics
+   *   property when the diagnostics option is on
+   */
+  parseResponse(method, response, extra, parse) {
+    const url = this.absoluteUrl((response.config && response.config.url) || '');
+    const diagnostics = new ParseDiagnostics({
+      method,
+      adapter: this.adapter.name,
+      url,
+      boardId: extra.boardId,
+      threadId: extra.threadId
+    });
+    const context = {
+      baseURL: this.baseURL,
+      strict: this.strict,
+      status: response.status,
+      url,
+      ...extra,
+      diagnostics
+    };
+
+    let result;
+    try {
+      result = parse(context);
+    } catch (error) {
+      diagnostics.fail(error);
+      const report = this.reportDiagnostics(diagnostics);
+      if (this.diagnostics) error.diagnostics = report;
+      throw error;
+    }
+
+    const report = this.reportDiagnostics(diagnostics);
+    if (this.diagnostics) result.diagnostics = report;
+    return result;
+  }
+
+  /**
+   * Log through the logger option, if there is one
+   * @private
+   * @param {string} level - 'warn' or 'error'
+   * @param {...*} args - Message and details
+   */
+  log(level, ...args) {
+    if (this.logger && typeof this.logger[level] === 'function') this.logger[level](...args);
+  }
+
+  /**
+   * Emit a parse diagnostics report
+   * @private
+   * @param {ParseDiagnostics} diagnostics - Recorder of a finished parse
+   * @returns {Object} - Report
+   */
+  reportDiagnostics(diagnostics) {
+    const report = diagnostics.report();
+    this.emit('diagnostics', report);
+    if (report.degraded) {
+      this.emit('degraded', report);
+    }
+    return report;
+  }
+
+  /**
+   * Switch to another selector profile, e.g. an updated copy loaded at
+   * runtime. Cached results parsed with the old profile stay until they expire.
+   * @param {Object|string} profile - Profile object, JSON string or file path,
+   *   merged over the bundled bharatchan profile
+   */
+  setProfile(profile) {
+    this.adapter = new HtmlAdapter(profile);
+  }
+
+  /**
+   * Get all available boards from the homepage
+   * @param {Object} [options] - Call options
+   * @param {AbortSignal} [options.signal] - Cancels the call
+   * @param {number} [options.timeout] - Call timeout in ms, overrides the client timeout
+   * @returns {Promise<Array<{id: string, name: string, description: string}>>}
+   */
+  async getBoards(options = {}) {
+    const cacheKey = 'getBoards';
+    const cached = await this.readCache('getBoards', cacheKey);
+    if (cached) return cached;
+
+    const call = this.startCall(options);
+    try {
+      this.assertOnline();
+      const response = await this.client.get(this.adapter.path('boards'), call.config);
+      this.checkResponse(response);
+      const boards = this.parseResponse('getBoards', response, {}, context =>
+        this.adapter.parseBoards(response.data, context));
+
+      await this.writeCache(cacheKey, boards);
+      
+      return boards;
+    } catch (error) {
+      // Cancellation is never papered over with fallback data
+      if (this.toApiError(error) instanceof AbortError) throw this.toApiError(error);
+      
+      this.log('error', 'Error fetching boards:', error);
+      
+      // Prefer the last board list we actually saw
+      const stale = await this.readStaleCache(cacheKey, error);
+      if (stale) return stale;
+      
+      if (this.strict) throw this.toApiError(error);
+      
+      // Return the adapter's fallback boards in case of error
+      return this.adapter.fallbackBoards.map(board => ({ ...board }));
+    } finally {
+      call.end();
+    }
+  }
+
+  /**
+   * Get threads from a specific board
+   * @param {string} boardId - Board identifier
+   * @param {Object} options - Options for fetching threads
+   * @param {number} [options.page=1] - Page number
+   * @param {string} [options.view='catalog'] - 'catalog', or 'index' for the board
+   *   page with each thread's OP, preview replies and omitted counts
+   * @param {string} [options.sort='bump'] - 'bump' (site order), 'created' or 'replies'
+   * @param {string} [options.order='desc'] - 'desc' or 'asc'; ignored for bump order
+   * @param {Object|Function} [options.filter] - Thread predicate, or an object with
+   *   hasImage, minReplies and maxReplies
+   * @param {FilterSet|Array<Object>|boolean} [options.filters] - Content filters for
+   *   this call instead of the client's (false for none); see Content filters
+   * @param {boolean} [options.markup=false] - Include each thread's body as a document tree
+   * @param {string} [options.priority='normal'] - Request priority: 'high', 'normal' or 'low'
+   * @param {AbortSignal} [options.signal] - Cancels the call
+   * @param {number} [options.timeout] - Call timeout in ms, overrides the client timeout
+   * @returns {Promise<Array<Object>>}
+   */
+  async getThreads(boardId, options = {}) {
+    const page = options.page || 1;
+    const view = options.view || 'catalog';
+    if (view !== 'catalog' && view !== 'index') {
+      throw new Error(`Unknown thread view: ${view}`);
+    }
+    if (options.sort && !['bump', 'created', 'replies'].includes(options.sort)) {
+      throw new Error(`Unknown thread sort: ${options.sort}`);
+    }
+
+    // Sorting and filtering happen after the cache, so every variant shares one entry
+    const cacheKey = `getThreads_${boardId}_${page}${view === 'index' ? '_index' : ''}${options.markup ? '_markup' : ''}`;
+    const cached = await this.readCache('getThreads', cacheKey);
+    if (cached) return this.filterThreads(arrangeThreads(cached, options), boardId, options);
+    
+    const call = this.startCall(options);
+    try {
+      this.assertOnline();
+      
+      const params = { boardId, page, pageIndex: page - 1 };
+      const extra = { boardId, page, markup: Boolean(options.markup) };
+      let threads;
+      if (view === 'index') {
+        const response = await this.client.get(this.adapter.path('boardIndex', params), call.config);
+        this.checkResponse(response);
+        threads = this.parseResponse('getThreads', response, extra, context =>
+          this.adapter.parseBoardIndex(response.data, boardId, context));
+      } else {
+        const response = await this.client.get(this.adapter.path('catalog', params), call.config);
+        this.checkResponse(response);
+        threads = this.parseResponse('getThreads', response, extra, context =>
+          this.adapter.parseThreads(response.data, boardId, context));
+      }
+
+      await this.writeCache(cacheKey, threads);
+      if (this.searchIndex) this.searchIndex.addThreads(threads);
+      
+      return this.filterThreads(arrangeThreads(threads, options), boardId, options);
+    } catch (error) {
+      if (this.toApiError(error) instanceof AbortError) throw this.toApiError(error);
+      
+      this.log('error', `Error fetching threads for board ${boardId}:`, error);
+      
+      const stale = await this.readStaleCache(cacheKey, error);
+      if (stale) return this.filterThreads(arrangeThreads(stale, options), boardId, options);
+      
+      if (this.strict) throw this.toApiError(error);
+      
+      // In case of error, return an empty array instead of throwing
+      // This makes the API more resilient against failures
+      return [];
+    } finally {
+      call.end();
+    }
+  }
+
+  /**
+   * Walk every page of a board, yielding each thread once
+   * Threads come in site order, page after page. A thread bumped onto a
+   * page that was already read shows up again on a later page and is
+   * skipped; one bumped from an unread page onto a read page is missed
+   * until the next walk.
+   * @example
+   * for await (const thread of api.iterateThreads('b', { filter: { hasImage: true } })) {
+   *   console.log(thread.id, thread.title);
+   * }
+   * @param {string} boardId - Board identifier
+   * @param {Object} [options] - getThreads options, except sort and order
+   * @param {number} [options.startPage=1] - First page to read
+   * @param {number} [options.maxPages=100] - Stop after this many pages
+   * @returns {AsyncGenerator<Object>}
+   */
+  async *iterateThreads(boardId, options = {}) {
+    const { startPage = 1, maxPages = 100, filter, sort, order, ...pageOptions } = options;
+    const matches = threadFilter(filter);
+    const seen = new Set();
+
+    for (let page = startPage; page < startPage + maxPages; page++) {
+      const threads = await this.getThreads(boardId, { ...pageOptions, page });
+      if (threads.length === 0) return;
+
+      let added = 0;
+      for (const thread of threads) {
+        if (seen.has(thread.id)) continue;
+        seen.add(thread.id);
+        added++;
+        if (matches(thread)) yield thread;
+      }
+
+      // A page of nothing but repeats means the site ignored the page number
+      if (added === 0) return;
+      if (threads.hasNextPage === false) return;
+      if (threads.pageCount && page >= threads.pageCount) return;
+    }
+  }
+
+  /**
+   * Get a specific thread with all posts
+   * @param {string} boardId - Board identifier
+   * @param {string} threadId - Thread identifier
+   * @param {Object} [options] - Options for fetching the thread
+   * @param {boolean} [options.markup=false] - Include each post's body as a document tree
+   * @param {FilterSet|Array<Object>|boolean} [options.filters] - Content filters for
+   *   this call instead of the client's (false for none)
+   * @param {boolean} [options.hashImages=true] - With the imageHashIndex option,
+   *   hash thumbnails not seen before; false marks reposts from the index alone
+   * @param {string} [options.priority='normal'] - Request priority: 'high', 'normal' or 'low'
+   * @param {AbortSignal} [options.signal] - Cancels the call
+   * @param {number} [options.timeout] - Call timeout in ms, overrides the client timeout
+   * @returns {Promise<Object>}
+   */
+  async getThread(boardId, threadId, options = {}) {
+    const cacheKey = `getThread_${boardId}_${threadId}${options.markup ? '_markup' : ''}`;
+    const cached = await this.readCache('getThread', cacheKey);
+    if (cached) return this.decorateThread(cached, options);
+
+    const call = this.startCall(options);
+    try {
+      const threadData = await this.fetchThread(boardId, threadId, options, call.config);
+
+      await this.writeCache(cacheKey, threadData);
+      
+      return await this.decorateThread(threadData, options);
+    } catch (error) {
+      if (this.toApiError(error) instanceof AbortError) throw this.toApiError(error);
+      
+      this.log('error', `Error fetching thread ${threadId}:`, error);
+      
+      const stale = await this.readStaleCache(cacheKey, error);
+      if (stale) return this.decorateThread(stale, options);
+      
+      if (this.strict) throw this.toApiError(error);
+      
+      // Return a basic thread object instead of throwing
+      return {
+        id: threadId,
+        title: `Thread ${threadId}`,
+        text: '',
+        imageUrl: '',
+        board: boardId,
+        opPostId: threadId,
+        op: null,
+        posts: [],
+        locked: false,
+        sticky: false,
+        archived: false,
+        url: this.threadUrl(boardId, threadId),
+        error: error.message
+      };
+    } finally {
+      call.end();
+    }
+  }
+
+  /**
+   * Get what changed in a thread since a previous snapshot.
+   * Always fetches a fresh copy, ignoring the cache TTL, and refreshes the cache.
+   * @param {string} boardId - Board identifier
+   * @param {string} threadId - Thread identifier
+   * @param {string} [sinceState] - State token from a previous call; omit to
+   *   get every reply as new
+   * @param {Object} [options] - Same options as getThread, including signal and timeout
+   * @returns {Promise<Object>} - ThreadUpdates
+   */
+  async getThreadUpdates(boardId, threadId, sinceState, options = {}) {
+    const previous = sinceState ? decodeThreadState(sinceState) : null;
+    if (previous && (previous.boardId !== boardId || previous.threadId !== String(threadId))) {
+      throw new Error(`State token belongs to thread ${previous.threadId} on board ${previous.boardId}`);
+    }
+
+    let thread;
+    const call = this.startCall(options);
+    try {
+      thread = await this.fetchThread(boardId, threadId, options, call.config);
+    } catch (error) {
+      if (error instanceof NotFoundError) {
+        return {
+          thread: null,
+          notFound: true,
+          newPosts: [],
+          deletedPostIds: previous ? previous.postIds : [],
+          statusChanges: [],
+          state: sinceState || null
+        };
+      }
+      throw this.toApiError(error);
+    } finally {
+      call.end();
+    }
+
+    await this.writeCache(`getThread_${boardId}_${threadId}${options.markup ? '_markup' : ''}`, thread);
+    thread = await this.decorateThread(thread, options);
+
+    const postIds = thread.posts.map(post => post.id);
+    const knownIds = new Set(previous ? previous.postIds : []);
+    const currentIds = new Set(postIds);
+
+    const statusChanges = [];
+    if (previous) {
+      ['locked', 'sticky', 'archived'].forEach(field => {
+        if (previous.status[field] !== thread[field]) {
+          statusChanges.push({ field, from: previous.status[field], to: thread[field] });
+        }
+      });
+    }
+
+    return {
+      thread,
+      notFound: false,
+      newPosts: thread.posts.filter(post => !knownIds.has(post.id)),
+      deletedPostIds: previous ? previous.postIds.filter(id => !currentIds.has(id)) : [],
+      statusChanges,
+      state: encodeThreadState({
+        boardId,
+        threadId: String(threadId),
+        postIds,
+        status: { locked: thread.locked, sticky: thread.sticky, archived: thread.archived }
+      })
+    };
+  }
+
+  /**
+   * Mark a thread for the caller: own posts, reposts and content filters
+   * @private
+   * @param {Object} thread - ThreadDetail, a copy of its own
+   * @param {Object} [options] - getThread options
+   * @returns {Promise<Object>} - The thread, with content filter marks on a copy
+   */
+  async decorateThread(thread, options = {}) {
+    await this.markOwnPosts(thread);
+    await this.markReposts(thread, options);
+    return this.filterThread(thread, options);
+  }
+
+  /**
+   * Set isOwn and quotesOwn on the posts of a thread, and isOwn on their
+   * quotes, from the own-post store
+   * @private
+   * @param {Object} thread - ThreadDetail, changed in place
+   * @returns {Promise<Object>} - The same thread
+   */
+  async markOwnPosts(thread) {
+    const posts = (thread.op ? [thread.op] : []).concat(thread.posts || []);
+    const quotes = [].concat(...posts.map(post => post.quotes || [])).filter(quote => quote.postId);
+
+    // Quotes can point into other boards, whose own posts count too
+    const boardIds = new Set([thread.board, ...quotes.map(quote => quote.boardId || thread.board)]);
+    const ownKeys = new Set();
+    for (const boardId of boardIds) {
+      const ownPosts = await this.ownPosts.list({ boardId });
+      ownPosts.forEach(post => ownKeys.add(`${post.boardId}/${post.postId}`));
+    }
+
+    posts.forEach(post => {
+      post.isOwn = ownKeys.has(`${thread.board}/${post.id}`);
+      (post.quotes || []).forEach(quote => {
+        quote.isOwn = Boolean(quote.postId) && ownKeys.has(`${quote.boardId || thread.board}/${quote.postId}`);
+      });
+      post.quotesOwn = (post.quotes || []).some(quote => quote.isOwn);
+    });
+
+    return thread;
+  }
+
+  /**
+   * With the imageHashIndex option, hash the thumbnails of a thread that
+   * are not in the index yet, then set isRepost and repostOf on its posts
+   * and phash on their files. Stale copies are marked without hashing.
+   * @private
+   * @param {Object} thread - ThreadDetail, changed in place
+   * @param {Object} [options] - getThread options
+   * @returns {Promise<Object>} - The same thread
+   */
+  async markReposts(thread, options = {}) {
+    if (!this.imageHashes) return thread;
+
+    if (options.hashImages !== false && !thread.stale && !this.offline) {
+      await this.indexThreadImages(thread, options);
+    }
+
+    const posts = (thread.op ? [thread.op] : []).concat(thread.posts || []);
+    for (const post of posts) {
+      const image = post.file ? await this.imageHashes.get(thread.board, post.id) : null;
+      const earlier = image ? await this.imageHashes.findEarlier(thread.board, post.id) : [];
+
+      if (post.file) post.file.phash = image ? image.hash : null;
+      post.repostOf = earlier.map(match => ({
+        boardId: match.boardId,
+        threadId: match.threadId,
+        postId: match.postId,
+        timestamp: match.timestamp,
+        distance: match.distance
+      }));
+      post.isRepost = post.repostOf.length > 0;
+    }
+
+    return thread;
+  }
+
+  /**
+   * Hash the thumbnails of a thread that are not in the image index yet.
+   * An image that cannot be fetched or decoded is logged and left out; one
+   * that is missing or undecodable is not tried again by this client.
+   * @private
+   * @param {Object} thread - ThreadDetail
+   * @param {Object} [options] - signal and session
+   * @returns {Promise<Array<Object>>} - HashedImages added
+   */
+  async indexThreadImages(thread, options = {}) {
+    const posts = (thread.op ? [thread.op] : []).concat(thread.posts || [])
+      .filter(post => post.file && post.file.thumbnailUrl && !this.unhashableImages.has(post.file.thumbnailUrl));
+    const images = [];
+
+    for (const post of posts) {
+      if (await this.imageHashes.get(thread.board, post.id)) continue;
+      if (options.signal && options.signal.aborted) throw new AbortError('Request cancelled');
+
+      try {
+        const media = await this.readMedia(post.file.thumbnailUrl, options);
+        images.push({
+          hash: await hashImage(media.data, { decoder: this.imageDecoder, mimeType: media.mimeType }),
+          boardId: thread.board,
+          threadId: String(thread.id),
+          postId: String(post.id),
+          url: post.file.thumbnailUrl,
+          timestamp: post.timestamp || null
+        });
+      } catch (error) {
+        if (error instanceof AbortError) throw error;
+        // Network trouble passes; a missing or undecodable image stays that way
+        if (!(error instanceof NetworkError || error instanceof RateLimitError)) {
+          this.unhashableImages.add(post.file.thumbnailUrl);
+        }
+        this.log('error', `Error hashing the image of post ${post.id}:`, error.message);
+      }
+    }
+
+    if (images.length) await this.imageHashes.addAll(images);
+    return images;
+  }
+
+  /**
+   * Images in the image index that look like the given one
+   * @example
+   * const matches = await api.findSimilarImages({ boardId: 'b', postId: '123' }, { threshold: 4 });
+   * @param {string|Buffer|Object} image - dHash, image file contents, or
+   *   { boardId, postId } of a post in the index
+   * @param {Object} [options]
+   * @param {number} [options.threshold] - Largest Hamming distance (default the index's)
+   * @param {string} [options.boardId] - Only images on this board
+   * @returns {Promise<Array<Object>>} - ImageMatches, closest first
+   */
+  async findSimilarImages(image, options = {}) {
+    if (!this.imageHashes) {
+      throw new Error('Image search needs the imageHashIndex option');
+    }
+
+    let hash = image;
+    let exclude = null;
+    if (Buffer.isBuffer(image)) {
+      hash = await hashImage(image, { decoder: this.imageDecoder });
+    } else if (image && typeof image === 'object') {
+      const indexed = await this.imageHashes.get(image.boardId, image.postId);
+      if (!indexed) return [];
+      hash = indexed.hash;
+      exclude = indexed;
+    }
+
+    return this.imageHashes.findSimilar(hash, { threshold: options.threshold, boardId: options.boardId, exclude });
+  }
+
+  /**
+   * Groups of near-duplicate images among the threads this client has seen.
+   * The images of cached threads are hashed first, fetching the thumbnails
+   * that are not in the index yet.
+   * @param {Object} [options]
+   * @param {number} [options.threshold] - Largest Hamming distance (default the index's)
+   * @param {string} [options.boardId] - Only images on this board
+   * @param {boolean} [options.indexCached=true] - Hash the images of cached threads first
+   * @param {AbortSignal} [options.signal] - Cancels the thumbnail requests
+   * @returns {Promise<Array<Array<Object>>>} - Groups of HashedImages, each
+   *   oldest first, so the first of a group is the original
+   */
+  async findDuplicateImages(options = {}) {
+    if (!this.imageHashes) {
+      throw new Error('Image search needs the imageHashIndex option');
+    }
+
+    if (options.indexCached !== false && this.enableCache && !this.offline) {
+      const keys = (await this.cache.keys()).filter(key => key.startsWith('getThread_'));
+      for (const key of keys) {
+        const entry = await this.cache.get(key);
+        if (!entry || !entry.data || !entry.data.id) continue;
+        if (options.boardId !== undefined && entry.data.board !== options.boardId) continue;
+        await this.indexThreadImages(entry.data, options);
+      }
+    }
+
+    return this.imageHashes.findDuplicates({ threshold: options.threshold, boardId: options.boardId });
+  }
+
+  /**
+   * Record a post made through this client. A store failure is logged
+   * rather than failing a post that went through.
+   * @private
+   * @param {Object} post - OwnPost
+   */
+  async recordOwnPost(post) {
     try {
-      // First, get the board page to ensure we have any required cookies/tokens
-      const formPage = await this.client.get(`/board/${boardId}`);
-      const $ = cheerio.load(formPage.data);
-      
-      // Extract CSRF token if present
-      const csrfToken = $('input[name="_csrf"]').val() || '';
+      await this.ownPosts.add(post);
+    } catch (error) {
+      this.log('error', `Error recording own post ${post.postId}:`, error);
+    }
+  }
+
+  /**
+   * Posts made through this client
+   * @param {Object} [filter]
+   * @param {string} [filter.boardId] - Only posts on this board
+   * @param {string} [filter.threadId] - Only posts in this thread
+   * @returns {Promise<Array<Object>>} - OwnPosts
+   */
+  async getOwnPosts(filter = {}) {
+    return this.ownPosts.list(filter);
+  }
+
+  /**
+   * Record a post as this client's own, e.g. one made in a browser
+   * @param {Object} post - OwnPost; boardId and postId are required
+   * @returns {Promise<void>}
+   */
+  async addOwnPost(post) {
+    if (!post || !post.boardId || !post.postId) {
+      throw new Error('An own post needs a boardId and a postId');
+    }
+    await this.ownPosts.add(post);
+  }
+
+  /**
+   * Stop treating a post as this client's own
+   * @param {string} boardId - Board identifier
+   * @param {string} postId - Post identifier
+   * @returns {Promise<boolean>} - Whether the post was recorded
+   */
+  async removeOwnPost(boardId, postId) {
+    return this.ownPosts.remove(boardId, postId);
+  }
+
+  /**
+   * Replace the content filters, e.g. with a set imported from JSON.
+   * Cached results are marked with the new filters the next time they are read.
+   * @param {FilterSet|Array<Object>|Object|string} filters - FilterSet, FilterRules,
+   *   or a filter set exported with toJSON (object or JSON string)
+   * @returns {FilterSet} - The filters now in use
+   */
+  setFilters(filters) {
+    this.filters = toFilterSet(filters);
+    return this.filters;
+  }
+
+  /**
+   * Filters for one call: the filters option of the call (false for none)
+   * or the client's
+   * @private
+   */
+  callFilters(options = {}) {
+    if (options.filters === undefined) return this.filters;
+    return toFilterSet(options.filters);
+  }
+
+  /**
+   * Mark a thread list with the content filters, pinned threads first
+   * @private
+   * @returns {Array<Object>} - New list of marked copies
+   */
+  filterThreads(threads, boardId, options) {
+    return this.callFilters(options).applyToThreads(threads, boardId);
+  }
+
+  /**
+   * Mark the posts of a thread, and the thread, with the content filters
+   * @private
+   * @param {Object} thread - ThreadDetail, left unchanged
+   * @returns {Object} - Marked copy
+   */
+  filterThread(thread, options) {
+    return this.callFilters(options).applyToThread(thread);
+  }
+
+  /**
+   * Create a watcher that polls threads through this client
+   * @param {Object} [options] - ThreadWatcher options
+   * @param {number} [options.minInterval] - Interval for active threads in ms
+   * @param {number} [options.maxInterval] - Longest interval for quiet threads in ms
+   * @param {number} [options.backoffFactor] - Interval multiplier after a quiet poll
+   * @returns {ThreadWatcher}
+   */
+  createWatcher(options = {}) {
+    return new ThreadWatcher(this, options);
+  }
+
+  /**
+   * Create a downloader that saves thread attachments through this client
+   * @example
+   * const downloader = api.createDownloader({ directory: 'media', fileName: '{hash}.{ext}' });
+   * downloader.on('progress', ({ item, received, total }) => console.log(item.url, received, total));
+   * await downloader.downloadThread(await api.getThread('b', '123'));
+   * @param {Object} options - MediaDownloader options
+   * @param {string} options.directory - Where files are saved
+   * @param {string} [options.fileName] - File name template
+   * @param {number} [options.concurrency] - Files downloading at once
+   * @returns {MediaDownloader}
+   */
+  createDownloader(options) {
+    return new MediaDownloader(this, options);
+  }
+
+  /**
+   * Archive a thread to a directory as JSON, Markdown and a self-contained
+   * HTML page (see thread-archive.js). Thumbnails for the page are fetched
+   * through openMedia; one that fails is left out.
+   * @example
+   * const thread = await api.getThread('b', '123');
+   * const { results } = await api.createDownloader({ directory: 'archive/media' }).downloadThread(thread);
+   * await api.exportThread(thread, 'archive', { media: results });
+   * @param {Object} thread - ThreadDetail from getThread
+   * @param {string} directory - Where the files go
+   * @param {Object} [options]
+   * @param {Array<Object>|Object} [options.media] - Saved attachments, e.g. the
+   *   DownloadResults of a MediaDownloader, linked instead of the site's copies
+   * @param {Array<string>} [options.formats] - Any of 'json', 'markdown' and 'html'
+   * @param {string} [options.fileName='{boardId}-{threadId}'] - File name template
+   * @param {boolean} [options.thumbnails=true] - Inline thumbnails in the HTML page
+   * @param {AbortSignal} [options.signal] - Cancels the thumbnail requests
+   * @param {string} [options.session] - Cookie session
+   * @returns {Promise<Object>} - format -> path of the file written
+   */
+  async exportThread(thread, directory, options = {}) {
+    const archive = createArchive(thread, { media: options.media, baseDirectory: path.resolve(directory) });
+    const formats = options.formats || ['json', 'markdown', 'html'];
+
+    const thumbnails = formats.includes('html') && options.thumbnails !== false && !this.offline
+      ? await this.fetchThumbnails(archive.thread, options)
+      : {};
+
+    return writeArchive(archive, directory, {
+      formats,
+      fileName: options.fileName,
+      thumbnails,
+      threadUrl: (boardId, threadId) => this.threadUrl(boardId, threadId)
+    });
+  }
+
+  /**
+   * Load a thread archive back into the thread it was made from, with own
+   * posts marked and, with the searchIndex option, added to the index
+   * @param {Object|string|Buffer} data - Archive object, JSON, or an HTML page
+   *   exportThread wrote
+   * @returns {Promise<Object>} - ThreadDetail
+   */
+  async importThread(data) {
+    const thread = importArchive(data);
+    if (this.searchIndex) this.searchIndex.addThread(thread);
+    return this.decorateThread(thread, { hashImages: false });
+  }
+
+  /**
+   * Fetch the thumbnails of a thread's posts
+   * @private
+   * @returns {Promise<Object>} - postId -> { data, mimeType }
+   */
+  async fetchThumbnails(thread, options = {}) {
+    const posts = (thread.op ? [thread.op] : []).concat(thread.posts || []);
+    const thumbnails = {};
+
+    for (const post of posts) {
+      if (!post.file || !post.file.thumbnailUrl) continue;
+      if (options.signal && options.signal.aborted) throw new AbortError('Export cancelled');
+
+      try {
+        thumbnails[post.id] = await this.readMedia(post.file.thumbnailUrl, options);
+      } catch (error) {
+        if (error instanceof AbortError) throw error;
+        this.log('error', `Error fetching thumbnail for post ${post.id}:`, error.message);
+      }
+    }
+
+    return thumbnails;
+  }
+
+  /**
+   * Read a whole media file, such as a thumbnail, into memory
+   * @private
+   * @param {string} url - File URL
+   * @param {Object} [options] - signal and session, as for openMedia
+   * @returns {Promise<Object>} - { data: Buffer, mimeType }
+   */
+  async readMedia(url, options = {}) {
+    const media = await this.openMedia(url, { signal: options.signal, session: options.session });
+    const chunks = [];
+    for await (const chunk of media.stream) chunks.push(chunk);
+    return { data: Buffer.concat(chunks), mimeType: media.mimeType };
+  }
+
+  /**
+   * Open a media file as a stream, through the client's throttle and
+   * cookies. The client timeout applies to silence on the connection, not
+   * to the whole transfer.
+   * @param {string} url - File URL
+   * @param {Object} [options]
+   * @param {number} [options.start=0] - Byte to start at, for resuming
+   * @param {string} [options.priority='low'] - Request priority
+   * @param {AbortSignal} [options.signal] - Cancels the download
+   * @param {string} [options.session] - Cookie session
+   * @returns {Promise<Object>} - stream (Readable), resumed (the server honoured
+   *   start), size (total size in bytes, null if unknown) and mimeType
+   * @throws {BharatChanError} - NetworkError, NotFoundError, AbortError, ...
+   */
+  async openMedia(url, options = {}) {
+    this.assertOnline();
+    const start = options.start || 0;
+
+    try {
+      const response = await this.client.get(url, {
+        responseType: 'stream',
+        priority: options.priority || 'low',
+        signal: options.signal,
+        session: options.session,
+        headers: start > 0 ? { 'Range': `bytes=${start}-` } : {}
+      });
+
+      // Nothing left past start, or the server cannot count that far: start over
+      if (response.status === 416 && start > 0) {
+        response.data.destroy();
+        return this.openMedia(url, { ...options, start: 0 });
+      }
+
+      if (response.status >= 400) {
+        response.data.destroy();
+        response.data = '';
+        this.checkResponse(response);
+      }
+
+      const resumed = response.status === 206;
+      const rangeTotal = (String(response.headers['content-range'] || '').match(/\/(\d+)$/) || [])[1];
+      const length = parseInt(response.headers['content-length'], 10);
+
+      return {
+        stream: response.data,
+        resumed,
+        size: rangeTotal ? parseInt(rangeTotal, 10) : (Number.isNaN(length) ? null : length),
+        mimeType: String(response.headers['content-type'] || '').split(';')[0].trim() || null
+      };
+    } catch (error) {
+      throw this.toApiError(error);
+    }
+  }
+
+  /**
+   * Fetch and parse a thread, bypassing the cache
+   * @private
+   * @param {string} boardId - Board identifier
+   * @param {string} threadId - Thread identifier
+   * @param {Object} [options] - Same options as getThread
+   * @param {Object} [requestConfig] - Axios config from startCall
+   * @returns {Promise<Object>}
+   */
+  async fetchThread(boardId, threadId, options = {}, requestConfig = {}) {
+    this.assertOnline();
+    
+    const response = await this.client.get(this.adapter.path('thread', { boardId, threadId }), {
+      priority: options.priority,
+      ...requestConfig
+    });
+    this.checkResponse(response);
+    
+    const thread = this.parseResponse('getThread', response, { boardId, threadId, markup: Boolean(options.markup) }, context =>
+      this.adapter.parseThread(response.data, boardId, threadId, context));
+    if (this.searchIndex) this.searchIndex.addThread(thread);
+    
+    return thread;
+  }
+
+  /**
+   * Search threads on the site
+   * Filters the site understands (see the profile's searchParams) are sent
+   * with the request; every filter is also applied to the parsed results,
+   * since sites silently ignore parameters they do not know. Results
+   * without a timestamp are kept by date filters.
+   * @param {string} query - Search query
+   * @param {Object} [options] - Search and call options
+   * @param {number} [options.page=1] - Result page
+   * @param {string|Array<string>} [options.boards] - Only results from these boards
+   * @param {Date|number|string} [options.since] - Only posts made at or after this time
+   * @param {Date|number|string} [options.until] - Only posts made at or before this time
+   * @param {boolean} [options.opOnly=false] - Only original posts, not replies
+   * @param {AbortSignal} [options.signal] - Cancels the call
+   * @param {number} [options.timeout] - Call timeout in ms, overrides the client timeout
+   * @returns {Promise<Array<Object>>}
+   * @throws {BharatChanError} - NetworkError, NotFoundError, ParseError, or a
+   *   BharatChanError when the site has no search
+   */
+  async search(query, options = {}) {
+    const page = options.page || 1;
+    const filters = {
+      boards: options.boards ? [].concat(options.boards) : null,
+      since: toTime(options.since),
+      until: toTime(options.until),
+      opOnly: Boolean(options.opOnly)
+    };
+
+    const call = this.startCall({ priority: 'high', ...options });
+    try {
+      const response = await this.client.get(this.adapter.path('search', { query, page }), {
+        ...call.config,
+        params: this.buildSearchParams(page, filters)
+      });
+      this.checkResponse(response);
+      const results = this.parseResponse('search', response, { page, query }, context =>
+        filterSearchResults(this.adapter.parseSearch(response.data, context), filters));
       
-      // Create form data
-      const formData = new FormData();
-      if (csrfToken) formData.append('_csrf', csrfToken);
-      formData.append('title', threadData.title);
-      formData.append('text', threadData.text);
+      return results;
+    } catch (error) {
+      if (this.toApiError(error) instanceof AbortError) throw this.toApiError(error);
       
-      if (threadData.image) {
-        const imageData = threadData.image;
-        const fileName = threadData.fileName || 'image.jpg';
-        formData.append('image', imageData, fileName);
+      this.log('error', 'Error searching:', error);
+      throw this.toApiError(error);
+    } finally {
+      call.end();
+    }
+  }
+
+  /**
+   * Search the threads and posts this client has fetched, without network
+   * access. Needs the searchIndex option.
+   * @example
+   * api.searchLocal('"bharat mata" -spam board:pol', { since: '2024-01-01' });
+   * @param {string} query - Query; see search-index.js for the syntax
+   * @param {Object} [options]
+   * @param {string|Array<string>} [options.boards] - Only posts from these boards
+   * @param {Date|number|string} [options.since] - Only posts made at or after this time
+   * @param {Date|number|string} [options.until] - Only posts made at or before this time
+   * @param {boolean} [options.opOnly=false] - Only original posts, not replies
+   * @param {boolean} [options.transliterate] - Match Devanagari and romanized
+   *   spellings; defaults to the index setting
+   * @param {number} [options.limit=50] - Maximum number of results
+   * @param {number} [options.offset=0] - Results to skip, for paging
+   * @returns {Array<Object>} - Results, best first
+   */
+  searchLocal(query, options = {}) {
+    if (!this.searchIndex) {
+      throw new Error('Local search needs the searchIndex option');
+    }
+
+    return this.searchIndex.search(query, {
+      ...options,
+      boards: options.boards ? [].concat(options.boards) : undefined,
+      since: toTime(options.since),
+      until: toTime(options.until)
+    });
+  }
+
+  /**
+   * Query parameters for the search filters the site understands
+   * @private
+   * @param {number} page - Result page
+   * @param {Object} filters - boards, since, until and opOnly
+   * @returns {Object}
+   */
+  buildSearchParams(page, filters) {
+    const names = this.adapter.searchParams || {};
+    const params = {};
+    const day = time => new Date(time).toISOString().slice(0, 10);
+
+    if (names.page && page > 1) params[names.page] = page;
+    if (names.boards && filters.boards) params[names.boards] = filters.boards.join(',');
+    if (names.since && filters.since !== null) params[names.since] = day(filters.since);
+    if (names.until && filters.until !== null) params[names.until] = day(filters.until);
+    if (names.opOnly && filters.opOnly) params[names.opOnly] = 1;
+
+    return params;
+  }
+
+  /**
+   * Upload limits for a board: the call's or client's uploadLimits, with
+   * the board's entry in their boards map on top
+   * @private
+   * @param {string} boardId - Board identifier
+   * @param {Object} options - Call options
+   * @returns {Object} - UploadLimits
+   */
+  uploadLimitsFor(boardId, options) {
+    const { boards, ...limits } = options.uploadLimits || this.uploadLimits || {};
+    return { ...limits, ...((boards || {})[boardId] || {}) };
+  }
+
+  /**
+   * Sniff, clean and check the attachments of a post
+   * @private
+   * @param {Object} postData - PostData
+   * @param {string} boardId - Board identifier
+   * @param {Object} options - Call options
+   * @returns {Promise<Array<Object>>} - PreparedFiles
+   */
+  async prepareFiles(postData, boardId, options) {
+    // The single image of older callers goes last
+    const files = (postData.files || [])
+      .concat(postData.image ? [{ data: postData.image, fileName: postData.fileName }] : [])
+      .map(file => (Buffer.isBuffer(file) || typeof file === 'string' ? { data: file } : file));
+
+    const prepared = [];
+    for (let i = 0; i < files.length; i++) {
+      prepared.push(await prepareUpload(files[i], {
+        limits: this.uploadLimitsFor(boardId, options),
+        stripMetadata: options.stripMetadata !== undefined ? options.stripMetadata : this.stripMetadata,
+        imageProcessor: this.imageProcessor,
+        number: i + 1
+      }));
+    }
+    return prepared;
+  }
+
+  /**
+   * Fill in a post form
+   * @private
+   * @param {Object} form - PostForm read from the form page
+   * @param {Object} postData - PostData
+   * @param {Array<Object>} files - PreparedFiles (see upload-preprocessor.js)
+   * @returns {FormData}
+   * @throws {PostRejectedError|CaptchaRequiredError} - The form has more file
+   *   inputs than files allowed, or required fields nothing fills in
+   */
+  buildPostForm(form, postData, files) {
+    const fields = this.adapter.fields;
+    const values = { ...form.fields };
+    const set = (name, value) => {
+      if (name && value !== undefined && value !== null) values[name] = String(value);
+    };
+
+    set(fields.title, postData.title);
+    set(fields.text, postData.text);
+    set(fields.name, postData.name);
+    set(fields.email, postData.sage ? 'sage' : postData.email);
+    if (postData.spoiler) set(fields.spoiler, 'on');
+    set(fields.password, postData.password);
+    Object.entries(postData.fields || {}).forEach(([name, value]) => set(name, value));
+
+    // One input per file (file, file2, ...), or one input taking them all
+    const fileFields = form.fileFields.length ? form.fileFields : [fields.image];
+    const oneInput = form.multipleFiles || !form.fileFields.length;
+    if (!oneInput && files.length > fileFields.length) {
+      throw new PostRejectedError(`The post form takes at most ${fileFields.length} file${fileFields.length === 1 ? '' : 's'}, got ${files.length}`);
+    }
+
+    // Catch new required fields here instead of as a vague rejection from the site
+    const missing = form.required.filter(name => !values[name] && !fileFields.includes(name));
+    if (missing.some(name => /captcha/i.test(name))) {
+      throw new CaptchaRequiredError('The post form requires a captcha');
+    }
+    if (missing.length) {
+      throw new PostRejectedError(`The post form requires fields that were not given: ${missing.join(', ')}`);
+    }
+
+    const formData = new FormData();
+    Object.entries(values).forEach(([name, value]) => formData.append(name, value));
+    files.forEach((file, i) => {
+      formData.append(oneInput ? fileFields[0] : fileFields[i], file.data, {
+        filename: file.fileName,
+        contentType: file.mimeType
+      });
+    });
+    return formData;
+  }
+
+  /**
+   * Fetch the post form, solve its captcha if it has one, and send the post.
+   * A challenge that expires before it is solved, or an answer the site
+   * rejects, starts over with a fresh form page, up to captchaAttempts times.
+   * @private
+   * @param {Object} target - boardId, threadId (replies only), formPath, postPath
+   *   and the fallbackMessage for readPostOutcome
+   * @param {Object} postData - PostData
+   * @param {Object} options - createThread/replyToThread options
+   * @param {Object} call - The call from startCall
+   * @returns {Promise<Object>} - formPage, response and outcome (see readPostOutcome)
+   * @throws {CaptchaRequiredError} - The form has a captcha and no solver answered it
+   */
+  async sendPost(target, postData, options, call) {
+    const requestConfig = call.config;
+    const solver = options.captchaSolver || this.captchaSolver;
+    const attempts = options.captchaAttempts || this.captchaAttempts;
+    const params = { boardId: target.boardId, threadId: target.threadId };
+    const formUrl = this.absoluteUrl(target.formPath);
+
+    // Files that break the limits fail here, before any request
+    const files = await this.prepareFiles(postData, target.boardId, options);
+
+    for (let attempt = 1; ; attempt++) {
+      const formPage = await this.client.get(target.formPath, requestConfig);
+      this.checkResponse(formPage);
+
+      // The form as the site serves it, with hidden fields such as a CSRF token
+      const form = this.adapter.parsePostForm(formPage.data, params);
+      let data = postData;
+
+      if (form.captcha) {
+        const challenge = await this.fetchCaptchaChallenge(form.captcha, { ...params, pageUrl: formUrl, attempt }, requestConfig);
+        if (!solver) {
+          throw new CaptchaRequiredError('The post form requires a captcha and no captchaSolver was given', { url: formUrl, challenge });
+        }
+
+        // Solving can take a person far longer than a request, so it does not
+        // count against the call timeout
+        const resumeTimeout = call.pause();
+        let answer;
+        try {
+          answer = await solver(challenge, { signal: requestConfig.signal });
+        } finally {
+          resumeTimeout();
+        }
+        if (challenge.expiresAt !== null && Date.now() > challenge.expiresAt) {
+          if (attempt < attempts) continue;
+          throw new CaptchaFailedError('The captcha expired before it was solved', { url: formUrl, challenge });
+        }
+        if (!answer) {
+          throw new CaptchaRequiredError('The captcha solver gave no answer', { url: formUrl, challenge });
+        }
+
+        const answerFields = { [form.captcha.answerField]: String(answer) };
+        if (form.captcha.idField && form.captcha.id) answerFields[form.captcha.idField] = form.captcha.id;
+        data = { ...postData, fields: { ...postData.fields, ...answerFields } };
       }
-      
-      // Post the thread
-      const response = await this.client.post(`/board/${boardId}/thread/create`, formData, {
+
+      // The form may state limits of its own
+      const formLimits = { allowedTypes: form.accept, maxFileSize: form.maxFileSize };
+      files.forEach(file => checkUploadLimits(file, formLimits));
+
+      const formData = this.buildPostForm(form, data, files);
+
+      // Post without following the redirect; the redirect itself names the post
+      const response = await this.client.post(target.postPath, formData, {
+        ...requestConfig,
+        maxRedirects: 0,
         headers: {
           ...formData.getHeaders(),
-          'Referer': `${this.baseURL}/board/${boardId}`,
+          'Referer': formUrl,
         }
       });
+
+      try {
+        const outcome = this.readPostOutcome(response, postData, target.fallbackMessage);
+        return { formPage, response, outcome };
+      } catch (error) {
+        // A wrong answer only costs a new challenge
+        if (!(error instanceof CaptchaFailedError) || !form.captcha || attempt >= attempts) throw error;
+      }
+    }
+  }
+
+  /**
+   * Fetch what a solver needs to answer a captcha
+   * @private
+   * @param {Object} captcha - CaptchaInfo from the post form
+   * @param {Object} params - boardId, threadId, pageUrl and attempt
+   * @param {Object} requestConfig - Axios config from startCall
+   * @returns {Promise<Object>} - CaptchaChallenge
+   */
+  async fetchCaptchaChallenge(captcha, params, requestConfig) {
+    const challenge = {
+      type: captcha.type,
+      id: captcha.id,
+      image: null,
+      mimeType: null,
+      imageUrl: null,
+      siteKey: captcha.siteKey || null,
+      pageUrl: params.pageUrl,
+      // Counted from now, since the form page does not say when it was made
+      expiresAt: captcha.ttl ? Date.now() + captcha.ttl * 1000 : null,
+      boardId: params.boardId,
+      threadId: params.threadId || null,
+      attempt: params.attempt
+    };
+    if (captcha.type !== 'image' || !captcha.imageUrl) return challenge;
+
+    // Inline images need no request
+    const inline = captcha.imageUrl.match(/^data:([^;,]*)(;base64)?,(.*)$/s);
+    if (inline) {
+      challenge.mimeType = inline[1] || 'text/plain';
+      challenge.image = inline[2]
+        ? Buffer.from(inline[3], 'base64')
+        : Buffer.from(decodeURIComponent(inline[3]));
+      return challenge;
+    }
+
+    // The image usually shares the form page's captcha cookie, so it goes
+    // through the same client
+    challenge.imageUrl = this.absoluteUrl(captcha.imageUrl);
+    const response = await this.client.get(challenge.imageUrl, {
+      ...requestConfig,
+      responseType: 'arraybuffer',
+      headers: { 'Referer': params.pageUrl }
+    });
+    this.checkResponse(response);
+    challenge.image = Buffer.from(response.data);
+    challenge.mimeType = String(response.headers['content-type'] || '').split(';')[0].trim() || null;
+
+    return challenge;
+  }
+
+  /**
+   * Create a new thread
+   * @param {string} boardId - Board identifier
+   * @param {Object} threadData - PostData; title and text are required
+   * @param {Object} [options] - Call options
+   * @param {boolean} [options.confirm=true] - Look for the thread on the board when
+   *   the site's answer does not name it
+   * @param {Object} [options.uploadLimits] - UploadLimits for this post, overrides
+   *   the client's uploadLimits
+   * @param {boolean} [options.stripMetadata] - Remove image metadata, overrides
+   *   the client's stripMetadata
+   * @param {Function} [options.captchaSolver] - Solver for this post, overrides
+   *   the client's captchaSolver
+   * @param {number} [options.captchaAttempts] - Challenges to try, overrides the
+   *   client's captchaAttempts
+   * @param {AbortSignal} [options.signal] - Cancels the call
+   * @param {number} [options.timeout] - Call timeout in ms, overrides the client
+   *   timeout; the time the captcha solver takes is not counted
+   * @returns {Promise<Object>} - Created thread info
+   * @throws {BharatChanError} - NetworkError, NotFoundError, BannedError, FloodError,
+   *   CaptchaRequiredError, CaptchaFailedError, DuplicateFileError,
+   *   FileTooLargeError, UnsupportedFileTypeError or PostRejectedError
+   */
+  async createThread(boardId, threadData, options = {}) {
+    const call = this.startCall({ priority: 'high', ...options });
+    try {
+      // The board page carries the form, and any cookies or tokens the post needs
+      const { response, outcome } = await this.sendPost({
+        boardId,
+        formPath: this.adapter.path('board', { boardId }),
+        postPath: this.adapter.path('createThread', { boardId }),
+        fallbackMessage: 'Unknown error creating thread'
+      }, threadData, options, call);
+      
+      await this.invalidateCache('getThreads', boardId);
       
-      // Check if post was successful
-      if (response.status >= 300 && response.status < 400) {
-        // Success - extract thread ID from redirect
-        const location = response.headers.location;
-        const threadIdMatch = location.match(/\/thread\/(\d+)/);
-        const newThreadId = threadIdMatch ? threadIdMatch[1] : null;
-        
-        if (newThreadId) {
-          return {
-            success: true,
-            id: newThreadId,
-            board: boardId,
-            url: `${this.baseURL}/board/${boardId}/thread/${newThreadId}`
-          };
+      let newThreadId = outcome.threadId;
+      let confirmedBy = newThreadId ? outcome.source : null;
+      if (!newThreadId && options.confirm !== false) {
+        newThreadId = await this.findNewThread(boardId, threadData, call.config);
+        if (!newThreadId) {
+          throw new PostRejectedError('The thread did not appear on the board after posting', {
+            status: response.status,
+            url: this.absoluteUrl(this.adapter.path('createThread', { boardId }))
+          });
         }
+        confirmedBy = 'refetch';
       }
       
-      // If we reach here, something went wrong
-      const $error = cheerio.load(response.data);
-      const errorMessage = $error('.error-message').text().trim() || 'Unknown error creating thread';
-      throw new Error(errorMessage);
+      if (newThreadId) {
+        await this.recordOwnPost({
+          boardId,
+          threadId: newThreadId,
+          postId: newThreadId,
+          timestamp: Date.now(),
+          password: threadData.password
+        });
+      }
       
+      return {
+        success: true,
+        id: newThreadId,
+        postId: newThreadId,
+        board: boardId,
+        url: newThreadId ? this.threadUrl(boardId, newThreadId) : null,
+        confirmedBy
+      };
     } catch (error) {
-      console.error(`Error creating thread on board ${boardId}:`, error);
-      throw new Error(`Failed to create thread: ${error.message}`);
+      this.log('error', `Error creating thread on board ${boardId}:`, error);
+      throw this.toApiError(error);
+    } finally {
+      call.end();
     }
   }
 
@@ -1149,62 +2691,110 @@ class BharatChanAPI {
    * Reply to a thread
    * @param {string} boardId - Board identifier
    * @param {string} threadId - Thread identifier
-   * @param {Object} replyData - Reply data
-   * @param {string} replyData.text - Reply text
-   * @param {Buffer|string} [replyData.image] - Image data (optional)
+   * @param {Object} replyData - PostData; text is required
+   * @param {Object} [options] - Call options
+   * @param {boolean} [options.confirm=true] - Look for the reply in the thread when
+   *   the site's answer does not name it
+   * @param {Object} [options.uploadLimits] - UploadLimits for this post, overrides
+   *   the client's uploadLimits
+   * @param {boolean} [options.stripMetadata] - Remove image metadata, overrides
+   *   the client's stripMetadata
+   * @param {Function} [options.captchaSolver] - Solver for this post, overrides
+   *   the client's captchaSolver
+   * @param {number} [options.captchaAttempts] - Challenges to try, overrides the
+   *   client's captchaAttempts
+   * @param {AbortSignal} [options.signal] - Cancels the call
+   * @param {number} [options.timeout] - Call timeout in ms, overrides the client
+   *   timeout; the time the captcha solver takes is not counted
    * @returns {Promise<Object>} - Reply info
+   * @throws {BharatChanError} - NetworkError, NotFoundError, BannedError, FloodError,
+   *   CaptchaRequiredError, CaptchaFailedError, DuplicateFileError,
+   *   FileTooLargeError, UnsupportedFileTypeError or PostRejectedError
    */
-  async replyToThread(boardId, threadId, replyData) {
+  async replyToThread(boardId, threadId, replyData, options = {}) {
+    const call = this.startCall({ priority: 'high', ...options });
     try {
-      // First, get the thread page to ensure we have any required cookies/tokens
-      const threadPage = await this.client.get(`/board/${boardId}/thread/${threadId}`);
-      const $ = cheerio.load(threadPage.data);
-      
-      // Extract CSRF token if present
-      const csrfToken = $('input[name="_csrf"]').val() || '';
+      // The thread page carries the form, and any cookies or tokens the post needs
+      const { formPage, response, outcome } = await this.sendPost({
+        boardId,
+        threadId,
+        formPath: this.adapter.path('threadPage', { boardId, threadId }),
+        postPath: this.adapter.path('reply', { boardId, threadId }),
+        fallbackMessage: 'Unknown error posting reply'
+      }, replyData, options, call);
       
-      // Create form data
-      const formData = new FormData();
-      if (csrfToken) formData.append('_csrf', csrfToken);
-      formData.append('text', replyData.text);
+      const knownIds = this.knownPostIds(formPage, boardId, threadId);
       
-      if (replyData.image) {
-        const imageData = replyData.image;
-        const fileName = replyData.fileName || 'image.jpg';
-        formData.append('image', imageData, fileName);
-      }
+      // The cached copy of the thread is now missing our reply
+      await this.invalidateCache('getThread', boardId, threadId);
       
-      // Post the reply
-      const response = await this.client.post(`/board/${boardId}/thread/${threadId}/reply`, formData, {
-        headers: {
-          ...formData.getHeaders(),
-          'Referer': `${this.baseURL}/board/${boardId}/thread/${threadId}`,
+      let postId = outcome.postId;
+      let confirmedBy = postId ? outcome.source : null;
+      if (!postId && options.confirm !== false) {
+        postId = await this.findNewReply(boardId, threadId, replyData, knownIds, call.config);
+        if (!postId) {
+          throw new PostRejectedError('The reply did not appear in the thread after posting', {
+            status: response.status,
+            url: this.absoluteUrl(this.adapter.path('reply', { boardId, threadId }))
+          });
         }
-      });
-      
-      // Check if post was successful
-      if (response.status >= 200 && response.status < 300 || 
-          (response.status >= 300 && response.status < 400)) {
-        
-        // Success
-        return {
-          success: true,
-          threadId,
-          board: boardId,
-          url: `${this.baseURL}/board/${boardId}/thread/${threadId}`
-        };
+        confirmedBy = 'refetch';
       }
       
-      // If we reach here, something went wrong
-      const $error = cheerio.load(response.data);
-      const errorMessage = $error('.error-message').text().trim() || 'Unknown error posting reply';
-      throw new Error(errorMessage);
+      if (postId) {
+        await this.recordOwnPost({ boardId, threadId, postId, timestamp: Date.now(), password: replyData.password });
+      }
       
+      return {
+        success: true,
+        threadId,
+        postId,
+        board: boardId,
+        url: this.threadUrl(boardId, threadId),
+        confirmedBy
+      };
     } catch (error) {
-      console.error(`Error replying to thread ${threadId}:`, error);
-      throw new Error(`Failed to post reply: ${error.message}`);
+      this.log('error', `Error replying to thread ${threadId}:`, error);
+      throw this.toApiError(error);
+    } finally {
+      call.end();
     }
   }
 }
 
-module.exports = BharatChanAPI;
\ No newline at end of file
+module.exports = BharatChanAPI;
+module.exports.ThreadWatcher = ThreadWatcher;
+module.exports.MediaDownloader = MediaDownloader;
+module.exports.RequestScheduler = RequestScheduler;
+module.exports.MemoryCacheStore = MemoryCacheStore;
+module.exports.SearchIndex = SearchIndex;
+module.exports.FilterSet = FilterSet;
+module.exports.ImageHashIndex = ImageHashIndex;
+module.exports.HtmlAdapter = HtmlAdapter;
+module.exports.JsonApiAdapter = JsonApiAdapter;
+module.exports.loadProfile = loadProfile;
+module.exports.ParseDiagnostics = ParseDiagnostics;
+module.exports.FileCacheStore = FileCacheStore;
+module.exports.MemoryOwnPostStore = MemoryOwnPostStore;
+module.exports.FileOwnPostStore = FileOwnPostStore;
+module.exports.CookieJar = CookieJar;
+module.exports.CookieSessions = CookieSessions;
+module.exports.BharatChanError = BharatChanError;
+module.exports.NetworkError = NetworkError;
+module.exports.TimeoutError = TimeoutError;
+module.exports.AbortError = AbortError;
+module.exports.NotFoundError = NotFoundError;
+module.exports.RateLimitError = RateLimitError;
+module.exports.BannedError = BannedError;
+module.exports.FloodError = FloodError;
+module.exports.CaptchaRequiredError = CaptchaRequiredError;
+module.exports.CaptchaFailedError = CaptchaFailedError;
+module.exports.ParseError = ParseError;
+module.exports.PostRejectedError = PostRejectedError;
+module.exports.DuplicateFileError = DuplicateFileError;
+module.exports.FileTooLargeError = FileTooLargeError;
+module.exports.UnsupportedFileTypeError = UnsupportedFileTypeError;
+module.exports.createArchive = createArchive;
+module.exports.readArchive = readArchive;
+module.exports.toMarkdown = toMarkdown;
+module.exports.toHtml = toHtml;
\ No newline at end of file
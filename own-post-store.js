@@ -0,0 +1,181 @@
+/**
+ * BharatChan own-post stores
+ * Backends recording the posts a BharatChanAPI client made, so threads can
+ * mark posts that are ours and replies to them ("(You)")
+ *
+ * OwnPost:
+ * {
+ *   boardId: string,  // Board identifier
+ *   threadId: string, // Thread the post is in (the post ID itself for an OP)
+ *   postId: string,   // Post identifier
+ *   timestamp: number, // When the post was made, in milliseconds since epoch
+ *   password: string  // Post password, for deleting the post (null if none)
+ * }
+ *
+ * A post is identified by boardId and postId; adding it again replaces the
+ * record. Every method may return a value or a promise.
+ *
+ * Own-post store interface:
+ * {
+ *   add(post): void,
+ *   remove(boardId, postId): boolean,
+ *   list(filter): Array<OwnPost>, // filter: { boardId, threadId }, both optional
+ *   clear(): void
+ * }
+ */
+
+const fs = require('fs');
+const { writeFileAtomic } = require('./atomic-file');
+
+const OWN_POSTS_VERSION = 1;
+
+/**
+ * Key identifying a post
+ * @private
+ */
+function postKey(boardId, postId) {
+  return `${boardId}/${postId}`;
+}
+
+/**
+ * Copy of a post record with its fields normalized
+ * @private
+ */
+function normalizePost(post) {
+  return {
+    boardId: String(post.boardId),
+    threadId: String(post.threadId || post.postId),
+    postId: String(post.postId),
+    timestamp: post.timestamp || Date.now(),
+    password: post.password || null
+  };
+}
+
+/**
+ * @private
+ */
+function matchesFilter(post, filter = {}) {
+  if (filter.boardId !== undefined && post.boardId !== String(filter.boardId)) return false;
+  if (filter.threadId !== undefined && post.threadId !== String(filter.threadId)) return false;
+  return true;
+}
+
+/**
+ * In-memory store; records are lost when the process exits
+ */
+class MemoryOwnPostStore {
+  constructor() {
+    this.posts = new Map();
+  }
+
+  add(post) {
+    const record = normalizePost(post);
+    this.posts.set(postKey(record.boardId, record.postId), record);
+  }
+
+  remove(boardId, postId) {
+    return this.posts.delete(postKey(boardId, postId));
+  }
+
+  list(filter) {
+    return Array.from(this.posts.values())
+      .filter(post => matchesFilter(post, filter))
+      .map(post => ({ ...post }));
+  }
+
+  clear() {
+    this.posts.clear();
+  }
+}
+
+/**
+ * File-backed store keeping every record in one JSON file, so own posts
+ * survive restarts. Post passwords are stored as given.
+ */
+class FileOwnPostStore {
+  /**
+   * @param {Object} options
+   * @param {string} options.file - JSON file for the records (created if missing)
+   */
+  constructor(options = {}) {
+    if (!options.file) {
+      throw new Error('FileOwnPostStore requires a file');
+    }
+    this.file = options.file;
+
+    // key -> OwnPost, loaded lazily from disk
+    this.posts = null;
+    this.loaded = null;
+  }
+
+  /**
+   * Load the records from disk
+   * @private
+   */
+  async load() {
+    if (this.posts) return this.posts;
+    // Concurrent callers must share one map
+    if (!this.loaded) this.loaded = this.read();
+    return this.loaded;
+  }
+
+  /**
+   * @private
+   */
+  async read() {
+    let saved = { version: OWN_POSTS_VERSION, posts: [] };
+    try {
+      saved = JSON.parse(await fs.promises.readFile(this.file, 'utf8'));
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+    }
+    if (saved.version !== OWN_POSTS_VERSION) {
+      throw new Error(`Unsupported own-post file version ${saved.version}`);
+    }
+
+    this.posts = new Map(saved.posts.map(post => [postKey(post.boardId, post.postId), post]));
+    return this.posts;
+  }
+
+  /**
+   * Write the records to disk
+   * @private
+   */
+  async save() {
+    const contents = JSON.stringify({ version: OWN_POSTS_VERSION, posts: Array.from(this.posts.values()) });
+    await writeFileAtomic(this.file, contents);
+  }
+
+  async add(post) {
+    const posts = await this.load();
+    const record = normalizePost(post);
+    posts.set(postKey(record.boardId, record.postId), record);
+    await this.save();
+  }
+
+  async remove(boardId, postId) {
+    const posts = await this.load();
+    if (!posts.delete(postKey(boardId, postId))) return false;
+
+    await this.save();
+    return true;
+  }
+
+  async list(filter) {
+    const posts = await this.load();
+    return Array.from(posts.values())
+      .filter(post => matchesFilter(post, filter))
+      .map(post => ({ ...post }));
+  }
+
+  async clear() {
+    const posts = await this.load();
+    posts.clear();
+    await this.save();
+  }
+}
+
+module.exports = {
+  MemoryOwnPostStore,
+  FileOwnPostStore
+};
@@ -0,0 +1,171 @@
+/**
+ * BharatChan parse diagnostics
+ * Records how a page was parsed, so a scrape that quietly fell back to
+ * heuristics can be noticed and alerted on
+ *
+ * Diagnostics report:
+ * {
+ *   method: string,    // API method, e.g. "getThread"
+ *   adapter: string,   // Site adapter or profile name
+ *   url: string,       // Page that was parsed
+ *   boardId: string,   // Board, if the page belongs to one
+ *   threadId: string,  // Thread, if the page belongs to one
+ *   steps: {           // One entry per lookup, e.g. "container", "replies", "post.text"
+ *     [step]: {
+ *       matches: Object<string, number>, // Matching selector -> times it matched
+ *       missing: number,  // Times no selector of the chain matched
+ *       optional: boolean // Missing matches are normal (e.g., posts without files)
+ *     }
+ *   },
+ *   fallbacks: Array<string>, // Fallbacks that fired, in order
+ *   skipped: number,   // Matched elements that were dropped
+ *   skipReasons: Object<string, number>, // Why they were dropped
+ *   confidence: number, // 0 (nothing usable) to 1 (every lookup hit its selectors)
+ *   degraded: boolean, // A heuristic fallback fired or parsing failed
+ *   error: string      // Parse error message, if parsing failed
+ * }
+ */
+
+class ParseDiagnostics {
+  /**
+   * @param {Object} [details] - method, adapter, url, boardId and threadId of the parse
+   */
+  constructor(details = {}) {
+    this.details = details;
+    this.steps = {};
+    this.fallbacks = [];
+    this.penalty = 1;
+    this.heuristic = false;
+    this.skipped = 0;
+    this.skipReasons = {};
+    this.error = null;
+  }
+
+  /**
+   * Find the first element matched by a selector chain, recording which
+   * selector matched
+   * @param {string} step - Step name
+   * @param {Function} find - Runs a selector, e.g. selector => element.find(selector)
+   * @param {Array<string>|string} selectors - Selector chain
+   * @param {Object} [options]
+   * @param {boolean} [options.optional=false] - A miss does not lower confidence
+   * @returns {Cheerio|null}
+   */
+  match(step, find, selectors, options = {}) {
+    for (const selector of [].concat(selectors || [])) {
+      const element = find(selector).first();
+      if (element.length) {
+        this.hit(step, selector, 1, options);
+        return element;
+      }
+    }
+    this.miss(step, options);
+    return null;
+  }
+
+  /**
+   * @private
+   */
+  step(step, options = {}) {
+    if (!this.steps[step]) {
+      this.steps[step] = { matches: {}, missing: 0, optional: Boolean(options.optional) };
+    }
+    return this.steps[step];
+  }
+
+  /**
+   * Record that a step was satisfied by a selector
+   * @param {string} step - Step name
+   * @param {string} selector - Matching selector (or field name for JSON sources)
+   * @param {number} [count=1] - Number of matches
+   * @param {Object} [options] - Same as match()
+   */
+  hit(step, selector, count = 1, options = {}) {
+    const entry = this.step(step, options);
+    entry.matches[selector] = (entry.matches[selector] || 0) + count;
+  }
+
+  /**
+   * Record that no selector of a step matched
+   * @param {string} step - Step name
+   * @param {Object} [options] - Same as match()
+   */
+  miss(step, options = {}) {
+    this.step(step, options).missing++;
+  }
+
+  /**
+   * Record a fallback
+   * @param {string} name - Fallback name, e.g. "replyHeuristic"
+   * @param {Object} [options]
+   * @param {number} [options.penalty=1] - Confidence multiplier, 0 to 1
+   * @param {boolean} [options.heuristic=false] - The fallback guesses at page
+   *   structure, which marks the parse as degraded
+   */
+  fallback(name, options = {}) {
+    this.fallbacks.push(name);
+    this.penalty *= options.penalty !== undefined ? options.penalty : 1;
+    if (options.heuristic) this.heuristic = true;
+  }
+
+  /**
+   * Record matched elements that were dropped
+   * @param {string} reason - Why, e.g. "noId" or "duplicate"
+   * @param {number} [count=1]
+   */
+  skip(reason, count = 1) {
+    if (count <= 0) return;
+    this.skipped += count;
+    this.skipReasons[reason] = (this.skipReasons[reason] || 0) + count;
+  }
+
+  /**
+   * Record that parsing failed
+   * @param {Error} error
+   */
+  fail(error) {
+    this.error = error.message;
+  }
+
+  /**
+   * Confidence that the result reflects the page: fallbacks multiply in
+   * their penalty, and every required step loses up to a quarter for the
+   * share of lookups that found nothing
+   * @returns {number}
+   */
+  confidence() {
+    if (this.error) return 0;
+
+    let confidence = this.penalty;
+    Object.values(this.steps).forEach(entry => {
+      if (entry.optional) return;
+      const found = Object.values(entry.matches).reduce((sum, count) => sum + count, 0);
+      const total = found + entry.missing;
+      if (total) confidence *= 0.75 + 0.25 * (found / total);
+    });
+
+    return Math.round(confidence * 100) / 100;
+  }
+
+  /**
+   * @returns {Object} - Diagnostics report
+   */
+  report() {
+    return {
+      method: this.details.method || null,
+      adapter: this.details.adapter || null,
+      url: this.details.url || null,
+      boardId: this.details.boardId || null,
+      threadId: this.details.threadId || null,
+      steps: this.steps,
+      fallbacks: this.fallbacks.slice(),
+      skipped: this.skipped,
+      skipReasons: { ...this.skipReasons },
+      confidence: this.confidence(),
+      degraded: this.heuristic || Boolean(this.error),
+      ...(this.error ? { error: this.error } : {})
+    };
+  }
+}
+
+module.exports = ParseDiagnostics;
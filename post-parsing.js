@@ -0,0 +1,226 @@
+/**
+ * BharatChan post parsing helpers
+ * Site-independent pieces shared by the site adapters
+ */
+
+const { parseQuoteReference } = require('./comment-markup');
+
+/**
+ * Make a site-relative URL absolute
+ * @param {string} url - Relative or absolute URL
+ * @param {string} baseURL - Site base URL
+ * @returns {string}
+ */
+function absoluteUrl(url, baseURL) {
+  if (!url || url.startsWith('http')) return url || '';
+  if (url.startsWith('//')) return `https:${url}`;
+  return url.startsWith('/') ? `${baseURL}${url}` : `${baseURL}/${url}`;
+}
+
+/**
+ * Parse a human readable file size (e.g., "1.5 MB", "340 KiB") into bytes
+ * @param {string} text - Text containing the size
+ * @returns {number|null}
+ */
+function parseFileSize(text) {
+  const sizeMatch = (text || '').match(/(\d+(?:[.,]\d+)?)\s*(B|KB|KiB|MB|MiB|GB|GiB)\b/i);
+  if (!sizeMatch) return null;
+
+  const units = { b: 1, kb: 1024, kib: 1024, mb: 1024 ** 2, mib: 1024 ** 2, gb: 1024 ** 3, gib: 1024 ** 3 };
+  const value = parseFloat(sizeMatch[1].replace(',', '.'));
+  return Math.round(value * units[sizeMatch[2].toLowerCase()]);
+}
+
+/**
+ * Parse a post timestamp from an attribute or displayed text
+ * @param {string} value - ISO date, unix timestamp (seconds or ms) or displayed date
+ * @returns {number|null} - Milliseconds since epoch
+ */
+function parseTimestamp(value) {
+  if (!value) return null;
+  const trimmed = String(value).trim();
+
+  // Unix timestamps, in seconds or milliseconds
+  if (/^\d{9,13}$/.test(trimmed)) {
+    const number = parseInt(trimmed, 10);
+    return trimmed.length > 10 ? number : number * 1000;
+  }
+
+  // Chan-style dates such as 05/01/24(Wed)10:00:00, interpreted as UTC
+  const chanMatch = trimmed.match(/(\d{2})\/(\d{2})\/(\d{2,4})\s*(?:\([^)]*\))?\s*(\d{2}):(\d{2})(?::(\d{2}))?/);
+  if (chanMatch) {
+    const [, month, day, year, hours, minutes, seconds] = chanMatch;
+    const fullYear = year.length === 2 ? 2000 + parseInt(year, 10) : parseInt(year, 10);
+    return Date.UTC(fullYear, month - 1, day, hours, minutes, seconds || 0);
+  }
+
+  const parsed = Date.parse(trimmed);
+  return isNaN(parsed) ? null : parsed;
+}
+
+/**
+ * Extract quote links (>>123, >>>/b/123) from a post body
+ * @param {CheerioAPI} $ - Loaded page
+ * @param {Cheerio} bodyElement - Post body element
+ * @param {Object} context - Post context
+ * @param {string} context.boardId - Board the post belongs to
+ * @param {string} context.threadId - Thread the post belongs to
+ * @param {Object} [context.patterns] - Site URL patterns, see parseQuoteReference
+ * @returns {Array<Object>} - Quotes in order of appearance, without duplicates
+ */
+function parseQuotes($, bodyElement, context) {
+  const quotes = [];
+
+  const addQuote = (quote) => {
+    const isDuplicate = quotes.some(q =>
+      q.postId === quote.postId && q.threadId === quote.threadId && q.boardId === quote.boardId);
+    if (!isDuplicate) quotes.push(quote);
+  };
+
+  const quoteFromText = (quoteText, href = '') => {
+    const quote = parseQuoteReference(quoteText, href, context);
+    return quote ? { ...quote, missing: false } : null;
+  };
+
+  // Linked quotes
+  bodyElement.find('a').each((i, link) => {
+    const quote = quoteFromText($(link).text().trim(), $(link).attr('href') || '');
+    if (quote) addQuote(quote);
+  });
+
+  // Quotes the site left as plain text
+  const plainText = bodyElement.clone().find('a').remove().end().text();
+  const quotePattern = />>>\/[^\/\s]+\/\d*|>>\d+/g;
+  let match;
+  while ((match = quotePattern.exec(plainText)) !== null) {
+    const quote = quoteFromText(match[0]);
+    if (quote) addQuote(quote);
+  }
+
+  return quotes;
+}
+
+/**
+ * Link every post to the posts quoting it and flag quotes of posts that
+ * are not in the thread
+ * @param {Array<Object>} posts - All posts of a thread, OP included
+ * @returns {Array<Object>} - The same posts, with backlinks filled in
+ */
+function buildReplyGraph(posts) {
+  const postsById = new Map(posts.map(post => [post.id, post]));
+
+  posts.forEach(post => {
+    post.backlinks = post.backlinks || [];
+  });
+
+  posts.forEach(post => {
+    (post.quotes || []).forEach(quote => {
+      if (quote.crossThread || quote.crossBoard || !quote.postId) return;
+
+      const target = postsById.get(quote.postId);
+      quote.missing = !target;
+
+      if (target && !target.backlinks.includes(post.id)) {
+        target.backlinks.push(post.id);
+      }
+    });
+  });
+
+  return posts;
+}
+
+/**
+ * Read the controls of a form the way a browser would submit it untouched
+ * @param {CheerioAPI} $ - Loaded page
+ * @param {Cheerio} formElement - Form element, or any element containing the controls
+ * @returns {{fields: Object, fileFields: Array<string>, multipleFiles: boolean, required: Array<string>,
+ *   accept: Array<string>, maxFileSize: number}} Default field values, file input names in
+ *   order, whether a file input takes several files, the names of required
+ *   controls, the file types the file inputs accept (empty for any) and the
+ *   size limit the form states (null if none)
+ */
+function parseForm($, formElement) {
+  const form = { fields: {}, fileFields: [], multipleFiles: false, required: [], accept: [], maxFileSize: null };
+
+  formElement.find('input, textarea, select').each((i, element) => {
+    const control = $(element);
+    const name = control.attr('name');
+    if (!name || control.is('[disabled]')) return;
+
+    const tag = element.tagName.toLowerCase();
+    const type = (control.attr('type') || (tag === 'input' ? 'text' : tag)).toLowerCase();
+    if (['submit', 'button', 'reset', 'image'].includes(type)) return;
+
+    if (control.is('[required]') && !form.required.includes(name)) form.required.push(name);
+
+    if (type === 'file') {
+      form.fileFields.push(name);
+      if (control.is('[multiple]')) form.multipleFiles = true;
+      (control.attr('accept') || '').split(',').map(type => type.trim().toLowerCase()).forEach(type => {
+        if (type && !form.accept.includes(type)) form.accept.push(type);
+      });
+      const maxSize = parseInt(control.attr('data-max-size') || '', 10);
+      if (maxSize > 0) form.maxFileSize = maxSize;
+    } else if (type === 'checkbox' || type === 'radio') {
+      if (control.is('[checked]')) form.fields[name] = control.attr('value') || 'on';
+    } else if (tag === 'select') {
+      const option = control.find('option[selected]').first().length
+        ? control.find('option[selected]').first()
+        : control.find('option').first();
+      if (option.length) form.fields[name] = option.attr('value') !== undefined ? option.attr('value') : option.text();
+    } else if (tag === 'textarea') {
+      form.fields[name] = control.text();
+    } else {
+      form.fields[name] = control.attr('value') || '';
+      // PHP's convention for announcing the upload limit
+      if (name.toUpperCase() === 'MAX_FILE_SIZE') form.maxFileSize = parseInt(form.fields[name], 10) || form.maxFileSize;
+    }
+  });
+
+  return form;
+}
+
+/**
+ * Outcome of a post from a JSON answer, as sent by vichan's json_response
+ * and similar APIs: { redirect, id, thread } or { error, banned }
+ * @param {Object} json - Response body
+ * @param {Object} adapter - Site adapter, for reading IDs from the redirect
+ * @returns {Object} - PostResult
+ */
+function parseJsonPostResult(json, adapter) {
+  const redirect = json.redirect || json.location || '';
+  const threadId = json.threadId || json.thread_id || json.thread || adapter.threadIdFromUrl(redirect);
+  const postId = json.postId || json.post_id || json.id || adapter.postIdFromUrl(redirect);
+  const message = json.error ? String(json.error) : '';
+
+  return {
+    threadId: threadId ? String(threadId) : null,
+    postId: postId ? String(postId) : null,
+    message,
+    banned: Boolean(json.banned),
+    banReason: json.banned ? message : '',
+    formShown: false
+  };
+}
+
+/**
+ * Target of a <meta http-equiv="refresh"> redirect
+ * @param {CheerioAPI} $ - Loaded page
+ * @returns {string}
+ */
+function refreshUrl($) {
+  const content = $('meta[http-equiv="refresh" i]').attr('content') || '';
+  const urlMatch = content.match(/url\s*=\s*['"]?([^'"\s]+)/i);
+  return urlMatch ? urlMatch[1] : '';
+}
+
+module.exports = {
+  absoluteUrl,
+  parseFileSize,
+  parseTimestamp,
+  parseQuotes,
+  buildReplyGraph,
+  parseForm,
+  parseJsonPostResult,
+  refreshUrl
+};
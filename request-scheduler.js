@@ -0,0 +1,242 @@
+/**
+ * BharatChan request scheduler
+ * Decides when each request may go out: a token bucket per host spaces
+ * requests, a concurrency cap limits requests in flight, and priority lanes
+ * let user-initiated requests overtake background polling.
+ *
+ * When a server pushes back (429/503), penalize() blocks the host for the
+ * retry delay and slows its bucket down; every successful response relaxes
+ * the extra delay again until the host is back at its normal rate.
+ *
+ * Priorities: 'high' (user actions), 'normal' (default), 'low' (background work)
+ */
+
+const PRIORITIES = ['high', 'normal', 'low'];
+
+class RequestScheduler {
+  /**
+   * @param {Object} [options]
+   * @param {number} [options.interval=1000] - Normal delay between requests to one host in ms
+   * @param {number} [options.burst=1] - Requests a host may receive back to back
+   * @param {number} [options.concurrency=2] - Maximum requests in flight across all hosts
+   * @param {number} [options.maxRetries=3] - Retries for a request the server pushed back on
+   * @param {number} [options.baseRetryDelay=1000] - First retry delay without Retry-After in ms
+   * @param {number} [options.maxRetryDelay=60000] - Longest delay the scheduler will wait, Retry-After included
+   * @param {number} [options.relaxFactor=0.5] - Multiplier applied to the extra delay after each success
+   */
+  constructor(options = {}) {
+    this.interval = options.interval !== undefined ? options.interval : 1000;
+    this.burst = options.burst || 1;
+    this.concurrency = options.concurrency || 2;
+    this.maxRetries = options.maxRetries !== undefined ? options.maxRetries : 3;
+    this.baseRetryDelay = options.baseRetryDelay || 1000;
+    this.maxRetryDelay = options.maxRetryDelay || 60000;
+    this.relaxFactor = options.relaxFactor || 0.5;
+
+    this.queues = { high: [], normal: [], low: [] };
+    this.buckets = new Map();
+    this.active = 0;
+    this.timer = null;
+  }
+
+  /**
+   * Token bucket of a host, refilled up to now
+   * @private
+   */
+  bucket(host) {
+    const now = Date.now();
+    let bucket = this.buckets.get(host);
+
+    if (!bucket) {
+      bucket = { tokens: this.burst, lastRefill: now, blockedUntil: 0, penalty: 0 };
+      this.buckets.set(host, bucket);
+      return bucket;
+    }
+
+    const interval = this.interval + bucket.penalty;
+    const refill = interval > 0 ? (now - bucket.lastRefill) / interval : this.burst;
+    bucket.tokens = Math.min(this.burst, bucket.tokens + refill);
+    bucket.lastRefill = now;
+    return bucket;
+  }
+
+  /**
+   * Milliseconds until a host may receive another request
+   * @private
+   */
+  waitTime(host) {
+    const bucket = this.bucket(host);
+    const now = Date.now();
+
+    if (bucket.blockedUntil > now) return bucket.blockedUntil - now;
+    if (bucket.tokens >= 1) return 0;
+    return Math.ceil((1 - bucket.tokens) * (this.interval + bucket.penalty));
+  }
+
+  /**
+   * Wait for a slot to send a request
+   * @param {string} host - Host the request goes to
+   * @param {string} [priority='normal'] - 'high', 'normal' or 'low'
+   * @param {AbortSignal} [signal] - Aborting removes the request from the queue
+   *   and rejects with the signal's reason
+   * @returns {Promise<Function>} - Call the returned function when the response arrived
+   */
+  schedule(host, priority = 'normal', signal) {
+    const lane = PRIORITIES.includes(priority) ? priority : 'normal';
+
+    return new Promise((resolve, reject) => {
+      if (signal && signal.aborted) {
+        reject(signal.reason);
+        return;
+      }
+
+      const entry = { host, resolve, reject };
+
+      if (signal) {
+        const onAbort = () => {
+          this.queues[lane] = this.queues[lane].filter(queued => queued !== entry);
+          reject(signal.reason);
+          this.dispatch();
+        };
+        signal.addEventListener('abort', onAbort, { once: true });
+        entry.resolve = release => {
+          signal.removeEventListener('abort', onAbort);
+          resolve(release);
+        };
+      }
+
+      this.queues[lane].push(entry);
+      this.dispatch();
+    });
+  }
+
+  /**
+   * Start every queued request that may go out now, then wait for the next one
+   * @private
+   */
+  dispatch() {
+    clearTimeout(this.timer);
+    this.timer = null;
+
+    let nextWait = Infinity;
+
+    while (this.active < this.concurrency) {
+      let started = false;
+      nextWait = Infinity;
+
+      // Highest priority first; a blocked host does not hold up other hosts
+      for (const lane of PRIORITIES) {
+        const queue = this.queues[lane];
+        const index = queue.findIndex(entry => {
+          const wait = this.waitTime(entry.host);
+          nextWait = Math.min(nextWait, wait);
+          return wait === 0;
+        });
+
+        if (index !== -1) {
+          const [entry] = queue.splice(index, 1);
+          this.start(entry);
+          started = true;
+          break;
+        }
+      }
+
+      if (!started) break;
+    }
+
+    // Only set while requests are queued, and kept ref'd so the process does
+    // not exit under them
+    if (this.active < this.concurrency && nextWait !== Infinity) {
+      this.timer = setTimeout(() => this.dispatch(), nextWait);
+    }
+  }
+
+  /**
+   * Hand a slot to a queued request
+   * @private
+   */
+  start(entry) {
+    this.bucket(entry.host).tokens -= 1;
+    this.active++;
+
+    let released = false;
+    entry.resolve(() => {
+      if (released) return;
+      released = true;
+      this.active--;
+      this.dispatch();
+    });
+  }
+
+  /**
+   * Slow a host down after it pushed back
+   * @param {string} host - Host that answered 429/503
+   * @param {number} delay - Milliseconds before the host may be contacted again
+   */
+  penalize(host, delay) {
+    const bucket = this.bucket(host);
+    bucket.blockedUntil = Math.max(bucket.blockedUntil, Date.now() + delay);
+    bucket.penalty = Math.min(Math.max(bucket.penalty * 2, this.interval || this.baseRetryDelay), this.maxRetryDelay);
+    bucket.tokens = Math.min(bucket.tokens, 0);
+  }
+
+  /**
+   * Move a host back towards its normal rate after a successful response
+   * @param {string} host - Host that answered normally
+   */
+  relax(host) {
+    const bucket = this.buckets.get(host);
+    if (!bucket || bucket.penalty === 0) return;
+
+    bucket.penalty *= this.relaxFactor;
+    if (bucket.penalty < 50) bucket.penalty = 0;
+  }
+
+  /**
+   * Delay before the next retry, or null if the request should not be retried
+   * @param {number} attempt - Retry number, starting at 1
+   * @param {number|null} retryAfter - Server-requested delay in ms, if any
+   * @returns {number|null}
+   */
+  retryDelay(attempt, retryAfter) {
+    if (attempt > this.maxRetries) return null;
+
+    if (retryAfter !== null && retryAfter !== undefined) {
+      // Never wait unreasonably long for a server that asks for it
+      if (retryAfter > this.maxRetryDelay) return null;
+
+      // A little jitter keeps clients that were told the same time apart
+      return Math.round(retryAfter + Math.random() * Math.min(1000, retryAfter * 0.1));
+    }
+
+    // Exponential backoff with jitter
+    const backoff = Math.min(this.baseRetryDelay * 2 ** (attempt - 1), this.maxRetryDelay);
+    return Math.round(backoff / 2 + Math.random() * backoff / 2);
+  }
+
+  /**
+   * Current scheduler state, for debugging and tests
+   * @returns {Object}
+   */
+  stats() {
+    const hosts = {};
+    this.buckets.forEach((bucket, host) => {
+      hosts[host] = {
+        penalty: bucket.penalty,
+        blockedFor: Math.max(0, bucket.blockedUntil - Date.now())
+      };
+    });
+
+    return {
+      active: this.active,
+      queued: {
+        high: this.queues.high.length,
+        normal: this.queues.normal.length,
+        low: this.queues.low.length
+      },
+      hosts
+    };
+  }
+}
+
+module.exports = RequestScheduler;
@@ -0,0 +1,618 @@
+/**
+ * BharatChan local search index
+ * Full-text index over threads and posts the client has fetched, for
+ * searching offline and beyond what the site's own search offers
+ *
+ * Text is matched word by word after normalization: Unicode NFKD with
+ * Latin accents and the Devanagari nukta removed, zero-width joiners
+ * dropped, lower case, Devanagari digits as ASCII digits. Words are runs of
+ * letters, combining marks and digits, so Devanagari vowel signs and
+ * viramas stay inside their word and the danda (।) separates words.
+ *
+ * With transliteration on, every word is also indexed under a phonetic key
+ * shared by its Devanagari and romanized spellings: Devanagari is
+ * romanized with the inherent vowels Hindi leaves silent dropped (the final
+ * one, and medial ones as in सरकार "sarkar"), then aspiration, vowel
+ * length and doubled letters are ignored and common Hinglish spelling
+ * variants are folded together (w/v, z/j, ph/f, ee/i, ai/ay/e, au/ou/o).
+ * "bharat", "bhaarat" and "भारत" all become "barat"; "chai", "chay" and
+ * "चाय" all become "ce".
+ *
+ * Query syntax:
+ *   modi sarkar         Both words (AND)
+ *   "bharat mata"       Phrase: the words next to each other, in order
+ *   chai OR coffee      Either word; OR binds tighter than AND
+ *   -spam, NOT spam     Leave out posts with the word
+ *   board:b             Only posts from /b/ (repeat for several boards)
+ *
+ * SearchIndex result:
+ * {
+ *   boardId: string,
+ *   threadId: string,
+ *   postId: string,
+ *   isOp: boolean,
+ *   title: string,     // Thread title
+ *   snippet: { text: string, matches: Array<{ start: number, end: number }> },
+ *   timestamp: number, // Post time in milliseconds (null if unknown)
+ *   url: string,       // Full URL to the post
+ *   score: number      // Relevance, higher is better
+ * }
+ *
+ * Indexes survive restarts through toJSON() and SearchIndex.fromJSON().
+ */
+
+const INDEX_VERSION = 1;
+
+const SNIPPET_LENGTH = 160;
+
+// Phonetic keys live in the same postings map as words, behind a prefix no word can have
+const PHONETIC_PREFIX = '~';
+
+const WORD_PATTERN = /[\p{L}\p{M}\p{N}\u200c\u200d]+/gu;
+
+const DEVANAGARI_VOWELS = {
+  'अ': 'a', 'आ': 'aa', 'इ': 'i', 'ई': 'ii', 'उ': 'u', 'ऊ': 'uu', 'ऋ': 'ri',
+  'ए': 'e', 'ऐ': 'ai', 'ओ': 'o', 'औ': 'au', 'ऍ': 'e', 'ऑ': 'o'
+};
+
+const DEVANAGARI_VOWEL_SIGNS = {
+  'ा': 'aa', 'ि': 'i', 'ी': 'ii', 'ु': 'u', 'ू': 'uu', 'ृ': 'ri',
+  'े': 'e', 'ै': 'ai', 'ो': 'o', 'ौ': 'au', 'ॅ': 'e', 'ॉ': 'o'
+};
+
+const DEVANAGARI_CONSONANTS = {
+  'क': 'k', 'ख': 'kh', 'ग': 'g', 'घ': 'gh', 'ङ': 'n',
+  'च': 'ch', 'छ': 'chh', 'ज': 'j', 'झ': 'jh', 'ञ': 'n',
+  'ट': 't', 'ठ': 'th', 'ड': 'd', 'ढ': 'dh', 'ण': 'n',
+  'त': 't', 'थ': 'th', 'द': 'd', 'ध': 'dh', 'न': 'n',
+  'प': 'p', 'फ': 'ph', 'ब': 'b', 'भ': 'bh', 'म': 'm',
+  'य': 'y', 'र': 'r', 'ल': 'l', 'ळ': 'l', 'व': 'v',
+  'श': 'sh', 'ष': 'sh', 'स': 's', 'ह': 'h'
+};
+
+const DEVANAGARI_SIGNS = {
+  'ं': 'n', // Anusvara
+  'ँ': 'n', // Chandrabindu
+  'ः': 'h', // Visarga
+  'ॐ': 'om'
+};
+
+const VIRAMA = '्';
+
+/**
+ * Normalize a word for matching
+ * @param {string} word - Word as it appears in the text
+ * @returns {string}
+ */
+function normalizeWord(word) {
+  return word
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f\u093c\u200c\u200d]/g, '')
+    .replace(/[\u0966-\u096f]/g, digit => String(digit.charCodeAt(0) - 0x0966))
+    .normalize('NFC')
+    .toLowerCase();
+}
+
+/**
+ * Split a text into normalized words with their position in the text
+ * @param {string} text - Text to split
+ * @returns {Array<{word: string, start: number, end: number}>}
+ */
+function tokenize(text) {
+  const tokens = [];
+  for (const match of (text || '').matchAll(WORD_PATTERN)) {
+    const word = normalizeWord(match[0]);
+    if (word) tokens.push({ word, start: match.index, end: match.index + match[0].length });
+  }
+  return tokens;
+}
+
+/**
+ * Romanize a Devanagari word; other characters pass through
+ * @param {string} word - Normalized word
+ * @returns {string}
+ */
+function romanize(word) {
+  // Consonants carry their inherent vowel (schwa) until a vowel sign or virama
+  // takes it away; schwa deletion below decides which of the rest are spoken
+  const units = [];
+  const last = () => units[units.length - 1];
+
+  for (const char of word) {
+    if (DEVANAGARI_CONSONANTS[char]) {
+      units.push({ text: DEVANAGARI_CONSONANTS[char], consonant: true, schwa: true });
+    } else if (DEVANAGARI_VOWEL_SIGNS[char]) {
+      if (last()) last().schwa = false;
+      units.push({ text: DEVANAGARI_VOWEL_SIGNS[char], vowel: true });
+    } else if (char === VIRAMA) {
+      if (last()) last().schwa = false;
+    } else {
+      // Anything after a consonant, such as an anusvara, keeps its schwa spoken
+      if (last() && last().schwa) last().kept = true;
+      units.push({ text: DEVANAGARI_VOWELS[char] || DEVANAGARI_SIGNS[char] || char, vowel: !!DEVANAGARI_VOWELS[char] });
+    }
+  }
+
+  const spoken = unit => unit && (unit.vowel || unit.schwa);
+  const syllables = units.filter(spoken).length;
+
+  // Hindi drops the schwa of a final consonant, except in one-syllable words,
+  // and one between a vowel and a consonant-vowel pair (sarakaar -> sarkaar).
+  // Right to left, so each deletion sees the ones after it.
+  for (let i = units.length - 1; i >= 0; i--) {
+    const unit = units[i];
+    if (!unit.schwa || unit.kept) continue;
+
+    const next = units[i + 1];
+    if (!next) {
+      unit.schwa = syllables <= 1;
+    } else if (next.consonant && spoken(units[i - 1])) {
+      unit.schwa = !(next.schwa || (units[i + 2] && units[i + 2].vowel));
+    }
+  }
+
+  return units.map(unit => unit.schwa ? `${unit.text}a` : unit.text).join('');
+}
+
+/**
+ * Key shared by the Devanagari and romanized spellings of a word
+ * @param {string} word - Normalized word
+ * @returns {string}
+ */
+function phoneticKey(word) {
+  return romanize(word)
+    .replace(/ph/g, 'f')
+    .replace(/([bcdgjkt])h+/g, '$1')
+    .replace(/sh/g, 's')
+    .replace(/w/g, 'v')
+    .replace(/z/g, 'j')
+    .replace(/q/g, 'k')
+    .replace(/x/g, 'ks')
+    .replace(/ee/g, 'i')
+    .replace(/oo/g, 'u')
+    .replace(/(.)\1+/g, '$1')
+    // jai/jay/जय and chai/chay/चाय; before a vowel the y is a consonant (jaya)
+    .replace(/ay(?![aeiou])/g, 'ai')
+    .replace(/ai/g, 'e')
+    .replace(/[ao]u/g, 'o');
+}
+
+/**
+ * Parse a query into AND-ed clauses of OR-ed alternatives
+ * @private
+ * @param {string} query - Query text
+ * @returns {{clauses: Array<{negated: boolean, alternatives: Array<Array<string>>}>, boards: Array<string>}}
+ */
+function parseQuery(query) {
+  const clauses = [];
+  const boards = [];
+  const pattern = /(-?)"([^"]*)"?|(\S+)/g;
+  let negateNext = false;
+  let orNext = false;
+
+  for (const match of (query || '').matchAll(pattern)) {
+    const [, minus, phrase, bare] = match;
+
+    if (bare === 'OR') {
+      orNext = clauses.length > 0;
+      continue;
+    }
+    if (bare === 'NOT' || bare === 'AND') {
+      negateNext = bare === 'NOT';
+      continue;
+    }
+
+    const boardMatch = bare && bare.match(/^board:\/?([^/\s]+)\/?$/i);
+    if (boardMatch) {
+      boards.push(boardMatch[1]);
+      continue;
+    }
+
+    const negated = negateNext || minus === '-' || (bare !== undefined && bare.startsWith('-') && bare.length > 1);
+    const text = phrase !== undefined ? phrase : bare.replace(/^-/, '');
+    const words = tokenize(text).map(token => token.word);
+    negateNext = false;
+    if (words.length === 0) continue;
+
+    const previous = clauses[clauses.length - 1];
+    if (orNext && previous && previous.negated === negated) {
+      previous.alternatives.push(words);
+    } else {
+      clauses.push({ negated, alternatives: [words] });
+    }
+    orNext = false;
+  }
+
+  return { clauses, boards };
+}
+
+class SearchIndex {
+  /**
+   * @param {Object} [options]
+   * @param {boolean} [options.transliterate=true] - Also index phonetic keys, so
+   *   Devanagari and romanized spellings of a word match each other
+   */
+  constructor(options = {}) {
+    this.transliterate = options.transliterate !== undefined ? options.transliterate : true;
+
+    // Document ID ("board/post") -> indexed post
+    this.documents = new Map();
+    // Word or phonetic key -> document ID -> word positions
+    this.postings = new Map();
+    // "board/thread" -> document IDs of the thread
+    this.threads = new Map();
+  }
+
+  /**
+   * Number of indexed posts
+   * @returns {number}
+   */
+  get size() {
+    return this.documents.size;
+  }
+
+  /**
+   * Index a thread with all of its posts, replacing what was indexed for it
+   * @param {Object} thread - ThreadDetail, as returned by getThread
+   */
+  addThread(thread) {
+    if (!thread || !thread.op || thread.error) return;
+
+    const boardId = thread.board;
+    const threadId = String(thread.id);
+    this.removeThread(boardId, threadId);
+
+    const base = { boardId, threadId, title: thread.title || '', threadUrl: thread.url || '', complete: true };
+    this.addDocument({ ...base, post: thread.op, postId: threadId, isOp: true });
+    (thread.posts || []).forEach(post => {
+      this.addDocument({ ...base, post, postId: String(post.id), isOp: false });
+    });
+  }
+
+  /**
+   * Index the threads of a board page. Threads already indexed from their
+   * thread page are left alone, since the board page shows less of them.
+   * @param {Array<Object>} threads - Threads, as returned by getThreads
+   */
+  addThreads(threads) {
+    (threads || []).forEach(thread => {
+      const boardId = thread.board;
+      const threadId = String(thread.id);
+      const existing = this.documents.get(`${boardId}/${threadId}`);
+      if (existing && existing.complete) return;
+
+      this.removeThread(boardId, threadId);
+
+      const base = { boardId, threadId, title: thread.title || '', threadUrl: thread.url || '', complete: false };
+      const op = thread.op || { text: thread.text, timestamp: thread.timestamp };
+      this.addDocument({ ...base, post: op, postId: threadId, isOp: true });
+      (thread.previewPosts || []).forEach(post => {
+        this.addDocument({ ...base, post, postId: String(post.id), isOp: false });
+      });
+    });
+  }
+
+  /**
+   * @private
+   */
+  addDocument({ boardId, threadId, postId, isOp, title, threadUrl, complete, post }) {
+    const id = `${boardId}/${postId}`;
+    this.removeDocument(id);
+
+    // The OP is found by its thread title as well as its text
+    const text = post.text || '';
+    const searchable = isOp && title ? `${title}\n${text}` : text;
+    const tokens = tokenize(searchable);
+
+    const document = {
+      id,
+      boardId,
+      threadId,
+      postId,
+      isOp,
+      title,
+      text: searchable,
+      timestamp: post.timestamp || null,
+      url: isOp || !threadUrl ? threadUrl : `${threadUrl}#${postId}`,
+      complete,
+      offsets: tokens.map(token => [token.start, token.end]),
+      keys: new Set()
+    };
+
+    tokens.forEach((token, position) => {
+      this.addPosting(token.word, id, position, document);
+      if (this.transliterate) {
+        this.addPosting(PHONETIC_PREFIX + phoneticKey(token.word), id, position, document);
+      }
+    });
+
+    this.documents.set(id, document);
+
+    const threadKey = `${boardId}/${threadId}`;
+    if (!this.threads.has(threadKey)) this.threads.set(threadKey, new Set());
+    this.threads.get(threadKey).add(id);
+  }
+
+  /**
+   * @private
+   */
+  addPosting(key, id, position, document) {
+    if (!this.postings.has(key)) this.postings.set(key, new Map());
+    const documents = this.postings.get(key);
+    if (!documents.has(id)) documents.set(id, []);
+    documents.get(id).push(position);
+    document.keys.add(key);
+  }
+
+  /**
+   * @private
+   */
+  removeDocument(id) {
+    const document = this.documents.get(id);
+    if (!document) return;
+
+    document.keys.forEach(key => {
+      const documents = this.postings.get(key);
+      documents.delete(id);
+      if (documents.size === 0) this.postings.delete(key);
+    });
+    this.documents.delete(id);
+
+    const threadKey = `${document.boardId}/${document.threadId}`;
+    const threadDocuments = this.threads.get(threadKey);
+    if (threadDocuments) {
+      threadDocuments.delete(id);
+      if (threadDocuments.size === 0) this.threads.delete(threadKey);
+    }
+  }
+
+  /**
+   * Remove a thread and its posts from the index
+   * @param {string} boardId - Board identifier
+   * @param {string} threadId - Thread identifier
+   * @returns {boolean} - Whether the thread was indexed
+   */
+  removeThread(boardId, threadId) {
+    const threadDocuments = this.threads.get(`${boardId}/${threadId}`);
+    if (!threadDocuments) return false;
+
+    Array.from(threadDocuments).forEach(id => this.removeDocument(id));
+    return true;
+  }
+
+  /**
+   * Remove everything from the index
+   */
+  clear() {
+    this.documents.clear();
+    this.postings.clear();
+    this.threads.clear();
+  }
+
+  /**
+   * Positions of a query word in a document, and how many of them are
+   * exact rather than phonetic matches
+   * @private
+   */
+  wordPositions(word, id, transliterate) {
+    const exact = (this.postings.get(word) && this.postings.get(word).get(id)) || [];
+    if (!transliterate) return { positions: exact, exact: exact.length };
+
+    const phonetic = this.postings.get(PHONETIC_PREFIX + phoneticKey(word));
+    const positions = phonetic && phonetic.get(id) ? phonetic.get(id) : exact;
+    return { positions, exact: exact.length };
+  }
+
+  /**
+   * Documents that could contain a word, from the postings
+   * @private
+   */
+  candidates(word, transliterate) {
+    const key = transliterate ? PHONETIC_PREFIX + phoneticKey(word) : word;
+    return this.postings.get(key) ? Array.from(this.postings.get(key).keys()) : [];
+  }
+
+  /**
+   * Match a word sequence (a single word or a phrase) in a document
+   * @private
+   * @returns {{positions: Array<number>, exact: number}|null} - Start positions
+   *   of the matches, or null if there are none
+   */
+  matchWords(words, id, transliterate) {
+    const lists = words.map(word => this.wordPositions(word, id, transliterate));
+    if (lists.some(list => list.positions.length === 0)) return null;
+
+    if (words.length === 1) return lists[0];
+
+    const following = lists.slice(1).map(list => new Set(list.positions));
+    const positions = lists[0].positions.filter(start =>
+      following.every((set, offset) => set.has(start + offset + 1)));
+    if (positions.length === 0) return null;
+
+    return { positions, exact: Math.min(...lists.map(list => list.exact)) };
+  }
+
+  /**
+   * Search the index
+   * @param {string} query - Query, see the syntax above
+   * @param {Object} [options]
+   * @param {string|Array<string>} [options.boards] - Only posts from these boards
+   * @param {boolean} [options.opOnly=false] - Only original posts
+   * @param {number} [options.since] - Only posts made at or after this time (ms)
+   * @param {number} [options.until] - Only posts made at or before this time (ms)
+   * @param {boolean} [options.transliterate] - Match across scripts; defaults to
+   *   the index setting and has no effect on an index built without it
+   * @param {number} [options.limit=50] - Maximum number of results
+   * @param {number} [options.offset=0] - Results to skip, for paging
+   * @returns {Array<Object>} - Results, best first
+   */
+  search(query, options = {}) {
+    const { clauses, boards: queryBoards } = parseQuery(query);
+    const transliterate = this.transliterate && options.transliterate !== false;
+    const boards = queryBoards.concat(options.boards || []);
+    const limit = options.limit !== undefined ? options.limit : 50;
+    const offset = options.offset || 0;
+
+    const positive = clauses.filter(clause => !clause.negated);
+    const negative = clauses.filter(clause => clause.negated);
+    if (positive.length === 0) return [];
+
+    // Only documents matching the first clause can match the query
+    const candidateIds = new Set();
+    positive[0].alternatives.forEach(words => {
+      this.candidates(words[0], transliterate).forEach(id => candidateIds.add(id));
+    });
+
+    const results = [];
+    candidateIds.forEach(id => {
+      const document = this.documents.get(id);
+      if (boards.length && !boards.includes(document.boardId)) return;
+      if (options.opOnly && !document.isOp) return;
+      if (document.timestamp) {
+        if (options.since !== undefined && options.since !== null && document.timestamp < options.since) return;
+        if (options.until !== undefined && options.until !== null && document.timestamp > options.until) return;
+      }
+
+      if (negative.some(clause => clause.alternatives.some(words => this.matchWords(words, id, transliterate)))) return;
+
+      let score = 0;
+      const matchedRanges = [];
+      for (const clause of positive) {
+        let clauseMatched = false;
+        clause.alternatives.forEach(words => {
+          const match = this.matchWords(words, id, transliterate);
+          if (!match) return;
+          clauseMatched = true;
+
+          // Rare words count for more; phonetic-only matches count half
+          const documentCount = this.candidates(words[0], transliterate).length;
+          const weight = Math.log(1 + this.documents.size / documentCount) * words.length;
+          const exactShare = match.exact > 0 ? 1 : 0.5;
+          score += weight * exactShare * Math.log(1 + match.positions.length);
+
+          match.positions.forEach(start => {
+            matchedRanges.push({
+              start: document.offsets[start][0],
+              end: document.offsets[start + words.length - 1][1]
+            });
+          });
+        });
+        if (!clauseMatched) return;
+      }
+
+      results.push({ document, score, matchedRanges });
+    });
+
+    return results
+      .sort((a, b) => b.score - a.score || (b.document.timestamp || 0) - (a.document.timestamp || 0))
+      .slice(offset, offset + limit)
+      .map(({ document, score, matchedRanges }) => ({
+        boardId: document.boardId,
+        threadId: document.threadId,
+        postId: document.postId,
+        isOp: document.isOp,
+        title: document.title,
+        snippet: snippet(document.text, matchedRanges),
+        timestamp: document.timestamp,
+        url: document.url,
+        score: Math.round(score * 1000) / 1000
+      }));
+  }
+
+  /**
+   * Serializable form of the index. Only the posts are stored; the
+   * postings are rebuilt on load.
+   * @returns {Object}
+   */
+  toJSON() {
+    return {
+      version: INDEX_VERSION,
+      transliterate: this.transliterate,
+      documents: Array.from(this.documents.values()).map(document => ({
+        boardId: document.boardId,
+        threadId: document.threadId,
+        postId: document.postId,
+        isOp: document.isOp,
+        title: document.title,
+        text: document.text,
+        timestamp: document.timestamp,
+        url: document.url,
+        complete: document.complete
+      }))
+    };
+  }
+
+  /**
+   * Restore an index from toJSON() output
+   * @param {Object|string} data - Index, as an object or JSON string
+   * @param {Object} [options] - Same options as the constructor
+   * @returns {SearchIndex}
+   */
+  static fromJSON(data, options = {}) {
+    const saved = typeof data === 'string' ? JSON.parse(data) : data;
+    if (!saved || saved.version !== INDEX_VERSION) {
+      throw new Error('Unsupported search index version');
+    }
+
+    const index = new SearchIndex({ transliterate: saved.transliterate, ...options });
+    saved.documents.forEach(document => {
+      // The stored text already starts with the title for OPs
+      index.addDocument({
+        boardId: document.boardId,
+        threadId: document.threadId,
+        postId: document.postId,
+        isOp: document.isOp,
+        title: '',
+        threadUrl: '',
+        complete: document.complete,
+        post: { text: document.text, timestamp: document.timestamp }
+      });
+      Object.assign(index.documents.get(`${document.boardId}/${document.postId}`), {
+        title: document.title,
+        url: document.url
+      });
+    });
+    return index;
+  }
+}
+
+/**
+ * Cut a snippet around the first match, with match ranges relative to it
+ * @private
+ * @param {string} text - Document text
+ * @param {Array<{start: number, end: number}>} ranges - Matches in the text
+ * @returns {{text: string, matches: Array<{start: number, end: number}>}}
+ */
+function snippet(text, ranges) {
+  const sorted = ranges.slice().sort((a, b) => a.start - b.start);
+  const first = sorted.length ? sorted[0].start : 0;
+
+  // Keep some context before the first match, starting at a word boundary
+  let start = Math.max(0, first - SNIPPET_LENGTH / 4);
+  if (start > 0) {
+    const space = text.lastIndexOf(' ', start);
+    start = space > first - SNIPPET_LENGTH / 2 && space >= 0 ? space + 1 : start;
+  }
+  const end = Math.min(text.length, start + SNIPPET_LENGTH);
+
+  const prefix = start > 0 ? '…' : '';
+  const suffix = end < text.length ? '…' : '';
+  const matches = [];
+  sorted.forEach(range => {
+    if (range.start < start || range.end > end) return;
+    const shifted = { start: range.start - start + prefix.length, end: range.end - start + prefix.length };
+    const last = matches[matches.length - 1];
+    if (last && shifted.start <= last.end) {
+      last.end = Math.max(last.end, shifted.end);
+    } else {
+      matches.push(shifted);
+    }
+  });
+
+  return { text: prefix + text.slice(start, end).replace(/\s/g, ' ') + suffix, matches };
+}
+
+module.exports = SearchIndex;
+module.exports.tokenize = tokenize;
+module.exports.normalizeWord = normalizeWord;
+module.exports.phoneticKey = phoneticKey;
@@ -0,0 +1,129 @@
+/**
+ * BharatChan selector profiles
+ * A profile describes where a site keeps its pages and how to find things
+ * in them, so that a markup change on the site only needs a new profile
+ * instead of a code release. Profiles are plain JSON; the bundled ones live
+ * in profiles/.
+ *
+ * Profile:
+ * {
+ *   name: string,       // Profile name (e.g., "bharatchan")
+ *   version: number,    // Profile format version, must equal PROFILE_VERSION
+ *   paths: Object,      // URL templates with {boardId}, {threadId}, {page},
+ *                       // {pageIndex} (page - 1) and {query} placeholders; null
+ *                       // marks an unsupported page, and a "<name>First"
+ *                       // template, if present, is used for page 1
+ *   patterns: Object,   // Regular expression sources, matched case-insensitively
+ *   selectors: Object,  // Selector chains, tried in order until one matches
+ *   searchParams: Object, // Query parameter names for the page, boards, since,
+ *                       // until and opOnly search options; null or a missing
+ *                       // name means the site cannot filter by it
+ *   fields: Object,     // Form field names used when posting
+ *   boards: {
+ *     common: Array<string>, // Board IDs to offer when the homepage lists none
+ *     known: Array<string>,  // Board IDs always added to the parsed list
+ *     fallback: Array<Board> // Boards returned when the homepage cannot be fetched
+ *   }
+ * }
+ *
+ * Profiles are loaded on top of the bundled bharatchan profile: objects are
+ * merged key by key, while arrays and other values replace the default.
+ * A partial profile such as
+ *   { "selectors": { "thread": { "replies": [".reply"] } } }
+ * therefore only changes the reply selectors.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const PROFILE_VERSION = 1;
+
+const DEFAULT_PROFILE_FILE = path.join(__dirname, 'profiles', 'bharatchan.json');
+
+/**
+ * @private
+ */
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * Merge a profile over a base profile
+ * @param {Object} base - Base profile
+ * @param {Object} override - Profile whose values take precedence
+ * @returns {Object} - New merged profile
+ */
+function mergeProfile(base, override) {
+  const merged = { ...base };
+
+  Object.keys(override || {}).forEach(key => {
+    merged[key] = isPlainObject(base[key]) && isPlainObject(override[key])
+      ? mergeProfile(base[key], override[key])
+      : override[key];
+  });
+
+  return merged;
+}
+
+/**
+ * Read a profile given as an object, a JSON string or a path to a JSON file
+ * @private
+ */
+function readProfile(source) {
+  if (isPlainObject(source)) return source;
+
+  if (typeof source !== 'string') {
+    throw new Error('A profile must be an object, a JSON string or a file path');
+  }
+
+  const text = source.trim().startsWith('{') ? source : fs.readFileSync(source, 'utf8');
+  return JSON.parse(text);
+}
+
+/**
+ * The bundled bharatchan profile
+ * @returns {Object} - Fresh copy, safe to modify
+ */
+function defaultProfile() {
+  return JSON.parse(fs.readFileSync(DEFAULT_PROFILE_FILE, 'utf8'));
+}
+
+/**
+ * Load a profile and merge it over a base profile
+ * @param {Object|string} [source] - Profile object, JSON string or file path;
+ *   omit for the bundled bharatchan profile
+ * @param {Object} [base] - Profile to merge over, defaults to the bharatchan profile
+ * @returns {Object} - Complete profile
+ */
+function loadProfile(source, base = defaultProfile()) {
+  if (source === undefined || source === null) return base;
+
+  const profile = readProfile(source);
+  if (profile.version !== undefined && profile.version !== PROFILE_VERSION) {
+    throw new Error(`Unsupported profile version ${profile.version} (expected ${PROFILE_VERSION})`);
+  }
+
+  return mergeProfile(base, profile);
+}
+
+/**
+ * Fill the {placeholders} of a path or selector template
+ * @param {string} template - Template
+ * @param {Object} params - Placeholder values
+ * @param {boolean} [encode=false] - URI-encode the values, for paths
+ * @returns {string}
+ */
+function fillTemplate(template, params, encode = false) {
+  return template.replace(/\{(\w+)\}/g, (placeholder, name) => {
+    if (params[name] === undefined || params[name] === null) return '';
+    return encode ? encodeURIComponent(String(params[name])) : String(params[name]);
+  });
+}
+
+module.exports = {
+  PROFILE_VERSION,
+  loadProfile,
+  mergeProfile,
+  defaultProfile,
+  fillTemplate
+};
@@ -0,0 +1,131 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { CookieJar, CookieSessions, parseSetCookie } = require('../cookie-jar');
+
+const NOW = Date.UTC(2024, 0, 1);
+
+test('parseSetCookie keeps everything after the first = and reads attributes', () => {
+  const cookie = parseSetCookie('token=a=b=c; Path=/board; Domain=.Example.com; Secure; HttpOnly; SameSite=lax; Foo=bar', NOW);
+  assert.equal(cookie.name, 'token');
+  assert.equal(cookie.value, 'a=b=c');
+  assert.equal(cookie.path, '/board');
+  assert.equal(cookie.domain, 'example.com');
+  assert.equal(cookie.secure, true);
+  assert.equal(cookie.httpOnly, true);
+  assert.equal(cookie.sameSite, 'Lax');
+});
+
+test('parseSetCookie ignores headers without a name or =', () => {
+  assert.equal(parseSetCookie('novalue', NOW), null);
+  assert.equal(parseSetCookie('=value', NOW), null);
+});
+
+test('parseSetCookie reads Max-Age relative to now and drops a relative Path', () => {
+  const cookie = parseSetCookie('a=1; Max-Age=60; Path=relative', NOW);
+  assert.equal(cookie.maxAge, NOW + 60000);
+  assert.equal(cookie.path, null);
+  assert.equal(parseSetCookie('a=1; Max-Age=-5', NOW).maxAge, 0);
+});
+
+test('Max-Age wins over Expires', () => {
+  const jar = new CookieJar();
+  jar.setCookie('a=1; Expires=Wed, 01 Jan 2020 00:00:00 GMT; Max-Age=60', 'https://example.com/', NOW);
+  assert.equal(jar.list()[0].expires, NOW + 60000);
+});
+
+test('host-only cookies do not reach subdomains', () => {
+  const jar = new CookieJar();
+  jar.setCookie('a=1', 'https://example.com/', NOW);
+  assert.equal(jar.getCookieHeader('https://example.com/', NOW), 'a=1');
+  assert.equal(jar.getCookieHeader('https://www.example.com/', NOW), '');
+});
+
+test('a Domain attribute widens a cookie to subdomains', () => {
+  const jar = new CookieJar();
+  jar.setCookie('a=1; Domain=example.com', 'https://www.example.com/', NOW);
+  assert.equal(jar.getCookieHeader('https://example.com/', NOW), 'a=1');
+  assert.equal(jar.getCookieHeader('https://img.example.com/', NOW), 'a=1');
+  assert.equal(jar.getCookieHeader('https://notexample.com/', NOW), '');
+});
+
+test('a Domain the host is not inside, or a bare TLD, is rejected', () => {
+  const jar = new CookieJar();
+  assert.equal(jar.setCookie('a=1; Domain=other.com', 'https://example.com/', NOW), false);
+  assert.equal(jar.setCookie('a=1; Domain=com', 'https://example.com/', NOW), false);
+  assert.equal(jar.list().length, 0);
+});
+
+test('the default path is the directory of the setting URL', () => {
+  const jar = new CookieJar();
+  jar.setCookie('a=1', 'https://example.com/board/b/thread', NOW);
+  assert.equal(jar.list()[0].path, '/board/b');
+  assert.equal(jar.getCookieHeader('https://example.com/board/b/thread/1', NOW), 'a=1');
+  assert.equal(jar.getCookieHeader('https://example.com/board/bb', NOW), '');
+  assert.equal(jar.getCookieHeader('https://example.com/', NOW), '');
+});
+
+test('cookies are sent most specific path first', () => {
+  const jar = new CookieJar();
+  jar.setCookie('a=root; Path=/', 'https://example.com/', NOW);
+  jar.setCookie('a=board; Path=/board', 'https://example.com/', NOW + 1);
+  assert.equal(jar.getCookieHeader('https://example.com/board/x', NOW + 2), 'a=board; a=root');
+});
+
+test('secure cookies go to https URLs only', () => {
+  const jar = new CookieJar();
+  jar.setCookie('a=1; Secure', 'https://example.com/', NOW);
+  assert.equal(jar.getCookieHeader('http://example.com/', NOW), '');
+  assert.equal(jar.getCookieHeader('https://example.com/', NOW), 'a=1');
+});
+
+test('an expiry in the past deletes the cookie', () => {
+  const jar = new CookieJar();
+  jar.setCookie('a=1', 'https://example.com/', NOW);
+  assert.equal(jar.setCookie('a=gone; Max-Age=0', 'https://example.com/', NOW), true);
+  assert.equal(jar.list().length, 0);
+});
+
+test('expired cookies are not sent', () => {
+  const jar = new CookieJar();
+  jar.setCookie('a=1; Max-Age=10', 'https://example.com/', NOW);
+  assert.equal(jar.getCookieHeader('https://example.com/', NOW + 5000), 'a=1');
+  assert.equal(jar.getCookieHeader('https://example.com/', NOW + 10000), '');
+});
+
+test('a replaced cookie keeps its creation time', () => {
+  const jar = new CookieJar();
+  jar.setCookie('a=1', 'https://example.com/', NOW);
+  jar.setCookie('a=2', 'https://example.com/', NOW + 1000);
+  const [cookie] = jar.list();
+  assert.equal(cookie.value, '2');
+  assert.equal(cookie.creation, NOW);
+});
+
+test('sessions keep their cookies apart and survive a save and load', async () => {
+  const sessions = new CookieSessions();
+  sessions.get('alice').setCookie('id=a', 'https://example.com/');
+  sessions.get('bob').setCookie('id=b', 'https://example.com/');
+
+  const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'cookie-jar-'));
+  const file = path.join(directory, 'nested', 'cookies.json');
+  try {
+    await sessions.save(file);
+    const restored = new CookieSessions();
+    await restored.load(file);
+    assert.deepEqual(restored.names().sort(), ['alice', 'bob']);
+    assert.equal(restored.get('alice').getCookieHeader('https://example.com/'), 'id=a');
+    assert.equal(restored.get('bob').getCookieHeader('https://example.com/'), 'id=b');
+  } finally {
+    fs.rmSync(directory, { recursive: true, force: true });
+  }
+});
+
+test('loading a missing file leaves the sessions as they are', async () => {
+  const sessions = new CookieSessions();
+  sessions.get().setCookie('a=1', 'https://example.com/');
+  await sessions.load(path.join(os.tmpdir(), 'does-not-exist', 'cookies.json'));
+  assert.equal(sessions.get().getCookieHeader('https://example.com/'), 'a=1');
+});
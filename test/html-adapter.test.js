@@ -0,0 +1,160 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+const HtmlAdapter = require('../html-adapter');
+
+const context = { baseURL: 'https://bharatchan.com' };
+const adapter = new HtmlAdapter();
+
+const threadPage = `<html><head><title>Test thread - /b/</title></head><body>
+<div class="thread" id="thread-100">
+ <div class="post op" data-id="100">
+  <div class="file"><span class="file-info"><a class="file-name" href="/media/abc.png" download="cat.png">cat.png</a> (1.5 MB, 1920x1080)</span>
+   <a href="/media/abc.png"><img src="/media/thumb/abc.jpg"></a></div>
+  <span class="subject">Test thread</span> <span class="name">Anonymous</span> <span class="tripcode">!!Abc123</span>
+  <span class="poster-id">ID: a1B2c3</span> <img class="flag flag-in" src="/flags/in.png" title="India">
+  <time datetime="2024-05-01T10:00:00Z">05/01/24</time>
+  <div class="post-body">Hello <a href="#101">&gt;&gt;101</a><br>&gt;greentext</div>
+ </div>
+ <div class="post reply" data-id="101">
+  <span class="name">Bob</span><span class="post-time" data-utc="1714557700">x</span>
+  <div class="post-body"><a class="quote" href="/board/b/thread/100#100">&gt;&gt;100</a> yes <a href="/board/b/thread/100#99">&gt;&gt;99</a> <a href="/board/pol/thread/5">&gt;&gt;&gt;/pol/5</a></div>
+ </div>
+ <div class="post reply" data-id="102"><span class="name">Anonymous</span><div class="post-body">&gt;&gt;101 <a href="/board/b/thread/77#78">&gt;&gt;78</a></div></div>
+</div></body></html>`;
+
+const pagination = '<div class="pagination"><a href="?page=1">1</a><a href="?page=2">2</a></div>';
+
+test('parseThread reads the OP, its file and flag, and the replies', () => {
+  const thread = adapter.parseThread(threadPage, 'b', '100', context);
+
+  assert.equal(thread.id, '100');
+  assert.equal(thread.title, 'Test thread');
+  assert.equal(thread.url, 'https://bharatchan.com/board/b/thread/100');
+  assert.equal(thread.op.name, 'Anonymous');
+  assert.equal(thread.op.tripcode, '!!Abc123');
+  assert.equal(thread.op.posterId, 'a1B2c3');
+  assert.equal(thread.op.timestamp, Date.parse('2024-05-01T10:00:00Z'));
+  assert.deepEqual(thread.op.flag, { code: 'in', name: 'India', url: 'https://bharatchan.com/flags/in.png' });
+  assert.deepEqual(thread.op.file, {
+    name: 'cat.png',
+    size: 1.5 * 1024 * 1024,
+    width: 1920,
+    height: 1080,
+    thumbnailUrl: 'https://bharatchan.com/media/thumb/abc.jpg',
+    url: 'https://bharatchan.com/media/abc.png',
+    md5: null
+  });
+  assert.equal(thread.imageUrl, 'https://bharatchan.com/media/abc.png');
+
+  assert.deepEqual(thread.posts.map(post => post.id), ['101', '102']);
+  assert.equal(thread.posts[0].name, 'Bob');
+  assert.equal(thread.posts[0].timestamp, 1714557700000);
+  assert.equal(thread.posts[0].file, null);
+});
+
+test('parseThread resolves quotes and builds backlinks', () => {
+  const thread = adapter.parseThread(threadPage, 'b', '100', context);
+  const [bob, last] = thread.posts;
+
+  assert.deepEqual(bob.quotes, [
+    { postId: '100', threadId: '100', boardId: 'b', crossThread: false, crossBoard: false, missing: false },
+    { postId: '99', threadId: '100', boardId: 'b', crossThread: false, crossBoard: false, missing: true },
+    { postId: '5', threadId: '5', boardId: 'pol', crossThread: true, crossBoard: true, missing: false }
+  ]);
+  assert.ok(last.quotes.some(quote => quote.postId === '78' && quote.threadId === '77' && quote.crossThread));
+  assert.ok(last.quotes.some(quote => quote.postId === '101' && !quote.crossThread));
+
+  assert.deepEqual(thread.op.backlinks, ['101']);
+  assert.deepEqual(bob.backlinks, ['100', '102']);
+  assert.deepEqual(last.backlinks, []);
+});
+
+test('parseThreads reads catalog entries and pagination', () => {
+  const entry = (id, replies) => `<div class="thread" data-id="${id}"><h3 class="thread-title">T${id}</h3>` +
+    `<div class="thread-text">x</div><span class="reply-count">${replies}</span><img src="/i.jpg">` +
+    '<time datetime="2024-01-03T00:00:00Z">t</time></div>';
+  const threads = adapter.parseThreads(`<html><body>${entry(1, 5)}${entry(2, 50)}${pagination}</body></html>`, 'b', { ...context, page: 1 });
+
+  assert.deepEqual(threads.map(thread => [thread.id, thread.title, thread.replyCount]), [['1', 'T1', 5], ['2', 'T2', 50]]);
+  assert.equal(threads[0].imageUrl, 'https://bharatchan.com/i.jpg');
+  assert.equal(threads[0].timestamp, Date.parse('2024-01-03T00:00:00Z'));
+  assert.equal(threads[0].url, 'https://bharatchan.com/board/b/thread/1');
+  assert.equal(threads.page, 1);
+  assert.equal(threads.pageCount, 2);
+  assert.equal(threads.hasNextPage, true);
+});
+
+test('parseBoardIndex counts omitted posts into the reply count', () => {
+  const page = '<html><body><div class="thread" id="thread-300">' +
+    '<div class="post op-post" data-id="300"><span class="subject">Idx</span><div class="post-text">OP body</div></div>' +
+    '<div class="omitted">12 posts and 3 images omitted</div>' +
+    `<div class="post reply" data-id="310"><div class="post-text">&gt;&gt;300 hi</div></div></div>${pagination}</body></html>`;
+  const [thread] = adapter.parseBoardIndex(page, 'b', { ...context, page: 1 });
+
+  assert.equal(thread.id, '300');
+  assert.equal(thread.title, 'Idx');
+  assert.equal(thread.omittedPosts, 12);
+  assert.equal(thread.omittedImages, 3);
+  assert.equal(thread.replyCount, 13);
+  assert.deepEqual(thread.previewPosts.map(post => post.id), ['310']);
+  assert.deepEqual(thread.op.backlinks, ['310']);
+});
+
+test('parseError reads notices on error pages', () => {
+  assert.deepEqual(adapter.parseError('<div class="error-message">You are posting too fast</div>'),
+    { message: 'You are posting too fast', banReason: '', banned: false });
+  assert.deepEqual(adapter.parseError('<div class="ban-message">Spam</div>'),
+    { message: '', banReason: 'Spam', banned: true });
+  assert.equal(adapter.parseError('<div class="error">You are banned</div>').banned, true);
+});
+
+test('parseError reads notices on a re-shown thread page but not inside posts', () => {
+  const page = '<div class="error-message">Duplicate file</div>' +
+    '<div class="post reply" data-id="1"><div class="post-body">I got banned lol <span class="banned">x</span></div>' +
+    '<span class="error">not a notice</span></div>';
+  assert.deepEqual(adapter.parseError(page), { message: 'Duplicate file', banReason: '', banned: false });
+
+  const postsOnly = '<div class="post reply" data-id="1"><div class="post-body"><span class="error">I got banned</span></div></div>';
+  assert.deepEqual(adapter.parseError(postsOnly), { message: '', banReason: '', banned: false });
+});
+
+test('parsePostForm reads fields, the file input and the CSRF token', () => {
+  const form = adapter.parsePostForm('<form id="postForm" action="/board/b/thread/1/reply" method="post" enctype="multipart/form-data">' +
+    '<input type="hidden" name="_csrf" value="tok"><input name="name"><textarea name="text" required></textarea>' +
+    '<input type="file" name="image" accept="image/png,image/jpeg"></form>', { boardId: 'b', threadId: '1' });
+
+  assert.deepEqual(form.fields, { _csrf: 'tok', name: '', text: '' });
+  assert.deepEqual(form.fileFields, ['image']);
+  assert.deepEqual(form.required, ['text']);
+  assert.deepEqual(form.accept, ['image/png', 'image/jpeg']);
+  assert.equal(form.captcha, null);
+});
+
+test('parsePostResult follows the redirect to the new post', () => {
+  const result = adapter.parsePostResult('<html><head><meta http-equiv="refresh" content="0;url=/board/b/thread/12#p34"></head></html>', { boardId: 'b' });
+  assert.equal(result.threadId, '12');
+  assert.equal(result.postId, '34');
+  assert.equal(result.banned, false);
+  assert.equal(result.formShown, false);
+});
+
+test('thread and post IDs come from URLs', () => {
+  assert.equal(adapter.threadIdFromUrl('/board/b/thread/123#456'), '123');
+  assert.equal(adapter.postIdFromUrl('/board/b/thread/123#456'), '456');
+  assert.equal(adapter.postIdFromUrl('/board/b'), null);
+  assert.equal(adapter.threadIdFromUrl(null), null);
+});
+
+test('a profile file changes paths and selectors', () => {
+  const vichan = new HtmlAdapter(path.join(__dirname, '..', 'profiles', 'vichan.json'));
+  const page = '<html><body><div id="thread_9"><div class="post op" id="op_9"><span class="subject">V</span><div class="body">op</div></div>' +
+    '<span class="omitted">5 posts omitted.</span><div class="post reply" id="reply_10"><div class="body">r</div></div></div></body></html>';
+  const [thread] = vichan.parseBoardIndex(page, 'b', { ...context, page: 1 });
+
+  assert.equal(thread.id, '9');
+  assert.equal(thread.title, 'V');
+  assert.equal(thread.replyCount, 6);
+  assert.deepEqual(thread.previewPosts.map(post => post.id), ['10']);
+  assert.equal(vichan.supports('catalog'), true);
+});
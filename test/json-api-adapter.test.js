@@ -0,0 +1,90 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const JsonApiAdapter = require('../json-api-adapter');
+const { ParseError } = require('../errors');
+
+const context = { baseURL: 'https://bharatchan.com' };
+const adapter = new JsonApiAdapter();
+
+const thread = {
+  posts: [
+    { no: 1, sub: 'S &amp; T', com: 'hi<br>there', time: 10, tim: 1700, ext: '.png', filename: 'cat', fsize: 5, w: 2, h: 3, country: 'IN', country_name: 'India', closed: 1 },
+    { no: 2, com: '<a href="#p1" class="quotelink">&gt;&gt;1</a> yo' }
+  ]
+};
+
+test('parseThread reads posts, files and flags from JSON', () => {
+  const parsed = adapter.parseThread(JSON.stringify(thread), 'b', '1', context);
+
+  assert.equal(parsed.title, 'S & T');
+  assert.equal(parsed.locked, true);
+  assert.equal(parsed.sticky, false);
+  assert.equal(parsed.url, 'https://bharatchan.com/b/res/1.html');
+  assert.equal(parsed.op.text, 'hi\nthere');
+  assert.equal(parsed.op.timestamp, 10000);
+  assert.deepEqual(parsed.op.file, {
+    name: 'cat.png',
+    size: 5,
+    width: 2,
+    height: 3,
+    thumbnailUrl: 'https://bharatchan.com/b/thumb/1700.png',
+    url: 'https://bharatchan.com/b/src/1700.png',
+    md5: null
+  });
+  assert.deepEqual(parsed.op.flag, { code: 'in', name: 'India', url: 'https://bharatchan.com/static/flags/in.png' });
+});
+
+test('parseThread resolves quotes and builds backlinks', () => {
+  const parsed = adapter.parseThread(thread, 'b', '1', context);
+  const [reply] = parsed.posts;
+
+  assert.equal(reply.text, '>>1 yo');
+  assert.deepEqual(reply.quotes, [
+    { postId: '1', threadId: '1', boardId: 'b', crossThread: false, crossBoard: false, missing: false }
+  ]);
+  assert.deepEqual(parsed.op.backlinks, ['2']);
+});
+
+test('media URLs use mediaURL when set', () => {
+  const cdn = new JsonApiAdapter({ mediaURL: 'https://media.example.com' });
+  const parsed = cdn.parseThread(thread, 'b', '1', context);
+  assert.equal(parsed.op.file.url, 'https://media.example.com/b/src/1700.png');
+});
+
+test('parseThread rejects invalid JSON and empty threads', () => {
+  assert.throws(() => adapter.parseThread('nope', 'b', '1', context), ParseError);
+  assert.throws(() => adapter.parseThread('{"posts":[]}', 'b', '1', context), /Could not find thread 1/);
+});
+
+test('parseBoardIndex reads omitted counts', () => {
+  const page = { threads: [{ posts: [{ no: 1, com: 'a', replies: 7, omitted_posts: 6, omitted_images: 1, time: 1 }, { no: 2, com: '<a href="#p1">&gt;&gt;1</a>' }] }] };
+  const [parsed] = adapter.parseBoardIndex(page, 'b', { ...context, page: 1 });
+
+  assert.equal(parsed.id, '1');
+  assert.equal(parsed.replyCount, 7);
+  assert.equal(parsed.omittedPosts, 6);
+  assert.equal(parsed.omittedImages, 1);
+  assert.deepEqual(parsed.op.backlinks, ['2']);
+});
+
+test('parseError reads JSON errors and page notices outside posts', () => {
+  assert.deepEqual(adapter.parseError({ error: 'Flood detected' }), { message: 'Flood detected', banReason: '', banned: false });
+  assert.deepEqual(adapter.parseError({ error: 'Spam', banned: true }), { message: 'Spam', banReason: 'Spam', banned: true });
+  assert.deepEqual(adapter.parseError('<h2>Error</h2><div class="post"><h2>banned</h2></div>'),
+    { message: 'Error', banReason: '', banned: false });
+});
+
+test('parsePostForm adds the board, thread and json_response fields', () => {
+  const form = adapter.parsePostForm('<form name="post"><input type="hidden" name="hash" value="h"><textarea name="body"></textarea></form>',
+    { boardId: 'b', threadId: '5' });
+  assert.deepEqual(form.fields, { hash: 'h', body: '', board: 'b', thread: '5', json_response: '1' });
+  assert.equal(form.captcha, null);
+});
+
+test('parsePostResult reads the redirect of a JSON answer', () => {
+  const result = adapter.parsePostResult({ redirect: '/b/res/5.html#7' }, {});
+  assert.equal(result.threadId, '5');
+  assert.equal(result.postId, '7');
+  assert.equal(adapter.threadIdFromUrl('/b/res/5.html#q7'), '5');
+  assert.equal(adapter.postIdFromUrl('/b/res/5.html#q7'), '7');
+});
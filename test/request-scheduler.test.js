@@ -0,0 +1,142 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const RequestScheduler = require('../request-scheduler');
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+test('a host gets burst requests back to back, then one per interval', async () => {
+  const scheduler = new RequestScheduler({ interval: 100, burst: 2, concurrency: 5 });
+  const started = Date.now();
+  const times = [];
+  await Promise.all([1, 2, 3].map(() => scheduler.schedule('a').then(release => {
+    times.push(Date.now() - started);
+    release();
+  })));
+
+  assert.ok(times[0] < 50 && times[1] < 50, `first two waited ${times}`);
+  assert.ok(times[2] >= 90, `third went out after ${times[2]}ms`);
+});
+
+test('hosts have separate buckets', async () => {
+  const scheduler = new RequestScheduler({ interval: 1000 });
+  (await scheduler.schedule('a'))();
+
+  const started = Date.now();
+  (await scheduler.schedule('b'))();
+  assert.ok(Date.now() - started < 50);
+  assert.equal(scheduler.stats().queued.normal, 0);
+});
+
+test('no more than concurrency requests are in flight', async () => {
+  const scheduler = new RequestScheduler({ interval: 0, concurrency: 1 });
+  const release = await scheduler.schedule('a');
+
+  let second = false;
+  const pending = scheduler.schedule('a').then(next => {
+    second = true;
+    next();
+  });
+  await sleep(20);
+  assert.equal(second, false);
+  assert.equal(scheduler.stats().active, 1);
+
+  release();
+  await pending;
+  assert.equal(second, true);
+});
+
+test('queued requests go out highest priority first', async () => {
+  const scheduler = new RequestScheduler({ interval: 0, concurrency: 1 });
+  const release = await scheduler.schedule('a');
+
+  const order = [];
+  const queued = ['low', 'normal', 'high', 'bogus'].map(priority => scheduler.schedule('a', priority).then(next => {
+    order.push(priority);
+    next();
+  }));
+  assert.deepEqual(scheduler.stats().queued, { high: 1, normal: 2, low: 1 });
+
+  release();
+  await Promise.all(queued);
+  // Unknown priorities queue as normal
+  assert.deepEqual(order, ['high', 'normal', 'bogus', 'low']);
+});
+
+test('releasing a slot twice frees it once', async () => {
+  const scheduler = new RequestScheduler({ interval: 0, concurrency: 2 });
+  const release = await scheduler.schedule('a');
+  (await scheduler.schedule('b'));
+  release();
+  release();
+  assert.equal(scheduler.stats().active, 1);
+});
+
+test('aborting a queued request removes it and rejects with the reason', async () => {
+  const scheduler = new RequestScheduler({ interval: 0, concurrency: 1 });
+  const release = await scheduler.schedule('a');
+
+  const controller = new AbortController();
+  const queued = scheduler.schedule('a', 'normal', controller.signal);
+  controller.abort(new Error('cancelled'));
+  await assert.rejects(queued, /cancelled/);
+  assert.equal(scheduler.stats().queued.normal, 0);
+  release();
+
+  const aborted = new AbortController();
+  aborted.abort(new Error('already'));
+  await assert.rejects(scheduler.schedule('a', 'normal', aborted.signal), /already/);
+});
+
+test('a penalized host waits out the block while other hosts go on', async () => {
+  const scheduler = new RequestScheduler({ interval: 0, concurrency: 5 });
+  scheduler.penalize('a', 100);
+  assert.ok(scheduler.stats().hosts.a.blockedFor > 50);
+
+  const started = Date.now();
+  (await scheduler.schedule('b'))();
+  assert.ok(Date.now() - started < 50);
+
+  (await scheduler.schedule('a'))();
+  assert.ok(Date.now() - started >= 90);
+});
+
+test('penalties grow on pushback and shrink on success', () => {
+  const scheduler = new RequestScheduler({ interval: 200, maxRetryDelay: 1000 });
+  scheduler.penalize('a', 0);
+  assert.equal(scheduler.stats().hosts.a.penalty, 200);
+  scheduler.penalize('a', 0);
+  scheduler.penalize('a', 0);
+  scheduler.penalize('a', 0);
+  assert.equal(scheduler.stats().hosts.a.penalty, 1000);
+
+  scheduler.relax('a');
+  assert.equal(scheduler.stats().hosts.a.penalty, 500);
+  for (let i = 0; i < 4; i++) scheduler.relax('a');
+  assert.equal(scheduler.stats().hosts.a.penalty, 0);
+});
+
+test('retryDelay gives up after maxRetries and on long Retry-After values', () => {
+  const scheduler = new RequestScheduler({ maxRetries: 2, maxRetryDelay: 5000 });
+  assert.equal(scheduler.retryDelay(3, null), null);
+  assert.equal(scheduler.retryDelay(1, 6000), null);
+});
+
+test('retryDelay honours Retry-After with a little jitter', () => {
+  const scheduler = new RequestScheduler();
+  for (let i = 0; i < 20; i++) {
+    const delay = scheduler.retryDelay(1, 2000);
+    assert.ok(delay >= 2000 && delay <= 2200, `delay ${delay}`);
+  }
+});
+
+test('retryDelay backs off exponentially up to maxRetryDelay', () => {
+  const scheduler = new RequestScheduler({ baseRetryDelay: 1000, maxRetryDelay: 3000, maxRetries: 5 });
+  for (let i = 0; i < 20; i++) {
+    const first = scheduler.retryDelay(1, null);
+    const third = scheduler.retryDelay(3, null);
+    const fifth = scheduler.retryDelay(5, null);
+    assert.ok(first >= 500 && first <= 1000, `first ${first}`);
+    assert.ok(third >= 1500 && third <= 3000, `third ${third}`);
+    assert.ok(fifth >= 1500 && fifth <= 3000, `fifth ${fifth}`);
+  }
+});
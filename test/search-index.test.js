@@ -0,0 +1,132 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const SearchIndex = require('../search-index');
+const { tokenize, normalizeWord, phoneticKey } = SearchIndex;
+
+const samePhoneticKey = (a, b) => assert.equal(phoneticKey(normalizeWord(a)), phoneticKey(normalizeWord(b)), `${a} / ${b}`);
+
+test('normalizeWord folds case, accents, nukta and Devanagari digits', () => {
+  assert.equal(normalizeWord('Café'), 'cafe');
+  assert.equal(normalizeWord('ज़मीन'), 'जमीन');
+  assert.equal(normalizeWord('२०२४'), '2024');
+});
+
+test('tokenize keeps vowel signs inside words and splits on the danda', () => {
+  assert.deepEqual(tokenize('नमस्ते दुनिया। Hello!').map(token => token.word), ['नमस्ते', 'दुनिया', 'hello']);
+  assert.deepEqual(tokenize('ab cd').map(({ start, end }) => [start, end]), [[0, 2], [3, 5]]);
+});
+
+test('phonetic keys drop the final inherent vowel except in one-syllable words', () => {
+  assert.equal(phoneticKey('भारत'), 'barat');
+  assert.equal(phoneticKey('कल'), 'kal');
+  assert.equal(phoneticKey('न'), 'na');
+});
+
+test('phonetic keys drop medial inherent vowels the way Hindi does', () => {
+  assert.equal(phoneticKey('सरकार'), 'sarkar');
+  assert.equal(phoneticKey('समझदार'), 'samajdar');
+  assert.equal(phoneticKey('कमला'), 'kamla');
+  assert.equal(phoneticKey('अपना'), 'apna');
+  // No deletion next to a conjunct, an anusvara or a written vowel
+  assert.equal(phoneticKey('हमारा'), 'hamara');
+  assert.equal(phoneticKey('संसद'), 'sansad');
+  assert.equal(phoneticKey('बचपन'), 'bacpan');
+});
+
+test('Devanagari and romanized spellings share a phonetic key', () => {
+  [
+    ['sarkar', 'सरकार'], ['sarkaar', 'सरकार'], ['bharat', 'भारत'], ['bhaarat', 'भारत'],
+    ['jai', 'जय'], ['jay', 'जय'], ['chai', 'चाय'], ['chay', 'चाय'], ['hai', 'है'],
+    ['aur', 'और'], ['kya', 'क्या'], ['hindi', 'हिंदी'], ['hindee', 'हिंदी'], ['namaste', 'नमस्ते'],
+    ['pyaar', 'प्यार'], ['pyar', 'प्यार'], ['jaya', 'जया'], ['phal', 'फल'], ['fal', 'फल']
+  ].forEach(([roman, devanagari]) => samePhoneticKey(roman, devanagari));
+});
+
+test('phonetic keys fold Hinglish spelling variants', () => {
+  samePhoneticKey('wada', 'vada');
+  samePhoneticKey('zindagi', 'jindagi');
+  samePhoneticKey('khana', 'kana');
+  samePhoneticKey('accha', 'acha');
+  samePhoneticKey('shanti', 'santi');
+  samePhoneticKey('maut', 'mout');
+});
+
+test('a y before a vowel stays a consonant', () => {
+  assert.notEqual(phoneticKey('jaya'), phoneticKey('je'));
+});
+
+function thread(id, op, replies = [], board = 'b') {
+  return {
+    id,
+    board,
+    title: `Thread ${id}`,
+    url: `https://example.com/board/${board}/thread/${id}`,
+    op: { id, text: op, timestamp: 1000 },
+    posts: replies.map(([postId, text, timestamp]) => ({ id: postId, text, timestamp: timestamp || 2000 }))
+  };
+}
+
+function buildIndex(options) {
+  const index = new SearchIndex(options);
+  index.addThread(thread('1', 'modi sarkar ki nayi yojana', [['2', 'चाय पीने चलो'], ['3', 'bharat mata ki jai', 5000]]));
+  index.addThread(thread('10', 'सरकार का बजट आया', [['11', 'coffee is better than chai']], 'pol'));
+  return index;
+}
+
+const ids = results => results.map(result => `${result.boardId}/${result.postId}`).sort();
+
+test('search matches words across scripts', () => {
+  const index = buildIndex();
+  assert.deepEqual(ids(index.search('sarkar')), ['b/1', 'pol/10']);
+  assert.deepEqual(ids(index.search('chai')), ['b/2', 'pol/11']);
+  assert.deepEqual(ids(index.search('sarkar', { transliterate: false })), ['b/1']);
+  assert.deepEqual(ids(new SearchIndex({ transliterate: false }).search('sarkar')), []);
+});
+
+test('search ranks exact spellings above phonetic matches', () => {
+  const results = buildIndex().search('sarkar');
+  assert.equal(results[0].postId, '1');
+});
+
+test('search supports phrases, OR, exclusions and board filters', () => {
+  const index = buildIndex();
+  assert.deepEqual(ids(index.search('"bharat mata"')), ['b/3']);
+  assert.deepEqual(ids(index.search('"mata bharat"')), []);
+  assert.deepEqual(ids(index.search('coffee OR yojana')), ['b/1', 'pol/11']);
+  assert.deepEqual(ids(index.search('chai -coffee')), ['b/2']);
+  assert.deepEqual(ids(index.search('chai NOT coffee')), ['b/2']);
+  assert.deepEqual(ids(index.search('sarkar board:/pol/')), ['pol/10']);
+  assert.deepEqual(ids(index.search('-coffee')), []);
+});
+
+test('search filters by post type and time, and pages results', () => {
+  const index = buildIndex();
+  assert.deepEqual(ids(index.search('chai', { opOnly: true })), []);
+  assert.deepEqual(ids(index.search('ki', { since: 3000 })), ['b/3']);
+  assert.equal(index.search('ki', { limit: 1 }).length, 1);
+  assert.equal(index.search('ki', { offset: 1 }).length, 1);
+});
+
+test('results carry a snippet with the match ranges', () => {
+  const [result] = buildIndex().search('mata');
+  assert.equal(result.snippet.text, 'bharat mata ki jai');
+  assert.deepEqual(result.snippet.matches, [{ start: 7, end: 11 }]);
+  assert.equal(result.title, 'Thread 1');
+});
+
+test('board pages do not replace a thread indexed from its thread page', () => {
+  const index = buildIndex();
+  index.addThreads([{ id: '1', board: 'b', title: 'Thread 1', text: 'only the op', previewPosts: [] }]);
+  assert.deepEqual(ids(index.search('chai')), ['b/2', 'pol/11']);
+
+  index.removeThread('b', '1');
+  assert.deepEqual(ids(index.search('chai')), ['pol/11']);
+});
+
+test('an index survives a JSON round trip', () => {
+  const index = buildIndex();
+  const restored = SearchIndex.fromJSON(JSON.stringify(index));
+  assert.equal(restored.size, index.size);
+  assert.deepEqual(restored.search('sarkar'), index.search('sarkar'));
+  assert.throws(() => SearchIndex.fromJSON({ version: 0 }), /Unsupported search index version/);
+});
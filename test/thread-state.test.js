@@ -0,0 +1,47 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { encodeThreadState, decodeThreadState } = require('../thread-state');
+
+const status = { locked: false, sticky: false, archived: false };
+
+test('numeric post IDs survive a round trip, in ascending order', () => {
+  const before = Date.now();
+  const token = encodeThreadState({ boardId: 'b', threadId: '100', postIds: ['105', '101', '99999999'], status });
+  const state = decodeThreadState(token);
+
+  assert.equal(state.boardId, 'b');
+  assert.equal(state.threadId, '100');
+  assert.deepEqual(state.postIds, ['101', '105', '99999999']);
+  assert.deepEqual(state.status, status);
+  assert.ok(state.timestamp >= before && state.timestamp <= Date.now());
+});
+
+test('other post IDs are kept as they are', () => {
+  const postIds = ['abc', 'def-1', '42'];
+  assert.deepEqual(decodeThreadState(encodeThreadState({ boardId: 'b', threadId: 't', postIds, status })).postIds, postIds);
+});
+
+test('an empty thread round-trips', () => {
+  assert.deepEqual(decodeThreadState(encodeThreadState({ boardId: 'b', threadId: '1', postIds: [], status })).postIds, []);
+});
+
+test('every combination of status flags round-trips', () => {
+  for (let flags = 0; flags < 8; flags++) {
+    const flagged = { locked: Boolean(flags & 1), sticky: Boolean(flags & 2), archived: Boolean(flags & 4) };
+    assert.deepEqual(decodeThreadState(encodeThreadState({ boardId: 'b', threadId: '1', postIds: ['2'], status: flagged })).status, flagged);
+  }
+});
+
+test('tokens are URL-safe and stay short for long threads', () => {
+  const postIds = Array.from({ length: 300 }, (_, i) => String(5000000 + i * 3));
+  const token = encodeThreadState({ boardId: 'b', threadId: '5000000', postIds, status });
+  assert.match(token, /^[A-Za-z0-9_-]+$/);
+  // Deltas keep it well under the plain list of IDs
+  assert.ok(token.length < postIds.join(',').length / 2, `token is ${token.length} characters`);
+});
+
+test('malformed tokens and other versions are rejected', () => {
+  assert.throws(() => decodeThreadState('not a token'), /Invalid thread state token/);
+  const future = Buffer.from(JSON.stringify({ v: 2, b: 'b', t: '1', p: '', f: 0 })).toString('base64url');
+  assert.throws(() => decodeThreadState(future), /Unsupported thread state token version/);
+});
@@ -0,0 +1,236 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { prepareUpload, checkUploadLimits, sniffFileType, imageDimensions, stripMetadata, isAllowedType } = require('../upload-preprocessor');
+const { UnsupportedFileTypeError, FileTooLargeError, PostRejectedError } = require('../errors');
+
+const SECRET = 'SecretCam';
+
+function jpegSegment(marker, payload) {
+  const header = Buffer.from([0xff, marker, 0, 0]);
+  header.writeUInt16BE(payload.length + 2, 2);
+  return Buffer.concat([header, payload]);
+}
+
+// Little-endian TIFF block with an orientation tag and a camera name after it
+function exifPayload(orientation) {
+  const tiff = Buffer.alloc(26);
+  tiff.write('II', 0, 'latin1');
+  tiff.writeUInt16LE(42, 2);
+  tiff.writeUInt32LE(8, 4);
+  tiff.writeUInt16LE(1, 8);
+  tiff.writeUInt16LE(0x0112, 10);
+  tiff.writeUInt16LE(3, 12);
+  tiff.writeUInt32LE(1, 14);
+  tiff.writeUInt16LE(orientation, 18);
+  return Buffer.concat([Buffer.from('Exif\0\0', 'latin1'), tiff, Buffer.from(SECRET)]);
+}
+
+function jpeg({ width = 640, height = 480, orientation = 6 } = {}) {
+  const frame = Buffer.from([8, 0, 0, 0, 0, 1, 1, 0x11, 0]);
+  frame.writeUInt16BE(height, 1);
+  frame.writeUInt16BE(width, 3);
+
+  return Buffer.concat([
+    Buffer.from([0xff, 0xd8]),
+    jpegSegment(0xe0, Buffer.from('JFIF\0\x01\x01\0\0\x01\0\x01\0\0', 'latin1')),
+    jpegSegment(0xe1, exifPayload(orientation)),
+    jpegSegment(0xe1, Buffer.from(`http://ns.adobe.com/xap/1.0/\0<x>${SECRET}</x>`, 'latin1')),
+    jpegSegment(0xed, Buffer.from(`Photoshop 3.0\0${SECRET}`, 'latin1')),
+    jpegSegment(0xfe, Buffer.from(`comment by ${SECRET}`)),
+    jpegSegment(0xc0, frame),
+    jpegSegment(0xda, Buffer.from([1, 1, 0, 0, 0x3f, 0])),
+    Buffer.from([0x12, 0x34, 0x56, 0xff, 0xd9])
+  ]);
+}
+
+function pngChunk(type, data) {
+  const length = Buffer.alloc(4);
+  length.writeUInt32BE(data.length);
+  return Buffer.concat([length, Buffer.from(type, 'latin1'), data, Buffer.alloc(4)]);
+}
+
+function png({ width = 32, height = 16 } = {}) {
+  const header = Buffer.alloc(13);
+  header.writeUInt32BE(width, 0);
+  header.writeUInt32BE(height, 4);
+  header[8] = 8;
+  header[9] = 6;
+
+  return Buffer.concat([
+    Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]),
+    pngChunk('IHDR', header),
+    pngChunk('tEXt', Buffer.from(`Author\0${SECRET}`, 'latin1')),
+    pngChunk('IDAT', Buffer.from([1, 2, 3, 4])),
+    pngChunk('tIME', Buffer.from([7, 232, 1, 1, 0, 0, 0])),
+    pngChunk('IEND', Buffer.alloc(0))
+  ]);
+}
+
+function webpChunk(type, data) {
+  const header = Buffer.alloc(8);
+  header.write(type, 0, 'latin1');
+  header.writeUInt32LE(data.length, 4);
+  return Buffer.concat([header, data, Buffer.alloc(data.length % 2)]);
+}
+
+function webp({ width = 300, height = 200 } = {}) {
+  const extended = Buffer.alloc(10);
+  extended[0] = 0x0c; // EXIF and XMP present
+  extended.writeUIntLE(width - 1, 4, 3);
+  extended.writeUIntLE(height - 1, 7, 3);
+
+  const body = Buffer.concat([
+    Buffer.from('WEBP', 'latin1'),
+    webpChunk('VP8X', extended),
+    webpChunk('VP8 ', Buffer.alloc(10)),
+    webpChunk('EXIF', Buffer.from(`${SECRET}!`)),
+    webpChunk('XMP ', Buffer.from(`<x>${SECRET}</x>`))
+  ]);
+  const header = Buffer.alloc(8);
+  header.write('RIFF', 0, 'latin1');
+  header.writeUInt32LE(body.length, 4);
+  return Buffer.concat([header, body]);
+}
+
+const padded = text => Buffer.concat([Buffer.from(text, 'latin1'), Buffer.alloc(64)]);
+
+test('sniffFileType reads the type from magic bytes', () => {
+  assert.deepEqual(sniffFileType(jpeg()), { mimeType: 'image/jpeg', extension: 'jpg' });
+  assert.equal(sniffFileType(png()).mimeType, 'image/png');
+  assert.equal(sniffFileType(webp()).mimeType, 'image/webp');
+  assert.equal(sniffFileType(padded('GIF89a')).mimeType, 'image/gif');
+  assert.equal(sniffFileType(padded('%PDF-1.7')).mimeType, 'application/pdf');
+  assert.equal(sniffFileType(padded('\0\0\0\x18ftypmp42')).mimeType, 'video/mp4');
+  assert.equal(sniffFileType(padded('\0\0\0\x14ftypqt  ')).mimeType, 'video/quicktime');
+  assert.equal(sniffFileType(padded('\0\0\0\x20ftypM4A ')).mimeType, 'audio/mp4');
+  assert.equal(sniffFileType(padded('\x1a\x45\xdf\xa3\x9f\x42\x82\x84webm')).mimeType, 'video/webm');
+  assert.equal(sniffFileType(padded('\x1a\x45\xdf\xa3\x9f\x42\x82\x88matroska')).mimeType, 'video/x-matroska');
+  assert.equal(sniffFileType(padded('PK\x03\x04')).mimeType, 'application/zip');
+});
+
+test('sniffFileType returns null for unknown or short data', () => {
+  assert.equal(sniffFileType(padded('hello world')), null);
+  assert.equal(sniffFileType(Buffer.from([0xff, 0xd8, 0xff])), null);
+  assert.equal(sniffFileType('not a buffer'), null);
+});
+
+test('imageDimensions reads JPEG, PNG, GIF and WebP headers', () => {
+  assert.deepEqual(imageDimensions(jpeg({ width: 1024, height: 768 }), 'image/jpeg'), { width: 1024, height: 768 });
+  assert.deepEqual(imageDimensions(png({ width: 5, height: 7 }), 'image/png'), { width: 5, height: 7 });
+  assert.deepEqual(imageDimensions(webp({ width: 4000, height: 3000 }), 'image/webp'), { width: 4000, height: 3000 });
+
+  const gif = padded('GIF89a');
+  gif.writeUInt16LE(90, 6);
+  gif.writeUInt16LE(45, 8);
+  assert.deepEqual(imageDimensions(gif, 'image/gif'), { width: 90, height: 45 });
+
+  assert.equal(imageDimensions(Buffer.from([0xff, 0xd8, 0xff]), 'image/jpeg'), null);
+  assert.equal(imageDimensions(padded('%PDF-'), 'application/pdf'), null);
+});
+
+test('stripMetadata drops Exif, XMP, IPTC and comments from a JPEG and keeps its orientation', () => {
+  const original = jpeg({ orientation: 6 });
+  const stripped = stripMetadata(original, 'image/jpeg');
+
+  assert.ok(stripped.length < original.length);
+  assert.equal(stripped.includes(SECRET), false);
+  // JFIF stays the first segment, the orientation comes right after it
+  assert.deepEqual([...stripped.slice(0, 4)], [0xff, 0xd8, 0xff, 0xe0]);
+  const exif = stripped.indexOf('Exif\0\0');
+  assert.equal(stripped[exif - 3], 0xe1);
+  assert.ok(stripped.includes(Buffer.from([0x01, 0x12, 0x00, 0x03, 0, 0, 0, 1, 0, 6])));
+  // The image itself is untouched
+  assert.ok(stripped.subarray(-5).equals(Buffer.from([0x12, 0x34, 0x56, 0xff, 0xd9])));
+  assert.deepEqual(imageDimensions(stripped, 'image/jpeg'), { width: 640, height: 480 });
+});
+
+test('stripMetadata leaves no Exif in a JPEG that is the right way up', () => {
+  const stripped = stripMetadata(jpeg({ orientation: 1 }), 'image/jpeg');
+  assert.equal(stripped.includes('Exif'), false);
+});
+
+test('stripMetadata drops text and time chunks from a PNG', () => {
+  const stripped = stripMetadata(png(), 'image/png');
+  assert.equal(stripped.includes(SECRET), false);
+  assert.equal(stripped.includes('tIME'), false);
+  assert.ok(stripped.includes('IHDR') && stripped.includes('IDAT') && stripped.includes('IEND'));
+  assert.deepEqual(imageDimensions(stripped, 'image/png'), { width: 32, height: 16 });
+});
+
+test('stripMetadata drops EXIF and XMP chunks from a WebP and fixes its headers', () => {
+  const stripped = stripMetadata(webp(), 'image/webp');
+  assert.equal(stripped.includes(SECRET), false);
+  assert.equal(stripped.readUInt32LE(4), stripped.length - 8);
+  const extended = stripped.indexOf('VP8X');
+  assert.equal(stripped[extended + 8] & 0x0c, 0);
+  assert.ok(stripped.includes('VP8 '));
+  assert.deepEqual(imageDimensions(stripped, 'image/webp'), { width: 300, height: 200 });
+});
+
+test('stripMetadata returns other and malformed files unchanged', () => {
+  const gif = padded('GIF89a');
+  assert.equal(stripMetadata(gif, 'image/gif'), gif);
+  const broken = Buffer.from([0xff, 0xd8, 0xff, 0xe1, 0xff, 0xff, 0]);
+  assert.equal(stripMetadata(broken, 'image/jpeg'), broken);
+});
+
+test('prepareUpload corrects the extension and strips metadata', async () => {
+  const prepared = await prepareUpload({ data: jpeg(), fileName: 'photo.png' }, { imageProcessor: false });
+  assert.equal(prepared.fileName, 'photo.jpg');
+  assert.equal(prepared.mimeType, 'image/jpeg');
+  assert.equal(prepared.stripped, true);
+  assert.equal(prepared.processed, false);
+  assert.equal(prepared.size, prepared.data.length);
+  assert.equal(prepared.data.includes(SECRET), false);
+});
+
+test('prepareUpload names files without a name by type and position', async () => {
+  assert.equal((await prepareUpload({ data: png() }, { imageProcessor: false, number: 2 })).fileName, 'image2.png');
+  assert.equal((await prepareUpload({ data: padded('%PDF-1.4') }, { imageProcessor: false })).fileName, 'file.pdf');
+});
+
+test('prepareUpload keeps metadata when asked to', async () => {
+  const data = jpeg();
+  const prepared = await prepareUpload({ data }, { stripMetadata: false, imageProcessor: false });
+  assert.equal(prepared.data, data);
+  assert.equal(prepared.stripped, false);
+});
+
+test('prepareUpload hands oversize images to the image processor', async () => {
+  const calls = [];
+  const prepared = await prepareUpload({ data: png({ width: 2000, height: 1000 }), fileName: 'big.png' }, {
+    limits: { maxWidth: 1000 },
+    imageProcessor: async (data, target) => {
+      calls.push(target);
+      return png({ width: 1000, height: 500 });
+    }
+  });
+
+  assert.equal(calls.length, 1);
+  assert.equal(calls[0].width, 2000);
+  assert.equal(calls[0].maxWidth, 1000);
+  assert.equal(prepared.processed, true);
+  assert.equal(prepared.width, 1000);
+  assert.equal(prepared.fileName, 'big.png');
+});
+
+test('prepareUpload fails files that still break the limits', async () => {
+  await assert.rejects(prepareUpload({ data: png() }, { limits: { maxFileSize: 10 }, imageProcessor: false }), FileTooLargeError);
+  await assert.rejects(prepareUpload({ data: png() }, { limits: { allowedTypes: ['image/jpeg'] } }), UnsupportedFileTypeError);
+  await assert.rejects(prepareUpload({ data: png({ width: 50 }) }, { limits: { maxWidth: 40 }, imageProcessor: false }), PostRejectedError);
+});
+
+test('isAllowedType accepts MIME types, type patterns and extensions', () => {
+  const file = { fileName: 'clip.webm', mimeType: 'video/webm' };
+  assert.equal(isAllowedType(file, ['video/webm']), true);
+  assert.equal(isAllowedType(file, ['video/*']), true);
+  assert.equal(isAllowedType(file, ['.WEBM']), true);
+  assert.equal(isAllowedType(file, ['image/*', '.mp4']), false);
+});
+
+test('checkUploadLimits reports the limit that was broken', () => {
+  const file = { fileName: 'a.png', mimeType: 'image/png', size: 3 * 1024 * 1024, width: 10, height: 10 };
+  assert.throws(() => checkUploadLimits(file, { maxFileSize: 2 * 1024 * 1024 }), error =>
+    error instanceof FileTooLargeError && error.maxSize === 2 * 1024 * 1024 && /3 MB, over the 2 MB limit/.test(error.message));
+  assert.doesNotThrow(() => checkUploadLimits(file, {}));
+});
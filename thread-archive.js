@@ -0,0 +1,531 @@
+/**
+ * BharatChan thread archives
+ * Keeps threads after the site prunes them: a versioned JSON archive that
+ * loads back into the ThreadDetail shape getThread returns, a Markdown
+ * transcript, and a single-file HTML page that works offline
+ *
+ * ThreadArchive:
+ * {
+ *   version: number,    // ARCHIVE_VERSION
+ *   exportedAt: number, // When the archive was made, in milliseconds since epoch
+ *   thread: ThreadDetail, // As getThread returned it, without stale or
+ *                         // diagnostics properties
+ *   media: Object       // postId -> ArchivedMedia, for downloaded attachments
+ * }
+ *
+ * ArchivedMedia:
+ * {
+ *   path: string,       // Saved file, relative to the archive when written
+ *                       // with writeArchive
+ *   hash: string,       // Content hash, hex (null if unknown)
+ *   size: number        // File size in bytes (null if unknown)
+ * }
+ *
+ * The HTML page links quotes to the posts they point at, shows thumbnails
+ * inlined as data: URLs and links files to the saved copy where there is
+ * one. It also carries the JSON archive, so readArchive() accepts either.
+ */
+
+const path = require('path');
+const { fillTemplate } = require('./selector-profile');
+const { writeFileAtomic } = require('./atomic-file');
+
+const ARCHIVE_VERSION = 1;
+
+// Result properties that describe one fetch rather than the thread
+const TRANSIENT_FIELDS = ['stale', 'staleAge', 'fetchedAt', 'staleReason', 'diagnostics'];
+
+const FILE_EXTENSIONS = {
+  json: 'json',
+  markdown: 'md',
+  html: 'html'
+};
+
+// Quote references in post text, as in comment-markup.js
+const QUOTE_PATTERN = />>>\/[^\/\s]+\/\d*|>>\d+/g;
+
+// id of the script element carrying the archive in HTML pages
+const ARCHIVE_SCRIPT_ID = 'thread-archive';
+
+const STYLE = `
+body { font: 14px/1.4 sans-serif; max-width: 960px; margin: 0 auto; padding: 1em; background: #eef2ff; color: #000; }
+header { margin-bottom: 1em; }
+h1 { font-size: 1.4em; margin: 0 0 0.25em; }
+.meta, .post-header, .file-info { color: #555; font-size: 0.9em; }
+.post { background: #d6daf0; border: 1px solid #b7c5d9; margin: 0.5em 0; padding: 0.5em 0.75em; overflow: hidden; }
+.post.op { background: none; border: none; padding: 0; }
+.post:target { background: #d6bad0; }
+.name { color: #117743; font-weight: bold; }
+.own { color: #d00; }
+.thumbnail { float: left; margin: 0.25em 1em 0.5em 0; max-width: 250px; max-height: 250px; }
+.text { white-space: normal; overflow-wrap: anywhere; }
+.greentext { color: #789922; }
+.quote { color: #d00; }
+.deadlink { color: #d00; text-decoration: line-through; }
+.backlinks { clear: both; font-size: 0.85em; }
+.backlinks a { margin-right: 0.5em; }
+footer { color: #555; font-size: 0.85em; margin-top: 2em; }
+`;
+
+/**
+ * Copy of a value made of plain JSON data
+ * @private
+ */
+function cloneData(value) {
+  return JSON.parse(JSON.stringify(value));
+}
+
+/**
+ * Posts of a thread, OP first
+ * @private
+ */
+function threadPosts(thread) {
+  return (thread.op ? [thread.op] : []).concat(thread.posts || []);
+}
+
+/**
+ * @private
+ */
+function formatSize(bytes) {
+  if (bytes >= 1024 * 1024) return `${(bytes / (1024 * 1024)).toFixed(1).replace(/\.0$/, '')} MB`;
+  if (bytes >= 1024) return `${Math.round(bytes / 1024)} KB`;
+  return `${bytes} B`;
+}
+
+/**
+ * @private
+ */
+function formatTime(timestamp) {
+  if (!timestamp) return '';
+  return `${new Date(timestamp).toISOString().slice(0, 16).replace('T', ' ')} UTC`;
+}
+
+/**
+ * Board, thread ID, reply count and status of a thread
+ * @private
+ */
+function threadMeta(thread) {
+  const replies = (thread.posts || []).length;
+  const meta = [`/${thread.board}/`, `Thread ${thread.id}`, `${replies} ${replies === 1 ? 'reply' : 'replies'}`];
+  const status = ['locked', 'sticky', 'archived'].filter(field => thread[field]);
+  if (status.length) meta.push(status.join(', '));
+  return meta;
+}
+
+/**
+ * Size and dimensions of a file, e.g. "1.5 MB, 1920x1080"
+ * @private
+ */
+function fileDetails(file) {
+  const details = [];
+  if (file.size) details.push(formatSize(file.size));
+  if (file.width && file.height) details.push(`${file.width}x${file.height}`);
+  return details.join(', ');
+}
+
+/**
+ * Normalize the media option of createArchive: DownloadResults (or a
+ * downloadThread result) or an object of postId -> ArchivedMedia
+ * @private
+ */
+function mediaMap(media, baseDirectory) {
+  if (!media) return {};
+
+  const results = Array.isArray(media) ? media : media.results;
+  const entries = results
+    ? results.map(result => [result.item.postId, { path: result.path, hash: result.hash || null, size: result.size || null }])
+    : Object.entries(media).map(([postId, entry]) => [postId, { path: entry.path, hash: entry.hash || null, size: entry.size || null }]);
+
+  const map = {};
+  entries.forEach(([postId, entry]) => {
+    if (baseDirectory && path.isAbsolute(entry.path)) {
+      entry.path = path.relative(baseDirectory, entry.path);
+    }
+    // Archives are read on any system, so keep URL-style separators
+    entry.path = entry.path.split(path.sep).join('/');
+    map[String(postId)] = entry;
+  });
+  return map;
+}
+
+/**
+ * Make an archive of a thread
+ * @param {Object} thread - ThreadDetail from getThread
+ * @param {Object} [options]
+ * @param {Array<Object>|Object} [options.media] - Saved attachments: the
+ *   DownloadResults (or whole result) of MediaDownloader.downloadThread, or
+ *   an object of postId -> ArchivedMedia
+ * @param {string} [options.baseDirectory] - Directory the archive will be
+ *   written to; absolute media paths are made relative to it
+ * @param {number} [options.now] - Export time, for tests
+ * @returns {Object} - ThreadArchive
+ * @throws {Error} - For the stub thread getThread returns when a fetch fails
+ */
+function createArchive(thread, options = {}) {
+  if (!thread || !thread.id) {
+    throw new Error('createArchive needs a thread from getThread');
+  }
+  // Archiving the stub would replace a good archive with an empty one
+  if (thread.error) {
+    throw new Error(`Thread ${thread.id} could not be fetched: ${thread.error}`);
+  }
+
+  const copy = cloneData(thread);
+  TRANSIENT_FIELDS.forEach(field => delete copy[field]);
+
+  return {
+    version: ARCHIVE_VERSION,
+    exportedAt: options.now || Date.now(),
+    thread: copy,
+    media: mediaMap(options.media, options.baseDirectory)
+  };
+}
+
+/**
+ * Read an archive, as an object, a JSON string or Buffer, or an HTML page
+ * made by toHtml
+ * @param {Object|string|Buffer} data
+ * @returns {Object} - ThreadArchive
+ * @throws {Error} - When the data is not an archive of a supported version
+ */
+function readArchive(data) {
+  let archive = data;
+
+  if (Buffer.isBuffer(archive)) archive = archive.toString('utf8');
+  if (typeof archive === 'string') {
+    const text = archive.trim();
+    if (text.startsWith('<')) {
+      const pattern = new RegExp(`<script[^>]*id="${ARCHIVE_SCRIPT_ID}"[^>]*>([\\s\\S]*?)</script>`);
+      const match = text.match(pattern);
+      if (!match) throw new Error('HTML page does not contain a thread archive');
+      archive = JSON.parse(match[1]);
+    } else {
+      archive = JSON.parse(text);
+    }
+  }
+
+  if (!archive || typeof archive !== 'object' || !archive.thread) {
+    throw new Error('Not a thread archive');
+  }
+  if (archive.version !== ARCHIVE_VERSION) {
+    throw new Error(`Unsupported thread archive version ${archive.version}`);
+  }
+
+  return {
+    version: archive.version,
+    exportedAt: archive.exportedAt || null,
+    thread: archive.thread,
+    media: archive.media || {}
+  };
+}
+
+/**
+ * Load an archive back into the thread it was made from
+ * @param {Object|string|Buffer} data - Anything readArchive accepts
+ * @returns {Object} - ThreadDetail, as getThread returned it
+ */
+function importArchive(data) {
+  return cloneData(readArchive(data).thread);
+}
+
+/**
+ * Split post text into plain runs and quote references
+ * @private
+ * @returns {Array<Object>} - { text } or { quote, postId }
+ */
+function splitQuotes(text) {
+  const parts = [];
+  let last = 0;
+  let match;
+
+  QUOTE_PATTERN.lastIndex = 0;
+  while ((match = QUOTE_PATTERN.exec(text)) !== null) {
+    if (match.index > last) parts.push({ text: text.slice(last, match.index) });
+    const postId = match[0].startsWith('>>>') ? null : match[0].slice(2);
+    parts.push({ quote: match[0], postId });
+    last = match.index + match[0].length;
+  }
+  if (last < text.length) parts.push({ text: text.slice(last) });
+
+  return parts;
+}
+
+/**
+ * @private
+ */
+function escapeMarkdown(text) {
+  return text
+    .replace(/[\\`*_{}\[\]<>#|~]/g, '\\$&')
+    .replace(/^(\s*)([-+=])/, '$1\\$2')
+    .replace(/^(\s*\d+)\.(\s)/, '$1\\.$2');
+}
+
+/**
+ * Markdown of one line of post text, with quotes of posts in the thread
+ * linked to their anchors
+ * @private
+ */
+function markdownLine(line, postIds) {
+  return splitQuotes(line).map(part => {
+    if (part.text !== undefined) return escapeMarkdown(part.text);
+    const label = escapeMarkdown(part.quote);
+    return part.postId && postIds.has(part.postId) ? `[${label}](#p${part.postId})` : label;
+  }).join('');
+}
+
+/**
+ * @private
+ */
+function markdownPost(post, thread, archive, postIds) {
+  const lines = [`<a id="p${post.id}"></a>`];
+
+  const header = [`**${escapeMarkdown(post.name || 'Anonymous')}**${post.tripcode ? ` ${escapeMarkdown(post.tripcode)}` : ''}`];
+  if (post.posterId) header.push(`ID: ${escapeMarkdown(post.posterId)}`);
+  if (post.flag) header.push(escapeMarkdown(post.flag.name || post.flag.code));
+  if (post.timestamp) header.push(formatTime(post.timestamp));
+  header.push(`No. ${post.id}${post.isOwn ? ' (You)' : ''}`);
+  lines.push(header.join(' · '), '');
+
+  const fileUrl = post.file ? post.file.url : post.imageUrl;
+  if (fileUrl) {
+    const saved = archive.media[String(post.id)];
+    const name = (post.file && post.file.name) || decodeURIComponent(fileUrl.split('/').pop());
+    const details = post.file ? fileDetails(post.file) : '';
+    lines.push(`File: [${escapeMarkdown(name)}](<${saved ? saved.path : fileUrl}>)${details ? ` (${details})` : ''}`, '');
+  }
+
+  // Hard line breaks keep the poster's lines apart
+  const text = (post.text || '').split('\n').map(line => markdownLine(line, postIds));
+  if (text.some(line => line.trim())) {
+    lines.push(text.join('  \n').replace(/( {2}\n){2,}/g, '\n\n'), '');
+  }
+
+  if (post.backlinks && post.backlinks.length) {
+    lines.push(`Replies: ${post.backlinks.map(id => `[\\>\\>${id}](#p${id})`).join(' ')}`, '');
+  }
+
+  return lines.join('\n');
+}
+
+/**
+ * Markdown transcript of an archived thread
+ * @param {Object} archive - ThreadArchive, or a ThreadDetail
+ * @returns {string}
+ */
+function toMarkdown(archive) {
+  if (!archive.thread) archive = createArchive(archive);
+  const thread = archive.thread;
+  const posts = threadPosts(thread);
+  const postIds = new Set(posts.map(post => String(post.id)));
+
+  const meta = threadMeta(thread);
+
+  const sections = [
+    `# ${escapeMarkdown(thread.title || `Thread ${thread.id}`)}`,
+    '',
+    meta.join(' · '),
+    '',
+    `Source: <${thread.url}>  \nExported: ${formatTime(archive.exportedAt)}`,
+    ''
+  ];
+  posts.forEach(post => {
+    sections.push('---', '', markdownPost(post, thread, archive, postIds));
+  });
+
+  return `${sections.join('\n').replace(/\n+$/, '')}\n`;
+}
+
+/**
+ * @private
+ */
+function escapeHtml(text) {
+  return String(text === undefined || text === null ? '' : text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+/**
+ * HTML of a quote reference
+ * @private
+ */
+function htmlQuote(part, post, thread, postIds, threadUrl) {
+  const label = escapeHtml(part.quote);
+  if (part.postId && postIds.has(part.postId)) {
+    return `<a class="quote" href="#p${part.postId}">${label}</a>`;
+  }
+
+  // Quotes into other threads link to the live site, when it can be addressed
+  const quote = (post.quotes || []).find(q => q.postId === part.postId && (q.crossThread || q.crossBoard));
+  if (quote && quote.threadId && threadUrl) {
+    const url = `${threadUrl(quote.boardId || thread.board, quote.threadId)}#${quote.postId}`;
+    return `<a class="quote" href="${escapeHtml(url)}">${label}</a>`;
+  }
+  return `<span class="${part.postId ? 'deadlink' : 'quote'}">${label}</span>`;
+}
+
+/**
+ * HTML of post text: quotes linked, ">" lines in green
+ * @private
+ */
+function htmlText(post, thread, postIds, threadUrl) {
+  return (post.text || '').split('\n').map(line => {
+    const html = splitQuotes(line).map(part => (
+      part.text !== undefined ? escapeHtml(part.text) : htmlQuote(part, post, thread, postIds, threadUrl)
+    )).join('');
+    return /^>(?!>)/.test(line) ? `<span class="greentext">${html}</span>` : html;
+  }).join('<br>\n');
+}
+
+/**
+ * data: URL of a thumbnail
+ * @private
+ */
+function thumbnailSource(thumbnail) {
+  if (!thumbnail) return null;
+  if (typeof thumbnail === 'string') return thumbnail;
+  return `data:${thumbnail.mimeType || 'image/jpeg'};base64,${Buffer.from(thumbnail.data).toString('base64')}`;
+}
+
+/**
+ * @private
+ */
+function htmlPost(post, thread, archive, postIds, options) {
+  const id = String(post.id);
+  const isOp = thread.op && String(thread.op.id) === id;
+  const parts = [`<article class="post${isOp ? ' op' : ''}" id="p${escapeHtml(id)}">`];
+
+  const header = [`<span class="name">${escapeHtml(post.name || 'Anonymous')}</span>`];
+  if (post.tripcode) header.push(`<span class="tripcode">${escapeHtml(post.tripcode)}</span>`);
+  if (post.posterId) header.push(`<span class="poster-id">ID: ${escapeHtml(post.posterId)}</span>`);
+  if (post.flag) header.push(`<span class="flag">${escapeHtml(post.flag.name || post.flag.code)}</span>`);
+  if (post.timestamp) {
+    header.push(`<time datetime="${new Date(post.timestamp).toISOString()}">${formatTime(post.timestamp)}</time>`);
+  }
+  header.push(`<a href="#p${escapeHtml(id)}">No. ${escapeHtml(id)}</a>${post.isOwn ? ' <span class="own">(You)</span>' : ''}`);
+  parts.push(`<div class="post-header">${header.join(' ')}</div>`);
+
+  const fileUrl = post.file ? post.file.url : post.imageUrl;
+  if (fileUrl) {
+    const saved = archive.media[id];
+    const href = escapeHtml(saved ? saved.path : fileUrl);
+    const name = (post.file && post.file.name) || decodeURIComponent(fileUrl.split('/').pop());
+    const details = post.file ? fileDetails(post.file) : '';
+    parts.push(`<div class="file-info">File: <a href="${href}">${escapeHtml(name)}</a>${details ? ` (${escapeHtml(details)})` : ''}</div>`);
+
+    const source = thumbnailSource(options.thumbnails[id]);
+    if (source) {
+      parts.push(`<a href="${href}"><img class="thumbnail" src="${escapeHtml(source)}" alt="${escapeHtml(name)}"></a>`);
+    }
+  }
+
+  parts.push(`<div class="text">${htmlText(post, thread, postIds, options.threadUrl)}</div>`);
+
+  if (post.backlinks && post.backlinks.length) {
+    const links = post.backlinks.map(backlink => `<a href="#p${escapeHtml(backlink)}">&gt;&gt;${escapeHtml(backlink)}</a>`);
+    parts.push(`<div class="backlinks">Replies: ${links.join(' ')}</div>`);
+  }
+
+  parts.push('</article>');
+  return parts.join('\n');
+}
+
+/**
+ * Self-contained HTML page of an archived thread
+ * @param {Object} archive - ThreadArchive, or a ThreadDetail
+ * @param {Object} [options]
+ * @param {Object} [options.thumbnails] - postId -> { data: Buffer, mimeType }
+ *   or a data: URL, inlined as the posts' thumbnails
+ * @param {Function} [options.threadUrl] - (boardId, threadId) -> URL, for
+ *   quotes into other threads; without it they are not links
+ * @returns {string}
+ */
+function toHtml(archive, options = {}) {
+  if (!archive.thread) archive = createArchive(archive);
+  options = { thumbnails: {}, ...options };
+  const thread = archive.thread;
+  const posts = threadPosts(thread);
+  const postIds = new Set(posts.map(post => String(post.id)));
+  const title = thread.title || `Thread ${thread.id}`;
+
+  const meta = threadMeta(thread);
+
+  // "<" is escaped so the post text cannot end the script element early
+  const data = JSON.stringify(archive)
+    .replace(/</g, '\\u003c')
+    .replace(/\u2028/g, '\\u2028')
+    .replace(/\u2029/g, '\\u2029');
+
+  return `<!DOCTYPE html>
+<html>
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>/${escapeHtml(thread.board)}/ - ${escapeHtml(title)}</title>
+<style>${STYLE}</style>
+</head>
+<body>
+<header>
+<h1>${escapeHtml(title)}</h1>
+<div class="meta">${escapeHtml(meta.join(' · '))}</div>
+</header>
+<main>
+${posts.map(post => htmlPost(post, thread, archive, postIds, options)).join('\n')}
+</main>
+<footer>Archived from <a href="${escapeHtml(thread.url)}">${escapeHtml(thread.url)}</a> on ${formatTime(archive.exportedAt)}</footer>
+<script type="application/json" id="${ARCHIVE_SCRIPT_ID}">${data}</script>
+</body>
+</html>
+`;
+}
+
+/**
+ * Write an archive to a directory in one or more formats
+ * @param {Object} archive - ThreadArchive
+ * @param {string} directory - Where the files go (created if missing)
+ * @param {Object} [options]
+ * @param {Array<string>} [options.formats] - Any of 'json', 'markdown' and
+ *   'html' (default all three)
+ * @param {string} [options.fileName='{boardId}-{threadId}'] - File name
+ *   template, without extension
+ * @param {Object} [options.thumbnails] - As for toHtml
+ * @param {Function} [options.threadUrl] - As for toHtml
+ * @returns {Promise<Object>} - format -> path of the file written
+ */
+async function writeArchive(archive, directory, options = {}) {
+  const formats = options.formats || Object.keys(FILE_EXTENSIONS);
+  const unknown = formats.filter(format => !FILE_EXTENSIONS[format]);
+  if (unknown.length) {
+    throw new Error(`Unknown archive format ${unknown.join(', ')}`);
+  }
+
+  const baseName = fillTemplate(options.fileName || '{boardId}-{threadId}', {
+    boardId: archive.thread.board,
+    threadId: archive.thread.id
+  }).replace(/[\u0000-\u001f\u007f/\\:*?"<>|]/g, '_');
+
+  const written = {};
+  for (const format of formats) {
+    const contents = format === 'json'
+      ? JSON.stringify(archive, null, 2)
+      : format === 'markdown' ? toMarkdown(archive) : toHtml(archive, options);
+
+    const file = path.join(directory, `${baseName}.${FILE_EXTENSIONS[format]}`);
+    await writeFileAtomic(file, contents);
+    written[format] = file;
+  }
+
+  return written;
+}
+
+module.exports = {
+  ARCHIVE_VERSION,
+  createArchive,
+  readArchive,
+  importArchive,
+  toMarkdown,
+  toHtml,
+  writeArchive
+};
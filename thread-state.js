@@ -0,0 +1,86 @@
+/**
+ * BharatChan thread state tokens
+ * getThreadUpdates hands out a snapshot of a thread (its reply IDs and its
+ * locked, sticky and archived flags) as an opaque token, and compares the
+ * token it is given back against a fresh copy to find what changed.
+ */
+
+/**
+ * Encode a thread snapshot into a compact, URL-safe state token.
+ * Numeric post IDs are stored as base 36 deltas from the previous ID.
+ * @param {Object} state - Snapshot
+ * @param {string} state.boardId - Board identifier
+ * @param {string} state.threadId - Thread identifier
+ * @param {Array<string>} state.postIds - Reply IDs present in the snapshot
+ * @param {Object} state.status - locked, sticky and archived flags
+ * @returns {string}
+ */
+function encodeThreadState({ boardId, threadId, postIds, status }) {
+  const numericIds = postIds.every(id => /^\d+$/.test(id));
+  let ids;
+
+  if (numericIds) {
+    let previous = 0;
+    ids = postIds
+      .map(id => parseInt(id, 10))
+      .sort((a, b) => a - b)
+      .map(id => {
+        const delta = (id - previous).toString(36);
+        previous = id;
+        return delta;
+      })
+      .join('.');
+  } else {
+    ids = postIds;
+  }
+
+  const flags = (status.locked ? 1 : 0) | (status.sticky ? 2 : 0) | (status.archived ? 4 : 0);
+  const payload = JSON.stringify({ v: 1, b: boardId, t: threadId, p: ids, f: flags, at: Date.now() });
+  return Buffer.from(payload).toString('base64url');
+}
+
+/**
+ * Decode a state token created by encodeThreadState
+ * @param {string} token - State token
+ * @returns {Object} - Snapshot with boardId, threadId, postIds, status and timestamp
+ */
+function decodeThreadState(token) {
+  let payload;
+  try {
+    payload = JSON.parse(Buffer.from(token, 'base64url').toString('utf8'));
+  } catch (error) {
+    throw new Error('Invalid thread state token');
+  }
+
+  if (!payload || payload.v !== 1) {
+    throw new Error('Unsupported thread state token version');
+  }
+
+  let postIds;
+  if (typeof payload.p === 'string') {
+    let previous = 0;
+    postIds = payload.p ? payload.p.split('.').map(delta => {
+      previous += parseInt(delta, 36);
+      return String(previous);
+    }) : [];
+  } else {
+    postIds = payload.p || [];
+  }
+
+  return {
+    boardId: payload.b,
+    threadId: payload.t,
+    postIds,
+    status: {
+      locked: Boolean(payload.f & 1),
+      sticky: Boolean(payload.f & 2),
+      archived: Boolean(payload.f & 4)
+    },
+    timestamp: payload.at
+  };
+}
+
+module.exports = {
+  encodeThreadState,
+  decodeThreadState
+};
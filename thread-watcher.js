@@ -0,0 +1,328 @@
+/**
+ * BharatChan thread watcher
+ * Polls a set of threads through a BharatChanAPI client and emits events
+ * when they change
+ *
+ * Polling adapts to thread activity: a thread that just received posts is
+ * checked again after minInterval, every quiet poll multiplies the interval
+ * by backoffFactor up to maxInterval.
+ *
+ * Events:
+ * - 'newPosts'  ({boardId, threadId, posts})         New replies since the last poll
+ * - 'reply'     ({boardId, threadId, post, quotes})  A new reply quotes one of the watched post IDs,
+ *                                                    or a post the client made (see isOwn)
+ * - 'deleted'   ({boardId, threadId, postIds})       Replies that disappeared
+ * - 'archived'  ({boardId, threadId})                Thread was archived; polling stops
+ * - 'notFound'  ({boardId, threadId})                Thread returned 404; polling stops
+ * - 'error'     (error, {boardId, threadId})         A poll failed; polling backs off.
+ *                                                    Unheard errors go to the client's logger
+ *
+ * Watch lists survive restarts through toJSON() and ThreadWatcher.fromJSON().
+ */
+
+const EventEmitter = require('events');
+
+const WATCH_LIST_VERSION = 1;
+
+class ThreadWatcher extends EventEmitter {
+  /**
+   * @param {BharatChanAPI} api - Client used for polling
+   * @param {Object} [options]
+   * @param {number} [options.minInterval=10000] - Interval for active threads in ms
+   * @param {number} [options.maxInterval=600000] - Longest interval for quiet threads in ms
+   * @param {number} [options.backoffFactor=1.5] - Interval multiplier after a quiet poll
+   * @param {string} [options.priority='low'] - Request priority of polls, so user
+   *   actions on the same client go first
+   */
+  constructor(api, options = {}) {
+    super();
+    this.api = api;
+    this.minInterval = options.minInterval || 10000;
+    this.maxInterval = options.maxInterval || 600000;
+    this.backoffFactor = options.backoffFactor || 1.5;
+    this.priority = options.priority || 'low';
+
+    this.threads = new Map();
+    this.running = false;
+  }
+
+  /**
+   * Key identifying a watched thread
+   * @private
+   */
+  static key(boardId, threadId) {
+    return `${boardId}/${threadId}`;
+  }
+
+  /**
+   * Start watching a thread. Watching an already watched thread merges the
+   * reply IDs, and revives it if it was archived or not found.
+   * @param {string} boardId - Board identifier
+   * @param {string} threadId - Thread identifier
+   * @param {Object} [options]
+   * @param {Array<string>} [options.replyTo] - Post IDs to report replies to
+   * @returns {Object} - Watch entry
+   */
+  watch(boardId, threadId, options = {}) {
+    const key = ThreadWatcher.key(boardId, threadId);
+    const replyTo = (options.replyTo || []).map(String);
+    let entry = this.threads.get(key);
+
+    if (entry) {
+      replyTo.forEach(id => {
+        if (!entry.replyTo.includes(id)) entry.replyTo.push(id);
+      });
+
+      // An explicit watch means the caller expects the thread to be back
+      if (entry.status !== 'active') {
+        entry.status = 'active';
+        entry.interval = this.minInterval;
+        if (this.running) this.schedule(entry, 0);
+      }
+      return entry;
+    }
+
+    entry = {
+      boardId,
+      threadId: String(threadId),
+      replyTo,
+      state: options.state || null,
+      status: options.status || 'active',
+      interval: options.interval || this.minInterval,
+      lastCheckedAt: options.lastCheckedAt || null,
+      lastNewPostAt: options.lastNewPostAt || null,
+      timer: null,
+      controller: null
+    };
+    this.threads.set(key, entry);
+
+    if (this.running && entry.status === 'active') {
+      this.schedule(entry, 0);
+    }
+    return entry;
+  }
+
+  /**
+   * Stop watching a thread
+   * @param {string} boardId - Board identifier
+   * @param {string} threadId - Thread identifier
+   * @returns {boolean} - Whether the thread was being watched
+   */
+  unwatch(boardId, threadId) {
+    const key = ThreadWatcher.key(boardId, threadId);
+    const entry = this.threads.get(key);
+    if (!entry) return false;
+
+    clearTimeout(entry.timer);
+    if (entry.controller) entry.controller.abort();
+    this.threads.delete(key);
+    return true;
+  }
+
+  /**
+   * @param {string} boardId - Board identifier
+   * @param {string} threadId - Thread identifier
+   * @returns {boolean}
+   */
+  isWatching(boardId, threadId) {
+    return this.threads.has(ThreadWatcher.key(boardId, threadId));
+  }
+
+  /**
+   * Watched threads with their polling state
+   * @returns {Array<Object>}
+   */
+  list() {
+    return Array.from(this.threads.values()).map(entry => this.serializeEntry(entry));
+  }
+
+  /**
+   * Start polling every active thread
+   */
+  start() {
+    if (this.running) return;
+    this.running = true;
+
+    // Spread the first polls out so a large watch list does not burst
+    let delay = 0;
+    this.threads.forEach(entry => {
+      if (entry.status !== 'active') return;
+      this.schedule(entry, delay);
+      delay += 1000;
+    });
+  }
+
+  /**
+   * Stop polling and cancel polls in flight. The watch list is kept.
+   */
+  stop() {
+    this.running = false;
+    this.threads.forEach(entry => {
+      clearTimeout(entry.timer);
+      entry.timer = null;
+      if (entry.controller) entry.controller.abort();
+    });
+  }
+
+  /**
+   * Poll a watched thread right away, resetting its interval
+   * @param {string} boardId - Board identifier
+   * @param {string} threadId - Thread identifier
+   * @returns {Promise<Object|null>} - ThreadUpdates, or null if not watched
+   */
+  async checkNow(boardId, threadId) {
+    const entry = this.threads.get(ThreadWatcher.key(boardId, threadId));
+    if (!entry) return null;
+
+    clearTimeout(entry.timer);
+    entry.interval = this.minInterval;
+    return this.poll(entry);
+  }
+
+  /**
+   * Schedule the next poll of a thread
+   * @private
+   */
+  schedule(entry, delay = entry.interval) {
+    clearTimeout(entry.timer);
+    entry.timer = setTimeout(() => this.poll(entry), delay);
+
+    // Do not keep the process alive just for polling
+    if (entry.timer.unref) entry.timer.unref();
+  }
+
+  /**
+   * Poll a thread and emit events for what changed
+   * @private
+   */
+  async poll(entry) {
+    if (entry.controller) return null;
+    const controller = new AbortController();
+    entry.controller = controller;
+
+    const { boardId, threadId } = entry;
+    let updates = null;
+
+    try {
+      updates = await this.api.getThreadUpdates(boardId, threadId, entry.state, {
+        priority: this.priority,
+        signal: controller.signal
+      });
+      entry.lastCheckedAt = Date.now();
+
+      // The watch may have been removed while the request was in flight
+      if (this.threads.get(ThreadWatcher.key(boardId, threadId)) !== entry) return updates;
+
+      if (updates.notFound) {
+        entry.status = 'notFound';
+        this.emit('notFound', { boardId, threadId });
+        return updates;
+      }
+
+      // The first poll of a thread without a saved state only records a baseline
+      const isBaseline = !entry.state;
+      entry.state = updates.state;
+
+      if (!isBaseline && updates.newPosts.length) {
+        entry.lastNewPostAt = Date.now();
+        entry.interval = this.minInterval;
+        this.emit('newPosts', { boardId, threadId, posts: updates.newPosts });
+
+        updates.newPosts.forEach(post => {
+          if (post.isOwn) return;
+          const quotes = (post.quotes || []).filter(quote =>
+            quote.isOwn || (!quote.crossThread && entry.replyTo.includes(quote.postId)));
+          if (quotes.length) {
+            this.emit('reply', { boardId, threadId, post, quotes });
+          }
+        });
+      } else {
+        entry.interval = Math.min(entry.interval * this.backoffFactor, this.maxInterval);
+      }
+
+      if (!isBaseline && updates.deletedPostIds.length) {
+        this.emit('deleted', { boardId, threadId, postIds: updates.deletedPostIds });
+      }
+
+      if (updates.thread && updates.thread.archived) {
+        entry.status = 'archived';
+        this.emit('archived', { boardId, threadId });
+      }
+    } catch (error) {
+      // Polls cancelled by stop() or unwatch() are not errors
+      if (controller.signal.aborted) return null;
+
+      entry.interval = Math.min(entry.interval * this.backoffFactor, this.maxInterval);
+      this.emitError(error, { boardId, threadId });
+    } finally {
+      entry.controller = null;
+      if (this.running && entry.status === 'active' && this.threads.get(ThreadWatcher.key(boardId, threadId)) === entry) {
+        this.schedule(entry);
+      }
+    }
+
+    return updates;
+  }
+
+  /**
+   * Emit an error without crashing when nobody listens for errors; then it
+   * goes to the client's logger, if it has one
+   * @private
+   */
+  emitError(error, context) {
+    if (this.listenerCount('error') > 0) {
+      this.emit('error', error, context);
+    } else if (this.api.logger) {
+      this.api.logger.error(`Error watching thread ${context.threadId} on board ${context.boardId}:`, error);
+    }
+  }
+
+  /**
+   * @private
+   */
+  serializeEntry(entry) {
+    return {
+      boardId: entry.boardId,
+      threadId: entry.threadId,
+      replyTo: entry.replyTo.slice(),
+      state: entry.state,
+      status: entry.status,
+      interval: entry.interval,
+      lastCheckedAt: entry.lastCheckedAt,
+      lastNewPostAt: entry.lastNewPostAt
+    };
+  }
+
+  /**
+   * Serializable watch list
+   * @returns {Object}
+   */
+  toJSON() {
+    return {
+      version: WATCH_LIST_VERSION,
+      threads: this.list()
+    };
+  }
+
+  /**
+   * Restore a watcher from toJSON() output. The watcher is not started.
+   * @param {BharatChanAPI} api - Client used for polling
+   * @param {Object|string} data - Watch list, as an object or JSON string
+   * @param {Object} [options] - Same options as the constructor
+   * @returns {ThreadWatcher}
+   */
+  static fromJSON(api, data, options = {}) {
+    const watchList = typeof data === 'string' ? JSON.parse(data) : data;
+    if (!watchList || watchList.version !== WATCH_LIST_VERSION) {
+      throw new Error('Unsupported watch list version');
+    }
+
+    const watcher = new ThreadWatcher(api, options);
+    watchList.threads.forEach(thread => {
+      watcher.watch(thread.boardId, thread.threadId, thread);
+    });
+    return watcher;
+  }
+}
+
+module.exports = ThreadWatcher;
@@ -0,0 +1,504 @@
+/**
+ * BharatChan upload preprocessing
+ * Prepares attachments before they are uploaded:
+ * - The real type is read from the file's magic bytes, and the file name
+ *   gets the matching extension
+ * - Metadata is stripped from JPEG (Exif, XMP, IPTC, comments), PNG (text,
+ *   time and Exif chunks) and WebP (EXIF and XMP chunks) images. A JPEG
+ *   keeps its orientation in a minimal Exif block, so photos are not
+ *   shown sideways. Other types are sent unchanged.
+ * - Images over the size or dimension limits are handed to an image
+ *   processor to be downscaled or re-encoded: the imageProcessor option,
+ *   or sharp if it is installed
+ * - The result is checked against the limits, so a file the board will
+ *   refuse fails before anything is uploaded
+ *
+ * UploadLimits:
+ * {
+ *   maxFileSize: number,         // Largest file in bytes
+ *   allowedTypes: Array<string>, // MIME types ("image/png"), type patterns
+ *                                // ("image/*") or extensions (".webm")
+ *   maxWidth: number,            // Widest image in pixels
+ *   maxHeight: number            // Tallest image in pixels
+ * }
+ *
+ * Image processor:
+ *   async (data, { mimeType, width, height, maxWidth, maxHeight, maxFileSize })
+ *     => Buffer | { data: Buffer, mimeType: string } | null
+ * Returning null leaves the image as it is.
+ *
+ * PreparedFile:
+ * {
+ *   data: Buffer,
+ *   fileName: string,  // Name with the extension of the real type
+ *   mimeType: string,  // Sniffed type ("application/octet-stream" if unknown)
+ *   size: number,      // Size in bytes
+ *   width: number,     // Image width in pixels (null if not an image)
+ *   height: number,    // Image height in pixels (null if not an image)
+ *   stripped: boolean, // Metadata was removed
+ *   processed: boolean // The image processor changed the image
+ * }
+ */
+
+const { UnsupportedFileTypeError, FileTooLargeError, PostRejectedError } = require('./errors');
+
+// Types by magic bytes; the first extension is the one given to files
+const FILE_TYPES = [
+  { mimeType: 'image/jpeg', extensions: ['jpg', 'jpeg', 'jpe', 'jfif'], test: b => b[0] === 0xff && b[1] === 0xd8 && b[2] === 0xff },
+  { mimeType: 'image/png', extensions: ['png'], test: b => b.slice(0, 8).equals(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a])) },
+  { mimeType: 'image/gif', extensions: ['gif'], test: b => /^GIF8[79]a$/.test(b.toString('latin1', 0, 6)) },
+  { mimeType: 'image/webp', extensions: ['webp'], test: b => b.toString('latin1', 0, 4) === 'RIFF' && b.toString('latin1', 8, 12) === 'WEBP' },
+  { mimeType: 'image/avif', extensions: ['avif'], test: b => b.toString('latin1', 4, 8) === 'ftyp' && /^avi[fs]$/.test(b.toString('latin1', 8, 12)) },
+  { mimeType: 'video/webm', extensions: ['webm'], test: b => b.readUInt32BE(0) === 0x1a45dfa3 && b.slice(0, 64).includes('webm') },
+  { mimeType: 'video/x-matroska', extensions: ['mkv'], test: b => b.readUInt32BE(0) === 0x1a45dfa3 },
+  { mimeType: 'video/quicktime', extensions: ['mov'], test: b => b.toString('latin1', 4, 12) === 'ftypqt  ' },
+  { mimeType: 'audio/mp4', extensions: ['m4a'], test: b => b.toString('latin1', 4, 11) === 'ftypM4A' },
+  { mimeType: 'video/mp4', extensions: ['mp4', 'm4v'], test: b => b.toString('latin1', 4, 8) === 'ftyp' },
+  { mimeType: 'audio/ogg', extensions: ['ogg', 'oga', 'ogv', 'opus'], test: b => b.toString('latin1', 0, 4) === 'OggS' },
+  { mimeType: 'audio/flac', extensions: ['flac'], test: b => b.toString('latin1', 0, 4) === 'fLaC' },
+  { mimeType: 'audio/wav', extensions: ['wav'], test: b => b.toString('latin1', 0, 4) === 'RIFF' && b.toString('latin1', 8, 12) === 'WAVE' },
+  { mimeType: 'audio/mpeg', extensions: ['mp3'], test: b => b.toString('latin1', 0, 3) === 'ID3' || (b[0] === 0xff && (b[1] & 0xe0) === 0xe0) },
+  { mimeType: 'application/pdf', extensions: ['pdf'], test: b => b.toString('latin1', 0, 5) === '%PDF-' },
+  { mimeType: 'application/x-shockwave-flash', extensions: ['swf'], test: b => /^[FCZ]WS$/.test(b.toString('latin1', 0, 3)) },
+  { mimeType: 'application/zip', extensions: ['zip'], test: b => b.readUInt32BE(0) === 0x504b0304 }
+];
+
+// Images an image processor can resize; GIFs are left alone so animations survive
+const PROCESSABLE_TYPES = ['image/jpeg', 'image/png', 'image/webp'];
+
+// JPEG segments worth keeping: APP0 (JFIF), APP2 (ICC profile), APP14 (Adobe colour transform)
+const JPEG_KEPT_APP_MARKERS = [0xe0, 0xe2, 0xee];
+
+const PNG_METADATA_CHUNKS = ['tEXt', 'zTXt', 'iTXt', 'eXIf', 'tIME'];
+
+const WEBP_METADATA_CHUNKS = ['EXIF', 'XMP '];
+
+/**
+ * Detect a file's type from its first bytes
+ * @param {Buffer} data - File contents
+ * @returns {{mimeType: string, extension: string}|null} - null if unknown
+ */
+function sniffFileType(data) {
+  if (!Buffer.isBuffer(data) || data.length < 12) return null;
+
+  const type = FILE_TYPES.find(candidate => candidate.test(data));
+  return type ? { mimeType: type.mimeType, extension: type.extensions[0] } : null;
+}
+
+/**
+ * Pixel size of a JPEG, PNG, GIF or WebP image, read from its header
+ * @param {Buffer} data - Image contents
+ * @param {string} mimeType - Image type
+ * @returns {{width: number, height: number}|null} - null if unknown
+ */
+function imageDimensions(data, mimeType) {
+  try {
+    switch (mimeType) {
+      case 'image/png':
+        return { width: data.readUInt32BE(16), height: data.readUInt32BE(20) };
+      case 'image/gif':
+        return { width: data.readUInt16LE(6), height: data.readUInt16LE(8) };
+      case 'image/jpeg': {
+        const frame = jpegSegments(data).find(segment =>
+          segment.marker >= 0xc0 && segment.marker <= 0xcf && ![0xc4, 0xc8, 0xcc].includes(segment.marker));
+        return frame ? { width: data.readUInt16BE(frame.start + 7), height: data.readUInt16BE(frame.start + 5) } : null;
+      }
+      case 'image/webp': {
+        const chunk = webpChunks(data).find(candidate => ['VP8 ', 'VP8L', 'VP8X'].includes(candidate.type));
+        if (!chunk) return null;
+        const start = chunk.start + 8;
+        if (chunk.type === 'VP8X') {
+          return { width: 1 + data.readUIntLE(start + 4, 3), height: 1 + data.readUIntLE(start + 7, 3) };
+        }
+        if (chunk.type === 'VP8L') {
+          const bits = data.readUInt32LE(start + 1);
+          return { width: (bits & 0x3fff) + 1, height: ((bits >> 14) & 0x3fff) + 1 };
+        }
+        return { width: data.readUInt16LE(start + 6) & 0x3fff, height: data.readUInt16LE(start + 8) & 0x3fff };
+      }
+      default:
+        return null;
+    }
+  } catch (error) {
+    // Truncated headers
+    return null;
+  }
+}
+
+/**
+ * Segments of a JPEG up to the image data
+ * @private
+ * @returns {Array<{marker: number, start: number, end: number}>} - Empty if malformed
+ */
+function jpegSegments(data) {
+  const segments = [];
+  let offset = 2;
+
+  while (offset + 4 <= data.length) {
+    if (data[offset] !== 0xff) return [];
+    const marker = data[offset + 1];
+
+    // Fill bytes before a marker
+    if (marker === 0xff) {
+      offset++;
+      continue;
+    }
+
+    // Markers without a length
+    if ((marker >= 0xd0 && marker <= 0xd7) || marker === 0x01) {
+      segments.push({ marker, start: offset, end: offset + 2 });
+      offset += 2;
+      continue;
+    }
+
+    // Start of scan: everything after it is image data
+    if (marker === 0xda) {
+      segments.push({ marker, start: offset, end: data.length });
+      return segments;
+    }
+
+    const end = offset + 2 + data.readUInt16BE(offset + 2);
+    if (end > data.length) return [];
+    segments.push({ marker, start: offset, end });
+    offset = end;
+  }
+
+  return segments;
+}
+
+/**
+ * Chunks of a WebP file
+ * @private
+ * @returns {Array<{type: string, start: number, end: number}>}
+ */
+function webpChunks(data) {
+  const chunks = [];
+  let offset = 12;
+
+  while (offset + 8 <= data.length) {
+    const size = data.readUInt32LE(offset + 4);
+    // Chunks are padded to an even size
+    const end = Math.min(offset + 8 + size + (size % 2), data.length);
+    chunks.push({ type: data.toString('latin1', offset, offset + 4), start: offset, end });
+    offset = end;
+  }
+
+  return chunks;
+}
+
+/**
+ * Orientation tag of a TIFF block (the body of a JPEG Exif segment)
+ * @private
+ * @returns {number|null}
+ */
+function exifOrientation(tiff) {
+  try {
+    const littleEndian = tiff.toString('latin1', 0, 2) === 'II';
+    const read16 = offset => (littleEndian ? tiff.readUInt16LE(offset) : tiff.readUInt16BE(offset));
+    const read32 = offset => (littleEndian ? tiff.readUInt32LE(offset) : tiff.readUInt32BE(offset));
+
+    const ifd = read32(4);
+    const entries = read16(ifd);
+    for (let i = 0; i < entries; i++) {
+      const entry = ifd + 2 + i * 12;
+      if (read16(entry) === 0x0112) return read16(entry + 8);
+    }
+  } catch (error) {
+    // Malformed Exif
+  }
+  return null;
+}
+
+/**
+ * JPEG Exif segment holding nothing but an orientation tag
+ * @private
+ */
+function orientationSegment(orientation) {
+  const tiff = Buffer.alloc(26);
+  tiff.write('MM', 0, 'latin1');
+  tiff.writeUInt16BE(42, 2);
+  tiff.writeUInt32BE(8, 4); // First IFD right after the header
+  tiff.writeUInt16BE(1, 8); // One entry
+  tiff.writeUInt16BE(0x0112, 10); // Orientation
+  tiff.writeUInt16BE(3, 12); // SHORT
+  tiff.writeUInt32BE(1, 14); // One value
+  tiff.writeUInt16BE(orientation, 18);
+  tiff.writeUInt32BE(0, 22); // No next IFD
+
+  const header = Buffer.from('Exif\0\0', 'latin1');
+  const marker = Buffer.from([0xff, 0xe1, 0, 0]);
+  marker.writeUInt16BE(2 + header.length + tiff.length, 2);
+  return Buffer.concat([marker, header, tiff]);
+}
+
+/**
+ * @private
+ */
+function stripJpeg(data) {
+  const segments = jpegSegments(data);
+  if (!segments.length) return data;
+
+  let orientation = null;
+  const kept = [];
+  segments.forEach(segment => {
+    const isApp = segment.marker >= 0xe1 && segment.marker <= 0xef;
+    if (segment.marker === 0xe1 && data.toString('latin1', segment.start + 4, segment.start + 10) === 'Exif\0\0') {
+      orientation = exifOrientation(data.slice(segment.start + 10, segment.end));
+    }
+    if ((isApp && !JPEG_KEPT_APP_MARKERS.includes(segment.marker)) || segment.marker === 0xfe) return;
+    kept.push(data.slice(segment.start, segment.end));
+  });
+
+  // The orientation goes back in after JFIF, which must stay the first segment
+  if (orientation && orientation !== 1) {
+    const position = segments[0].marker === 0xe0 ? 1 : 0;
+    kept.splice(position, 0, orientationSegment(orientation));
+  }
+
+  return Buffer.concat([data.slice(0, 2), ...kept]);
+}
+
+/**
+ * @private
+ */
+function stripPng(data) {
+  const kept = [data.slice(0, 8)];
+  let offset = 8;
+
+  while (offset + 12 <= data.length) {
+    const end = offset + 12 + data.readUInt32BE(offset);
+    const type = data.toString('latin1', offset + 4, offset + 8);
+    if (!PNG_METADATA_CHUNKS.includes(type)) kept.push(data.slice(offset, end));
+    offset = end;
+    if (type === 'IEND') break;
+  }
+
+  return Buffer.concat(kept);
+}
+
+/**
+ * @private
+ */
+function stripWebp(data) {
+  const chunks = webpChunks(data);
+  const kept = chunks
+    .filter(chunk => !WEBP_METADATA_CHUNKS.includes(chunk.type))
+    .map(chunk => Buffer.from(data.slice(chunk.start, chunk.end)));
+
+  // The extended header flags the metadata it no longer has
+  const extended = kept.find(chunk => chunk.toString('latin1', 0, 4) === 'VP8X');
+  if (extended) extended[8] &= ~0x0c;
+
+  const header = Buffer.from(data.slice(0, 12));
+  const body = Buffer.concat(kept);
+  header.writeUInt32LE(body.length + 4, 4);
+  return Buffer.concat([header, body]);
+}
+
+/**
+ * Remove metadata from an image
+ * @param {Buffer} data - File contents
+ * @param {string} mimeType - Sniffed type
+ * @returns {Buffer} - Cleaned contents, or data itself for other types
+ */
+function stripMetadata(data, mimeType) {
+  try {
+    if (mimeType === 'image/jpeg') return stripJpeg(data);
+    if (mimeType === 'image/png') return stripPng(data);
+    if (mimeType === 'image/webp') return stripWebp(data);
+  } catch (error) {
+    // A file too malformed to walk is sent as it is
+  }
+  return data;
+}
+
+/**
+ * Image processor backed by sharp, if it is installed
+ * @private
+ * @returns {Function|null}
+ */
+function sharpProcessor() {
+  let sharp;
+  try {
+    sharp = require('sharp');
+  } catch (error) {
+    return null;
+  }
+
+  return async (data, target) => {
+    // rotate() applies the orientation tag before the metadata is dropped
+    let image = sharp(data).rotate();
+    if (target.maxWidth || target.maxHeight) {
+      image = image.resize({
+        width: target.maxWidth || undefined,
+        height: target.maxHeight || undefined,
+        fit: 'inside',
+        withoutEnlargement: true
+      });
+    }
+
+    // Lower the quality step by step until the file fits
+    const format = target.mimeType.split('/')[1];
+    let output = null;
+    for (const quality of [90, 80, 70, 60]) {
+      output = await image.clone().toFormat(format, format === 'png' ? { palette: true, quality } : { quality }).toBuffer();
+      if (!target.maxFileSize || output.length <= target.maxFileSize) break;
+    }
+    return output;
+  };
+}
+
+/**
+ * Give a file name the extension of its type, unless it already has one of
+ * that type's extensions
+ * @private
+ */
+function nameWithExtension(fileName, mimeType) {
+  const type = FILE_TYPES.find(candidate => candidate.mimeType === mimeType);
+  if (!type) return fileName;
+
+  const extension = (fileName.match(/\.([^./\\]+)$/) || [])[1];
+  if (extension && type.extensions.includes(extension.toLowerCase())) return fileName;
+  return `${extension ? fileName.slice(0, -extension.length - 1) : fileName}.${type.extensions[0]}`;
+}
+
+/**
+ * @private
+ */
+function formatSize(bytes) {
+  if (bytes >= 1024 * 1024) return `${(bytes / (1024 * 1024)).toFixed(1).replace(/\.0$/, '')} MB`;
+  if (bytes >= 1024) return `${Math.round(bytes / 1024)} KB`;
+  return `${bytes} B`;
+}
+
+/**
+ * Whether a file is one of the allowed types
+ * @param {Object} file - PreparedFile
+ * @param {Array<string>} allowedTypes - UploadLimits allowedTypes
+ * @returns {boolean}
+ */
+function isAllowedType(file, allowedTypes) {
+  return allowedTypes.some(pattern => {
+    const allowed = pattern.trim().toLowerCase();
+    if (allowed.startsWith('.')) return file.fileName.toLowerCase().endsWith(allowed);
+    if (allowed.endsWith('/*')) return file.mimeType.startsWith(allowed.slice(0, -1));
+    return file.mimeType === allowed;
+  });
+}
+
+/**
+ * Check a prepared file against upload limits
+ * @param {Object} file - PreparedFile
+ * @param {Object} [limits] - UploadLimits
+ * @throws {UnsupportedFileTypeError|FileTooLargeError|PostRejectedError}
+ */
+function checkUploadLimits(file, limits = {}) {
+  if (limits.allowedTypes && limits.allowedTypes.length && !isAllowedType(file, limits.allowedTypes)) {
+    throw new UnsupportedFileTypeError(`${file.fileName} is ${file.mimeType}, which is not an allowed type (${limits.allowedTypes.join(', ')})`, {
+      mimeType: file.mimeType,
+      allowedTypes: limits.allowedTypes
+    });
+  }
+
+  if (limits.maxFileSize && file.size > limits.maxFileSize) {
+    throw new FileTooLargeError(`${file.fileName} is ${formatSize(file.size)}, over the ${formatSize(limits.maxFileSize)} limit`, {
+      maxSize: limits.maxFileSize
+    });
+  }
+
+  if (file.width && ((limits.maxWidth && file.width > limits.maxWidth) || (limits.maxHeight && file.height > limits.maxHeight))) {
+    const bounds = [];
+    if (limits.maxWidth) bounds.push(`${limits.maxWidth} pixels wide`);
+    if (limits.maxHeight) bounds.push(`${limits.maxHeight} pixels high`);
+    throw new PostRejectedError(`${file.fileName} is ${file.width}x${file.height} pixels; images may be at most ${bounds.join(' and ')}`);
+  }
+}
+
+/**
+ * Describe a file's contents
+ * @private
+ */
+function describe(data, fileName, fallbackName) {
+  const type = sniffFileType(data);
+  const mimeType = type ? type.mimeType : 'application/octet-stream';
+  const dimensions = imageDimensions(data, mimeType);
+
+  return {
+    data,
+    fileName: nameWithExtension(fileName || fallbackName(mimeType), mimeType),
+    mimeType,
+    size: data.length,
+    width: dimensions ? dimensions.width : null,
+    height: dimensions ? dimensions.height : null
+  };
+}
+
+/**
+ * Sniff, clean, shrink and check one attachment
+ * @param {Object} file - Attachment
+ * @param {Buffer|string} file.data - Contents
+ * @param {string} [file.fileName] - Name; the extension is corrected to the real type
+ * @param {Object} [options]
+ * @param {Object} [options.limits] - UploadLimits
+ * @param {boolean} [options.stripMetadata=true] - Remove image metadata
+ * @param {Function|boolean} [options.imageProcessor] - Image processor; false
+ *   for none, omit to use sharp when it is installed
+ * @param {number} [options.number=1] - Position among the post's files, for
+ *   default names (image, image2, ...)
+ * @returns {Promise<Object>} - PreparedFile
+ * @throws {UnsupportedFileTypeError|FileTooLargeError|PostRejectedError} - The
+ *   file breaks the limits even after processing
+ */
+async function prepareUpload(file, options = {}) {
+  const limits = options.limits || {};
+  const suffix = options.number > 1 ? options.number : '';
+  const fallbackName = mimeType => `${mimeType.startsWith('image/') ? 'image' : 'file'}${suffix}`;
+  const data = Buffer.isBuffer(file.data) ? file.data : Buffer.from(String(file.data));
+
+  let prepared = describe(data, file.fileName, fallbackName);
+  const strip = options.stripMetadata !== false;
+  if (strip) prepared.data = stripMetadata(prepared.data, prepared.mimeType);
+  prepared.size = prepared.data.length;
+  prepared.stripped = strip && prepared.data !== data;
+  prepared.processed = false;
+
+  const oversize = (limits.maxFileSize && prepared.size > limits.maxFileSize) ||
+    (prepared.width && limits.maxWidth && prepared.width > limits.maxWidth) ||
+    (prepared.height && limits.maxHeight && prepared.height > limits.maxHeight);
+  const processor = options.imageProcessor === false
+    ? null
+    : options.imageProcessor || sharpProcessor();
+
+  if (oversize && processor && PROCESSABLE_TYPES.includes(prepared.mimeType)) {
+    const output = await processor(prepared.data, {
+      mimeType: prepared.mimeType,
+      width: prepared.width,
+      height: prepared.height,
+      maxWidth: limits.maxWidth || null,
+      maxHeight: limits.maxHeight || null,
+      maxFileSize: limits.maxFileSize || null
+    });
+    const processedData = output && (Buffer.isBuffer(output) ? output : output.data);
+
+    if (processedData) {
+      const stripped = prepared.stripped;
+      prepared = describe(processedData, prepared.fileName, fallbackName);
+      if (strip) prepared.data = stripMetadata(prepared.data, prepared.mimeType);
+      prepared.size = prepared.data.length;
+      prepared.stripped = stripped || (strip && prepared.data !== processedData);
+      prepared.processed = true;
+    }
+  }
+
+  checkUploadLimits(prepared, limits);
+  return prepared;
+}
+
+module.exports = {
+  prepareUpload,
+  checkUploadLimits,
+  sniffFileType,
+  imageDimensions,
+  stripMetadata,
+  isAllowedType
+};